@@ -0,0 +1,224 @@
+/**
+ * =====================================================================================
+ * Historical Backtesting Engine
+ * =====================================================================================
+ *
+ * Description:
+ * Replays historical OHLC candles through the bot's strategy cycle, one candle at a
+ * time. At each step the cycle sees only the candles up to and including the current
+ * one, and its orders are filled by a `PaperExchange` on the candles that follow.
+ *
+ * The engine itself knows nothing about indicators, prompts or handlers: the caller
+ * supplies a `runCycle(candles, notes)` function (see `runStrategyCycle` in
+ * tradingBot.js) and the engine records the resulting equity curve and trades.
+ *
+ * Input files can be CSV (time,open,high,low,close,vwap,volume,count) or JSON, either
+ * a bare array of rows or the full response of Kraken's `/0/public/OHLC` endpoint.
+ *
+ * =====================================================================================
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// =====================================================================================
+// SECTION 1: DATA LOADING
+// =====================================================================================
+
+/**
+ * Normalizes one OHLC row to Kraken's array shape, with the timestamp in seconds.
+ */
+function normalizeCandle(row) {
+    const values = Array.isArray(row) ? row : [row.time, row.open, row.high, row.low, row.close, row.vwap, row.volume, row.count];
+    let time = Number(values[0]);
+    if (time > 1e12) time = Math.floor(time / 1000); // Millisecond timestamps.
+    const [open, high, low, close] = values.slice(1, 5).map(v => String(v));
+    const vwap = values[5] !== undefined && values[5] !== '' ? String(values[5]) : close;
+    const volume = values[6] !== undefined && values[6] !== '' ? String(values[6]) : '0';
+    const count = values[7] !== undefined && values[7] !== '' ? Number(values[7]) : 0;
+    if (!Number.isFinite(time) || [open, high, low, close].some(v => !Number.isFinite(parseFloat(v)))) {
+        throw new Error(`Invalid OHLC row: ${JSON.stringify(row)}`);
+    }
+    return [time, open, high, low, close, vwap, volume, count];
+}
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l.length > 0);
+    // Skip a header row if the first field is not numeric.
+    if (lines.length > 0 && !Number.isFinite(Number(lines[0].split(',')[0]))) lines.shift();
+    return lines.map(line => line.split(',').map(v => v.trim()));
+}
+
+function parseJson(text) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) return data;
+    if (data.error && data.error.length > 0) throw new Error(`OHLC file contains an error response: ${data.error.join(', ')}`);
+    const result = data.result || data;
+    const pairKey = Object.keys(result).find(key => key !== 'last' && Array.isArray(result[key]));
+    if (!pairKey) throw new Error('Could not find an array of candles in the OHLC JSON file.');
+    return result[pairKey];
+}
+
+/**
+ * Loads historical candles from a CSV or JSON file, sorted oldest first.
+ * @param {string} filePath - Path to the OHLC file.
+ * @returns {Promise<Array<Array>>} Candles in Kraken's OHLC row shape.
+ */
+async function loadOhlcFile(filePath) {
+    const text = await fs.readFile(filePath, 'utf8');
+    const rows = path.extname(filePath).toLowerCase() === '.csv' ? parseCsv(text) : parseJson(text);
+    const candles = rows.map(normalizeCandle).sort((a, b) => a[0] - b[0]);
+    if (candles.length === 0) throw new Error(`No candles found in ${filePath}.`);
+    return candles;
+}
+
+// =====================================================================================
+// SECTION 2: TRADE RECONSTRUCTION & STATISTICS
+// =====================================================================================
+
+/**
+ * Groups exchange fills into round-trip trades: a trade opens when a symbol goes from
+ * flat to a position and closes when it is flat again. Kraken's own fills carry no fee
+ * or realized PnL, so those default to 0 and to the PnL against the average entry price.
+ * @param {Array<object>} fills - Fills in chronological order, as recorded by `PaperExchange` or returned by Kraken.
+ * @returns {Array<object>} Closed and still-open trades.
+ */
+function buildTradeList(fills) {
+    const trades = [];
+    const openTrades = {};
+
+    for (const { size: rawSize, price: rawPrice, ...rest } of fills) {
+        const fill = { ...rest, size: parseFloat(rawSize), price: parseFloat(rawPrice) };
+        const signedSize = fill.side === 'buy' ? fill.size : -fill.size;
+        let trade = openTrades[fill.symbol];
+
+        if (!trade) {
+            trade = {
+                symbol: fill.symbol,
+                side: fill.side === 'buy' ? 'long' : 'short',
+                entryTime: fill.fillTime,
+                entryPrice: fill.price,
+                size: 0,
+                netSize: 0,
+                exitNotional: 0,
+                exitSize: 0,
+                fees: 0,
+                grossPnl: 0,
+                status: 'Open'
+            };
+            openTrades[fill.symbol] = trade;
+            trades.push(trade);
+        }
+
+        const isEntry = (trade.side === 'long') === (fill.side === 'buy');
+        if (isEntry) {
+            trade.entryPrice = (trade.entryPrice * trade.size + fill.price * fill.size) / (trade.size + fill.size);
+            trade.size += fill.size;
+        } else {
+            trade.exitNotional += fill.price * fill.size;
+            trade.exitSize += fill.size;
+            const direction = trade.side === 'long' ? 1 : -1;
+            trade.grossPnl += fill.realizedPnl ?? (fill.price - trade.entryPrice) * fill.size * direction;
+        }
+        trade.netSize += signedSize;
+        trade.fees += Number(fill.fee) || 0;
+
+        if (Math.abs(trade.netSize) < 1e-12) {
+            trade.status = 'Closed';
+            trade.exitTime = fill.fillTime;
+            trade.exitPrice = trade.exitNotional / trade.exitSize;
+            trade.exitType = fill.fillType;
+            delete openTrades[fill.symbol];
+        }
+    }
+
+    return trades.map(({ netSize, exitNotional, exitSize, ...trade }) => ({ ...trade, netPnl: trade.grossPnl - trade.fees }));
+}
+
+/**
+ * Computes summary statistics for a backtest run.
+ * @param {Array<object>} equityCurve - `{ time, equity }` points, one per candle.
+ * @param {Array<object>} trades - Output of `buildTradeList`.
+ * @param {number} periodsPerYear - Number of candles in a year, used to annualize the Sharpe ratio.
+ * @returns {object} Return, drawdown, win rate, Sharpe ratio and trade counts.
+ */
+function calculateStatistics(equityCurve, trades, periodsPerYear) {
+    const startEquity = equityCurve.length > 0 ? equityCurve[0].equity : 0;
+    const endEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : 0;
+
+    let peak = -Infinity;
+    let maxDrawdownPercent = 0;
+    for (const point of equityCurve) {
+        peak = Math.max(peak, point.equity);
+        if (peak > 0) maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - point.equity) / peak) * 100);
+    }
+
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+        const previous = equityCurve[i - 1].equity;
+        if (previous > 0) returns.push(equityCurve[i].equity / previous - 1);
+    }
+    const meanReturn = returns.reduce((a, b) => a + b, 0) / (returns.length || 1);
+    const variance = returns.reduce((a, r) => a + (r - meanReturn) ** 2, 0) / ((returns.length - 1) || 1);
+    const stdDev = Math.sqrt(variance);
+    const sharpeRatio = stdDev > 0 ? (meanReturn / stdDev) * Math.sqrt(periodsPerYear) : 0;
+
+    const closedTrades = trades.filter(t => t.status === 'Closed');
+    const winningTrades = closedTrades.filter(t => t.netPnl > 0);
+
+    return {
+        startEquity,
+        endEquity,
+        totalReturnPercent: startEquity > 0 ? ((endEquity - startEquity) / startEquity) * 100 : 0,
+        maxDrawdownPercent,
+        sharpeRatio,
+        totalTrades: closedTrades.length,
+        winningTrades: winningTrades.length,
+        winRatePercent: closedTrades.length > 0 ? (winningTrades.length / closedTrades.length) * 100 : 0,
+        totalFees: trades.reduce((sum, t) => sum + t.fees, 0),
+        netPnl: closedTrades.reduce((sum, t) => sum + t.netPnl, 0)
+    };
+}
+
+// =====================================================================================
+// SECTION 3: REPLAY LOOP
+// =====================================================================================
+
+/**
+ * Steps through the candles, running one strategy cycle per candle.
+ * @param {Array<Array>} candles - All historical candles, oldest first.
+ * @param {object} options
+ * @param {object} options.exchange - A fresh, in-memory `PaperExchange` used to fill the cycle's orders.
+ * @param {string} options.symbol - The futures symbol the candles price.
+ * @param {Function} options.runCycle - `async (candles, previousNotes) => newNotes`; runs one decision cycle.
+ * @param {object} options.initialNotes - The notes the first cycle starts from.
+ * @param {number} options.warmupCandles - Candles to skip before the first decision, so indicators are defined.
+ * @param {number} options.historyLength - Maximum number of candles passed to each cycle, like Kraken's OHLC limit.
+ * @param {number} options.periodsPerYear - Candles per year, for the Sharpe ratio.
+ * @returns {Promise<object>} `{ statistics, trades, equityCurve }`.
+ */
+async function runBacktest(candles, { exchange, symbol, runCycle, initialNotes, warmupCandles, historyLength, periodsPerYear }) {
+    if (candles.length <= warmupCandles) {
+        throw new Error(`Backtest needs more than ${warmupCandles} candles, but only ${candles.length} were loaded.`);
+    }
+
+    const startingAccount = await exchange.getAccounts();
+    const equityCurve = [{ time: candles[warmupCandles - 1][0], equity: startingAccount.accounts.flex.portfolioValue }];
+    let notes = initialNotes;
+
+    for (let i = warmupCandles; i < candles.length; i++) {
+        const window = candles.slice(Math.max(0, i + 1 - historyLength), i + 1);
+        await exchange.processCandles(window, { symbol, lastCandleClosed: true });
+        notes = await runCycle(window, notes);
+
+        const account = await exchange.getAccounts();
+        equityCurve.push({ time: candles[i][0], equity: account.accounts.flex.portfolioValue });
+    }
+
+    const { fills } = await exchange.getFills();
+    const trades = buildTradeList([...fills].reverse());
+    const statistics = calculateStatistics(equityCurve, trades, periodsPerYear);
+    return { statistics, trades, equityCurve };
+}
+
+module.exports = { loadOhlcFile, buildTradeList, calculateStatistics, runBacktest };
@@ -0,0 +1,117 @@
+/**
+ * =====================================================================================
+ * Bracket Order Rules
+ * =====================================================================================
+ *
+ * Description:
+ * Pure helpers for the take-profit side of a bracket entry. A bracket is the entry
+ * order plus a reduce-only stop-loss and one or more reduce-only take-profit orders.
+ *
+ * - `resolveTakeProfitLevels` turns the AI plan (or the configured defaults) into
+ *   concrete take-profit prices and the share of the position each one closes.
+ * - `allocateTakeProfitSizes` splits a position size across those levels.
+ * - `planTakeProfitResize` decides which resting take-profits must be cancelled or
+ *   shrunk after part of the position has been closed.
+ *
+ * Positions use Kraken's sides: 'long' or 'short'.
+ *
+ * =====================================================================================
+ */
+
+const { floorToPrecision } = require('./riskManager');
+
+function isOnProfitSide(side, entryPrice, price) {
+    return side === 'long' ? price > entryPrice : price < entryPrice;
+}
+
+/**
+ * Resolves the take-profit levels for a new position. The plan takes precedence over the
+ * defaults, in this order: `takeProfits` (partial levels), `takeProfit` (single price),
+ * `riskReward` (multiple of the stop distance).
+ * @param {object} plan - The AI plan.
+ * @param {object} params
+ * @param {string} params.side - 'long' or 'short'.
+ * @param {number} params.entryPrice - Expected entry price.
+ * @param {number} params.stopPrice - Protective stop price.
+ * @param {Array<object>} params.defaultLevels - `[{ riskReward, percent }]` used when the plan has no target.
+ * @returns {{ levels: Array<{ price: number, percent: number }>, rejected: Array<string> }}
+ */
+function resolveTakeProfitLevels(plan, { side, entryPrice, stopPrice, defaultLevels }) {
+    const stopDistance = Math.abs(entryPrice - stopPrice);
+    const priceAtMultiple = multiple => (side === 'long' ? entryPrice + stopDistance * multiple : entryPrice - stopDistance * multiple);
+
+    let requested;
+    if (Array.isArray(plan.takeProfits) && plan.takeProfits.length > 0) {
+        requested = plan.takeProfits.map(tp => ({ price: parseFloat(tp.price), percent: parseFloat(tp.percent) }));
+    } else if (plan.takeProfit !== undefined && plan.takeProfit !== null) {
+        requested = [{ price: parseFloat(plan.takeProfit), percent: 100 }];
+    } else if (plan.riskReward !== undefined && plan.riskReward !== null) {
+        requested = [{ price: priceAtMultiple(parseFloat(plan.riskReward)), percent: 100 }];
+    } else {
+        requested = defaultLevels.map(level => ({ price: priceAtMultiple(level.riskReward), percent: level.percent }));
+    }
+
+    const levels = [];
+    const rejected = [];
+    let totalPercent = 0;
+    for (const level of requested) {
+        if (!Number.isFinite(level.price) || !isOnProfitSide(side, entryPrice, level.price)) {
+            rejected.push(`Take-profit ${level.price} is not on the profit side of the ${side} entry at ${entryPrice}.`);
+        } else if (!(level.percent > 0) || totalPercent + level.percent > 100) {
+            rejected.push(`Take-profit at ${level.price} for ${level.percent}% would close more than the whole position.`);
+        } else {
+            levels.push(level);
+            totalPercent += level.percent;
+        }
+    }
+    // Nearest target first, so partial exits happen in price order.
+    levels.sort((a, b) => Math.abs(a.price - entryPrice) - Math.abs(b.price - entryPrice));
+    return { levels, rejected };
+}
+
+/**
+ * Splits a position across take-profit levels. If the levels add up to 100%, the last
+ * one takes the rounding remainder so that the whole position is covered.
+ * @param {number} positionSize - Size to split, in contracts.
+ * @param {Array<{ price: number, percent: number }>} levels - Output of `resolveTakeProfitLevels`.
+ * @param {number} sizePrecision - Decimals allowed in the order size.
+ * @returns {Array<{ price: number, size: number }>} Levels with a non-zero size.
+ */
+function allocateTakeProfitSizes(positionSize, levels, sizePrecision) {
+    const totalPercent = levels.reduce((sum, l) => sum + l.percent, 0);
+    let allocated = 0;
+    return levels.map((level, index) => {
+        const isLast = index === levels.length - 1;
+        const size = isLast && totalPercent >= 100
+            ? floorToPrecision(positionSize - allocated, sizePrecision)
+            : floorToPrecision(positionSize * (level.percent / 100), sizePrecision);
+        allocated += size;
+        return { price: level.price, size };
+    }).filter(level => level.size > 0);
+}
+
+/**
+ * Decides how to bring resting take-profits back within the position size, keeping
+ * the nearest targets and trimming from the furthest.
+ * @param {number} positionSize - Current position size.
+ * @param {Array<object>} takeProfitOrders - Kraken open orders with `stopPrice` and `unfilledSize`.
+ * @param {number} entryPrice - Position entry price, used to order targets by distance.
+ * @returns {Array<{ order: object, newSize: number }>} Orders to resize; a `newSize` of 0 means cancel.
+ */
+function planTakeProfitResize(positionSize, takeProfitOrders, entryPrice) {
+    const byDistance = [...takeProfitOrders].sort((a, b) =>
+        Math.abs(parseFloat(a.stopPrice) - entryPrice) - Math.abs(parseFloat(b.stopPrice) - entryPrice));
+
+    let remaining = positionSize;
+    const changes = [];
+    for (const order of byDistance) {
+        const size = parseFloat(order.unfilledSize);
+        const newSize = Math.max(0, Math.min(size, remaining));
+        if (newSize < size - 1e-12) changes.push({ order, newSize });
+        // Rounded so that float noise does not leave sizes like 0.018999999999999996.
+        remaining = Number((remaining - newSize).toFixed(10));
+    }
+    return changes;
+}
+
+module.exports = { resolveTakeProfitLevels, allocateTakeProfitSizes, planTakeProfitResize };
@@ -0,0 +1,507 @@
+/**
+ * =====================================================================================
+ * Configuration Loader
+ * =====================================================================================
+ *
+ * Description:
+ * Every setting of the bot is declared in SETTINGS below, with its type, allowed range
+ * and default. The effective configuration is merged from, lowest priority first:
+ *
+ * 1.  **Defaults** from SETTINGS.
+ * 2.  **Config file** (JSON or YAML), given with `--config <file>` or BOT_CONFIG.
+ * 3.  **Profile**: `paper`, `live-small` or `live`, chosen with `--profile <name>`,
+ *      BOT_PROFILE or the file's `profile` key. The file may add or extend profiles
+ *      under `profiles`.
+ * 4.  **Environment variables**, named after the setting in upper snake case
+ *      (e.g. `stopLossPercent` is read from STOP_LOSS_PERCENT).
+ * 5.  **Command line**: `--set <setting>=<value>`, repeatable, and `--paper` or `--live`
+ *      as short forms of `--set liveTradingEnabled=false|true`.
+ *
+ * The result is validated at startup, and every problem is reported at once. Live
+ * trading needs `liveTradingConfirmation` set to LIVE_TRADING_CONFIRMATION in addition
+ * to `liveTradingEnabled`, so that no single flag can start trading real money.
+ *
+ * Settings marked as secret are replaced by `redactConfig` before the configuration is
+ * printed, and their values never appear in error messages.
+ *
+ * =====================================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateIndicatorSpecs } = require('./indicators');
+const { validateAlertTargets } = require('./notifier');
+const { DEEPSEEK_API_URL } = require('./decisionProviders');
+
+const LIVE_TRADING_CONFIRMATION = 'I understand this bot trades real money';
+const DEFAULT_PROFILE = 'paper';
+const REDACTED = '[redacted]';
+
+const CANDLE_INTERVALS = [1, 5, 15, 30, 60, 240, 1440, 10080, 21600]; // Minutes offered by Kraken's OHLC endpoint.
+const DECISION_PROVIDERS = ['deepseek', 'openai-compatible', 'rule-based', 'replay'];
+
+// =====================================================================================
+// SECTION 1: SETTINGS & PROFILES
+// =====================================================================================
+
+/**
+ * Validates the take-profit levels: `[{ riskReward, percent }]`, closing at most 100% in total.
+ */
+function checkTakeProfitLevels(levels) {
+    const invalid = levels.find(level => !level || !(level.riskReward > 0) || !(level.percent > 0));
+    if (invalid) return 'each level needs a positive riskReward and percent';
+    const total = levels.reduce((sum, level) => sum + level.percent, 0);
+    return total > 100 ? `the levels close ${total}% of the position, more than 100%` : null;
+}
+
+/**
+ * Validates the instrument list: `[{ futuresSymbol, spotPairSymbol, contractSize?, contractSizePrecision?, tickSize?, correlationGroup? }]`.
+ */
+function checkInstruments(instruments) {
+    for (const instrument of instruments) {
+        if (!instrument || typeof instrument.futuresSymbol !== 'string' || typeof instrument.spotPairSymbol !== 'string') {
+            return 'each instrument needs a futuresSymbol and a spotPairSymbol';
+        }
+        if (instrument.contractSize !== undefined && !(instrument.contractSize > 0)) return `${instrument.futuresSymbol}: contractSize must be positive`;
+        if (instrument.contractSizePrecision !== undefined && !(Number.isInteger(instrument.contractSizePrecision) && instrument.contractSizePrecision >= 0)) {
+            return `${instrument.futuresSymbol}: contractSizePrecision must be a whole number of at least 0`;
+        }
+        if (instrument.tickSize !== undefined && !(instrument.tickSize > 0)) return `${instrument.futuresSymbol}: tickSize must be positive`;
+    }
+    const symbols = instruments.map(i => i.futuresSymbol.toLowerCase());
+    const duplicate = symbols.find((symbol, index) => symbols.indexOf(symbol) !== index);
+    return duplicate ? `${duplicate} is listed twice` : null;
+}
+
+/**
+ * Validates the extra feature timeframes: candle intervals Kraken's OHLC endpoint offers.
+ */
+function checkFeatureTimeframes(timeframes) {
+    const invalid = timeframes.find(minutes => !CANDLE_INTERVALS.includes(minutes));
+    return invalid !== undefined ? `${JSON.stringify(invalid)} is not one of ${CANDLE_INTERVALS.join(', ')}` : null;
+}
+
+// Types: 'string', 'number', 'integer', 'boolean', 'path' (resolved against the bot's
+// directory) and 'list' (a JSON array when given as text).
+const SETTINGS = {
+    // --- API Credentials ---
+    krakenApiKey: { type: 'string', default: '', secret: true },
+    krakenApiSecret: { type: 'string', default: '', secret: true },
+    deepseekApiKey: { type: 'string', default: '', secret: true },
+
+    krakenFuturesBaseUrl: { type: 'string', default: 'https://futures.kraken.com' },
+    krakenFuturesWsUrl: { type: 'string', default: 'wss://futures.kraken.com/ws/v1' },
+    krakenSpotBaseUrl: { type: 'string', default: 'https://api.kraken.com' },
+    deepseekApiUrl: { type: 'string', default: DEEPSEEK_API_URL },
+
+    // --- Market & Schedule ---
+    liveTradingEnabled: { type: 'boolean', default: false },
+    liveTradingConfirmation: { type: 'string', default: '' }, // Must equal LIVE_TRADING_CONFIRMATION to trade live.
+    futuresSymbol: { type: 'string', default: 'pf_xbtusd' },
+    spotPairSymbol: { type: 'string', default: 'BTC/USD' },
+    candleInterval: { type: 'integer', default: 240, oneOf: CANDLE_INTERVALS },
+    candleCloseDelaySeconds: { type: 'number', default: 15, min: 0 }, // Decision cycles run this long after each candle close.
+    riskCheckIntervalMinutes: { type: 'number', default: 15, min: 0 }, // Risk limits and exchange reconciliation between decision cycles. 0 disables.
+
+    // --- Portfolio (several instruments sharing the margin account) ---
+    // [{ futuresSymbol, spotPairSymbol, contractSize, contractSizePrecision, tickSize, correlationGroup }]. [] trades
+    // futuresSymbol alone. Instruments in the same correlationGroup share its exposure cap.
+    instruments: { type: 'list', default: [], check: checkInstruments },
+    maxTotalExposurePercent: { type: 'number', default: 300, min: 1 }, // Notional of all positions and resting entries, in percent of equity.
+    maxCorrelatedExposurePercent: { type: 'number', default: 200, min: 1 }, // Same, within one correlation group.
+
+    // --- Indicator Features (see indicators.js) ---
+    // [{ type, ...parameters }], computed on the candle interval and on each feature timeframe.
+    indicators: {
+        type: 'list',
+        default: [
+            { type: 'rsi', period: 14 }, { type: 'sma', period: 50 }, { type: 'ema', period: 20 },
+            { type: 'macd', fast: 12, slow: 26, signal: 9 }, { type: 'atr', period: 14 },
+            { type: 'bollinger', period: 20, stdDev: 2 }, { type: 'adx', period: 14 }, { type: 'volume', period: 20 }
+        ],
+        check: validateIndicatorSpecs
+    },
+    featureTimeframes: { type: 'list', default: [60, 1440], check: checkFeatureTimeframes }, // Extra candle intervals (minutes) fed to the prompt.
+
+    // --- Futures Market Context (see marketContext.js) ---
+    orderBookDepthBandPercent: { type: 'number', default: 0.5, min: 0.01, max: 10 }, // Band around the mid price whose resting size is reported.
+
+    // --- AI Decision Provider ---
+    decisionProvider: { type: 'string', default: 'deepseek', oneOf: DECISION_PROVIDERS },
+    decisionFallbackProvider: { type: 'string', default: null, nullable: true, oneOf: DECISION_PROVIDERS }, // Tried when the primary provider errors or times out. null falls back to HOLD.
+    decisionTimeoutMs: { type: 'integer', default: 60000, min: 1000 },
+    decisionTemperature: { type: 'number', default: 0.5, min: 0, max: 2 },
+    promptTemplate: { type: 'string', default: 'default' }, // A built-in template name, or the path to a template file with {{placeholders}}.
+    deepseekModel: { type: 'string', default: 'deepseek-chat' },
+    openaiCompatibleUrl: { type: 'string', default: 'http://localhost:8080/v1/chat/completions' },
+    openaiCompatibleApiKey: { type: 'string', default: '', secret: true },
+    openaiCompatibleModel: { type: 'string', default: 'local-model' },
+    openaiCompatibleJsonMode: { type: 'boolean', default: true }, // Disable for servers that reject `response_format`.
+    replayPlansFilePath: { type: 'path', default: 'recorded_plans.json' },
+    maxLimitPriceDeviationPercent: { type: 'number', default: 2.0, min: 0.01, max: 50 }, // Furthest a limit entry may be from the current price.
+    planRejectionsFilePath: { type: 'path', default: 'plan_rejections.jsonl' }, // Raw output of every rejected plan.
+
+    // --- Position Sizing ---
+    leverage: { type: 'number', default: 10, min: 1, max: 50 },
+    leverageSafetyFactor: { type: 'number', default: 0.9, min: 0.1, max: 1 },
+    riskPerTradePercent: { type: 'number', default: 1.0, min: 0.01, max: 10 },
+    stopLossPercent: { type: 'number', default: 2.0, min: 0.1, max: 50 },
+    stopLossMode: { type: 'string', default: 'percent', oneOf: ['percent', 'atr'] }, // 'atr' scales the initial stop with volatility.
+    stopLossAtrMultiplier: { type: 'number', default: 2.0, min: 0.1, max: 20 },
+    stopLossMinPercent: { type: 'number', default: 0.5, min: 0.05, max: 50 }, // Bounds of an ATR-based stop distance.
+    stopLossMaxPercent: { type: 'number', default: 10, min: 0.1, max: 50 },
+    minimumTradeUsd: { type: 'number', default: 10, min: 0 },
+
+    // --- Automatic Stop Management (applied every cycle while a position is open) ---
+    trailingStopMode: { type: 'string', default: 'none', oneOf: ['none', 'percent', 'atr'] },
+    trailingStopPercent: { type: 'number', default: 1.5, min: 0.01, max: 50 },
+    trailingStopAtrMultiplier: { type: 'number', default: 2.5, min: 0.1, max: 20 },
+    breakEvenTriggerPercent: { type: 'number', default: 1.0, min: 0 }, // Profit needed before the stop moves to entry. 0 disables it.
+    breakEvenOffsetPercent: { type: 'number', default: 0.1, min: 0 }, // Stop is placed this far beyond entry to cover fees.
+
+    // --- Limit Entry Lifecycle ---
+    limitEntryTimeoutCycles: { type: 'integer', default: 2, min: 1 }, // Cycles an unfilled limit entry may rest before it is repriced or cancelled.
+    limitEntryTimeoutMinutes: { type: 'number', default: 480, min: 1 }, // Same limit expressed in time, whichever comes first.
+    limitEntryMaxReprices: { type: 'integer', default: 1, min: 0 }, // Reprices towards the market before giving up.
+    limitEntryRepriceOffsetPercent: { type: 'number', default: 0.05, min: 0 }, // Distance from the current price for a repriced limit.
+
+    // --- Take-Profit Defaults (used when the AI plan gives no target) ---
+    // Each level closes `percent` of the position at `riskReward` times the stop distance. [] disables them.
+    takeProfitLevels: { type: 'list', default: [{ riskReward: 1.5, percent: 50 }, { riskReward: 3.0, percent: 50 }], check: checkTakeProfitLevels },
+
+    // --- Instrument Specification (pf_xbtusd: 1 contract = 1 BTC, sizes in steps of 0.0001, prices in steps of 1 USD) ---
+    contractSize: { type: 'number', default: 1, min: 0.000001 },
+    contractSizePrecision: { type: 'integer', default: 4, min: 0, max: 8 },
+    tickSize: { type: 'number', default: 1, min: 0.00000001 }, // Order prices are rounded to this increment.
+
+    // --- Account Risk Limits ---
+    maxDailyLossPercent: { type: 'number', default: 3.0, min: 0.1, max: 100 },
+    maxDrawdownPercent: { type: 'number', default: 10.0, min: 0.1, max: 100 },
+    maxTradesPerDay: { type: 'integer', default: 3, min: 1 },
+    flattenOnRiskBreach: { type: 'boolean', default: false }, // Also close the open position when a limit is breached.
+    riskStateFilePath: { type: 'path', default: 'risk_state.json' },
+
+    // --- Paper Trading Simulator (used when live trading is disabled) ---
+    paperStartingBalanceUsd: { type: 'number', default: 10000, min: 1 },
+    paperTakerFeePercent: { type: 'number', default: 0.05, min: 0, max: 5 },
+    paperMakerFeePercent: { type: 'number', default: 0.02, min: -1, max: 5 },
+    paperSlippagePercent: { type: 'number', default: 0.02, min: 0, max: 5 },
+    paperStateFilePath: { type: 'path', default: 'paper_exchange.json' },
+    paperMaxFills: { type: 'integer', default: 500, min: 10 }, // Fills kept in the paper state file; older whole trades are dropped.
+
+    // --- Backtesting ---
+    backtestStartingBalanceUsd: { type: 'number', default: 10000, min: 1 },
+    backtestTakerFeePercent: { type: 'number', default: 0.05, min: 0, max: 5 },
+    backtestMakerFeePercent: { type: 'number', default: 0.02, min: -1, max: 5 },
+    backtestSlippagePercent: { type: 'number', default: 0.05, min: 0, max: 5 },
+    backtestWarmupCandles: { type: 'integer', default: 50, min: 1 }, // Enough history for the 50-period SMA.
+    backtestHistoryLength: { type: 'integer', default: 720, min: 1 }, // Kraken's OHLC endpoint returns at most 720 candles.
+    backtestReportFilePath: { type: 'path', default: 'backtest_report.json' },
+
+    // --- Real-Time Feed (live trading only) ---
+    websocketEnabled: { type: 'boolean', default: true }, // React to fills and stop-outs between candles.
+    eventReactionDelayMs: { type: 'integer', default: 2000, min: 0 }, // Lets the related fill, order and position messages arrive before reacting.
+
+    // --- Control & Status API (see controlServer.js) ---
+    controlApiEnabled: { type: 'boolean', default: false },
+    controlApiHost: { type: 'string', default: '127.0.0.1' },
+    controlApiPort: { type: 'integer', default: 8787, min: 0, max: 65535 },
+    controlApiToken: { type: 'string', default: '', secret: true }, // Bearer token for every request; at least 16 characters.
+
+    // --- Alerts (see notifier.js) ---
+    // [{ type: 'json'|'slack'|'telegram', url, chatId?, name?, events?, minSeverity? }]. Secret, as webhook URLs carry tokens.
+    alertTargets: { type: 'list', default: [], secret: true, check: validateAlertTargets },
+    alertDedupWindowMinutes: { type: 'number', default: 30, min: 0 }, // Repeats of the same alert within it are suppressed.
+    alertRetryAttempts: { type: 'integer', default: 5, min: 1 },
+    alertRetryBaseDelaySeconds: { type: 'number', default: 5, min: 0.1 }, // Doubled after every failed attempt.
+    alertDailySummaryHourUtc: { type: 'integer', default: 0, min: 0, max: 23, nullable: true }, // null disables the daily summary.
+
+    // --- Journal (append-only records of every cycle and closed trade) ---
+    journalFilePath: { type: 'path', default: 'journal.jsonl' },
+    tradeLedgerFilePath: { type: 'path', default: 'trade_ledger.jsonl' },
+    notesHistoryCycles: { type: 'integer', default: 10, min: 1 } // Journal entries the bot's memory is rebuilt from.
+};
+
+// Built-in profiles. `live-small` trades real money with reduced size and tighter limits.
+const PROFILES = {
+    paper: { liveTradingEnabled: false },
+    'live-small': {
+        liveTradingEnabled: true,
+        leverage: 2,
+        riskPerTradePercent: 0.25,
+        maxDailyLossPercent: 1.0,
+        maxDrawdownPercent: 5.0,
+        maxTradesPerDay: 2
+    },
+    live: { liveTradingEnabled: true }
+};
+
+// =====================================================================================
+// SECTION 2: PARSING & VALIDATION
+// =====================================================================================
+
+class ConfigError extends Error {
+    /**
+     * @param {Array<string>} errors - Every problem found, one sentence each.
+     */
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * @param {string} key - A setting name, e.g. 'stopLossPercent'.
+ * @returns {string} Its environment variable, e.g. 'STOP_LOSS_PERCENT'.
+ */
+function toEnvName(key) {
+    return key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+function describeValue(key, value) {
+    return SETTINGS[key]?.secret ? 'the given value' : JSON.stringify(value);
+}
+
+/**
+ * Converts a value from a file, the environment or the command line to the setting's
+ * type. Text is parsed ('true', '2.5', '[...]'); values of the wrong type are rejected.
+ * @param {string} key - The setting.
+ * @param {*} value - The raw value.
+ * @param {string} source - Where it came from, for the error message.
+ * @returns {{ value: *, error: string|null }}
+ */
+function coerceValue(key, value, source) {
+    const setting = SETTINGS[key];
+    const fail = expected => ({ value: undefined, error: `${key} (${source}): expected ${expected}, got ${describeValue(key, value)}.` });
+    const isText = typeof value === 'string';
+
+    if (setting.nullable && (value === null || (isText && ['', 'null'].includes(value.trim())))) return { value: null, error: null };
+    switch (setting.type) {
+        case 'string':
+        case 'path':
+            return isText ? { value, error: null } : fail('text');
+        case 'number':
+        case 'integer': {
+            const number = isText && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return fail('a number');
+            if (setting.type === 'integer' && !Number.isInteger(number)) return fail('a whole number');
+            return { value: number, error: null };
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return { value, error: null };
+            if (isText && ['true', '1', 'yes'].includes(value.trim().toLowerCase())) return { value: true, error: null };
+            if (isText && ['false', '0', 'no'].includes(value.trim().toLowerCase())) return { value: false, error: null };
+            return fail('true or false');
+        case 'list': {
+            let list = value;
+            if (isText) {
+                try {
+                    list = JSON.parse(value);
+                } catch (error) {
+                    return fail('a JSON array');
+                }
+            }
+            return Array.isArray(list) ? { value: list, error: null } : fail('a list');
+        }
+        default:
+            throw new Error(`Unknown setting type '${setting.type}' for ${key}.`);
+    }
+}
+
+/**
+ * Applies one layer of settings onto `target`, collecting errors instead of throwing.
+ * @param {object} target - The settings merged so far.
+ * @param {object} layer - `{ setting: rawValue }`.
+ * @param {string} source - Name of the layer, for error messages.
+ * @param {Array<string>} errors - Collected errors.
+ */
+function applyLayer(target, layer, source, errors) {
+    for (const [key, raw] of Object.entries(layer)) {
+        if (!SETTINGS[key]) {
+            errors.push(`${key} (${source}): unknown setting.`);
+            continue;
+        }
+        const { value, error } = coerceValue(key, raw, source);
+        if (error) errors.push(error);
+        else target[key] = value;
+    }
+}
+
+/**
+ * Checks the ranges and allowed values of every setting, and the rules that span several.
+ * @param {object} settings - The merged settings.
+ * @returns {Array<string>} The problems found; empty when the configuration is valid.
+ */
+function validateConfig(settings) {
+    const errors = [];
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        const value = settings[key];
+        if (value === null && setting.nullable) continue;
+        if (setting.min !== undefined && value < setting.min) errors.push(`${key}: must be at least ${setting.min}, got ${describeValue(key, value)}.`);
+        if (setting.max !== undefined && value > setting.max) errors.push(`${key}: must be at most ${setting.max}, got ${describeValue(key, value)}.`);
+        if (setting.oneOf && !setting.oneOf.includes(value)) errors.push(`${key}: must be one of ${setting.oneOf.join(', ')}; got ${describeValue(key, value)}.`);
+        const problem = setting.check ? setting.check(value) : null;
+        if (problem) errors.push(`${key}: ${problem}.`);
+    }
+
+    if (settings.decisionFallbackProvider && settings.decisionFallbackProvider === settings.decisionProvider) {
+        errors.push('decisionFallbackProvider: must differ from decisionProvider.');
+    }
+    if (settings.stopLossMinPercent > settings.stopLossMaxPercent) {
+        errors.push('stopLossMinPercent: must not exceed stopLossMaxPercent.');
+    }
+    if (settings.controlApiEnabled && settings.controlApiToken.length < 16) {
+        errors.push(`controlApiToken: the control API is enabled, so it needs a token of at least 16 characters (env ${toEnvName('controlApiToken')}).`);
+    }
+    if (settings.liveTradingEnabled) {
+        if (settings.liveTradingConfirmation !== LIVE_TRADING_CONFIRMATION) {
+            errors.push(`liveTradingConfirmation: live trading is enabled, so it must be set to "${LIVE_TRADING_CONFIRMATION}" (env ${toEnvName('liveTradingConfirmation')}).`);
+        }
+        if (!settings.krakenApiKey || !settings.krakenApiSecret) {
+            errors.push(`krakenApiKey, krakenApiSecret: required for live trading (env ${toEnvName('krakenApiKey')}, ${toEnvName('krakenApiSecret')}).`);
+        }
+    }
+    return errors;
+}
+
+// =====================================================================================
+// SECTION 3: LOADING
+// =====================================================================================
+
+/**
+ * Splits the command line into positional arguments and configuration options. `--json`
+ * (machine-readable output) is returned as a flag; any other argument, `--dry-run`
+ * included, is left to the command.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {{ args: Array<string>, configPath: string|null, profile: string|null, overrides: object, json: boolean, errors: Array<string> }}
+ */
+function parseCommandLine(argv) {
+    const result = { args: [], configPath: null, profile: null, overrides: {}, json: false, errors: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            result.json = true;
+            continue;
+        }
+        if (arg === '--paper' || arg === '--live') {
+            if (argv.includes(arg === '--paper' ? '--live' : '--paper')) {
+                if (arg === '--paper') result.errors.push('--paper and --live: only one of them can be given.');
+                continue;
+            }
+            // Going live still needs the confirmation and the Kraken keys checked by validateConfig.
+            result.overrides.liveTradingEnabled = String(arg === '--live');
+            continue;
+        }
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+        if (!['--config', '--profile', '--set'].includes(flag)) {
+            result.args.push(arg);
+            continue;
+        }
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+            result.errors.push(`${flag}: missing value.`);
+        } else if (flag === '--config') {
+            result.configPath = value;
+        } else if (flag === '--profile') {
+            result.profile = value;
+        } else if (!value.includes('=')) {
+            result.errors.push(`--set ${value}: expected <setting>=<value>.`);
+        } else {
+            result.overrides[value.slice(0, value.indexOf('='))] = value.slice(value.indexOf('=') + 1);
+        }
+    }
+    return result;
+}
+
+/**
+ * Reads a JSON or YAML config file, chosen by its extension.
+ * @param {string} filePath - The file.
+ * @returns {object} Its settings, plus the optional `profile` and `profiles` keys.
+ */
+function readConfigFile(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new ConfigError([`Could not read the config file ${filePath}: ${error.message}`]);
+    }
+    let parsed;
+    try {
+        parsed = /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError([`Could not parse the config file ${filePath}: ${error.message}`]);
+    }
+    if (parsed === null || parsed === undefined) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) throw new ConfigError([`The config file ${filePath} must contain an object of settings.`]);
+    return parsed;
+}
+
+/**
+ * Builds the effective configuration from the defaults, the config file, the profile,
+ * the environment and the command-line overrides, and validates it.
+ * @param {object} [options]
+ * @param {string|null} [options.configPath] - Config file; BOT_CONFIG is used if not given.
+ * @param {string|null} [options.profile] - Profile name; BOT_PROFILE, then the file's `profile`, then 'paper'.
+ * @param {object} [options.overrides={}] - `{ setting: value }` from the command line.
+ * @param {object} [options.env=process.env] - Environment variables.
+ * @param {string} [options.baseDir=__dirname] - Directory relative file paths are resolved against.
+ * @returns {{ profile: string, configPath: string|null, settings: object }} The settings are frozen.
+ * @throws {ConfigError} Listing every invalid or unknown setting.
+ */
+function loadConfig({ configPath = null, profile = null, overrides = {}, env = process.env, baseDir = __dirname } = {}) {
+    const errors = [];
+    const filePath = configPath || env.BOT_CONFIG || null;
+    const { profile: fileProfile, profiles: fileProfiles = {}, ...fileSettings } = filePath ? readConfigFile(filePath) : {};
+
+    const profileName = profile || env.BOT_PROFILE || fileProfile || DEFAULT_PROFILE;
+    if (!PROFILES[profileName] && !fileProfiles[profileName]) {
+        throw new ConfigError([`Unknown profile '${profileName}'. Available: ${[...new Set([...Object.keys(PROFILES), ...Object.keys(fileProfiles)])].join(', ')}.`]);
+    }
+
+    const settings = {};
+    for (const [key, setting] of Object.entries(SETTINGS)) settings[key] = setting.default;
+    applyLayer(settings, fileSettings, `config file ${filePath}`, errors);
+    applyLayer(settings, PROFILES[profileName] || {}, `profile ${profileName}`, errors);
+    applyLayer(settings, fileProfiles[profileName] || {}, `profile ${profileName} in ${filePath}`, errors);
+
+    const envLayer = {};
+    for (const key of Object.keys(SETTINGS)) {
+        if (env[toEnvName(key)] !== undefined) envLayer[key] = env[toEnvName(key)];
+    }
+    applyLayer(settings, envLayer, 'environment', errors);
+    applyLayer(settings, overrides, 'command line', errors);
+
+    if (errors.length === 0) errors.push(...validateConfig(settings));
+    if (errors.length > 0) throw new ConfigError(errors);
+
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        if (setting.type === 'path') settings[key] = path.resolve(baseDir, settings[key]);
+    }
+    return { profile: profileName, configPath: filePath, settings: Object.freeze(settings) };
+}
+
+/**
+ * @param {object} settings - A configuration.
+ * @returns {object} A copy that is safe to print, with every set secret replaced.
+ */
+function redactConfig(settings) {
+    const copy = { ...settings };
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        if (setting.secret && copy[key]) copy[key] = REDACTED;
+    }
+    return copy;
+}
+
+module.exports = {
+    SETTINGS,
+    PROFILES,
+    LIVE_TRADING_CONFIRMATION,
+    ConfigError,
+    toEnvName,
+    parseCommandLine,
+    validateConfig,
+    loadConfig,
+    redactConfig
+};
@@ -0,0 +1,156 @@
+/**
+ * =====================================================================================
+ * Control & Status API
+ * =====================================================================================
+ *
+ * Description:
+ * A small HTTP server embedded in the running bot, to see what it is doing and to step
+ * in without editing code and redeploying:
+ *
+ * - `GET /status`: paused or not, the next decision cycle, and each instrument's last
+ *   cycle, plan and error.
+ * - `GET /position`, `GET /orders`, `GET /notes`: the exchange's positions and open
+ *   orders, and the bot's notes, for the traded instruments.
+ * - `POST /pause`, `POST /resume`: stop and restart the AI decision cycles. Risk
+ *   checks and exchange events are still handled while paused.
+ * - `POST /flatten`: cancel the orders and close the position; `POST /cycle`: run a
+ *   decision cycle now.
+ *
+ * Every request needs `Authorization: Bearer <token>`. `?symbol=` narrows the
+ * instrument endpoints to one instrument, and the control endpoints accept an optional
+ * JSON body `{ "reason": "..." }`. tradingBot.js supplies the handlers and records
+ * each control action in the notes.
+ *
+ * =====================================================================================
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * An error with the HTTP status it should be answered with.
+ */
+class ControlApiError extends Error {
+    /**
+     * @param {number} statusCode - HTTP status, e.g. 409.
+     * @param {string} message - Returned to the caller as `{ error }`.
+     */
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'ControlApiError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Method and path mapped to the name of the handler that serves it.
+const ROUTES = {
+    'GET /status': 'status',
+    'GET /position': 'position',
+    'GET /orders': 'orders',
+    'GET /notes': 'notes',
+    'POST /pause': 'pause',
+    'POST /resume': 'resume',
+    'POST /flatten': 'flatten',
+    'POST /cycle': 'cycle'
+};
+
+/**
+ * Compares the token of a request with the configured one in constant time.
+ */
+function isAuthorized(header, token) {
+    const match = /^Bearer (.+)$/.exec(header || '');
+    if (!match) return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * @returns {Promise<object>} The parsed JSON body, or `{}` when there is none.
+ */
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            text += chunk;
+            if (text.length > MAX_BODY_BYTES) reject(new ControlApiError(413, 'Request body too large.'));
+        });
+        request.on('end', () => {
+            if (text.trim().length === 0) return resolve({});
+            try {
+                const body = JSON.parse(text);
+                resolve(body && typeof body === 'object' ? body : {});
+            } catch (error) {
+                reject(new ControlApiError(400, 'The request body is not valid JSON.'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+class ControlServer {
+    /**
+     * @param {object} options
+     * @param {string} options.host - Interface to listen on; keep it on localhost unless behind a proxy.
+     * @param {number} options.port - Port to listen on; 0 picks a free one.
+     * @param {string} options.token - Bearer token every request must carry.
+     * @param {object} options.handlers - One `async ({ symbol, body, remoteAddress }) => result` per
+     *   name in ROUTES. The result is returned as JSON with status 200, or as `{ statusCode, body }` for
+     *   another status; a thrown ControlApiError is answered with its status.
+     */
+    constructor({ host, port, token, handlers }) {
+        if (!token) throw new Error('The control API needs a token.');
+        this.host = host;
+        this.port = port;
+        this.token = token;
+        this.handlers = handlers;
+        this.server = http.createServer((request, response) => this.handle(request, response));
+    }
+
+    /**
+     * @returns {Promise<number>} The port the server listens on.
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handle(request, response) {
+        const send = (statusCode, body) => {
+            response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body, null, 2));
+        };
+        try {
+            if (!isAuthorized(request.headers.authorization, this.token)) throw new ControlApiError(401, 'Missing or invalid bearer token.');
+            const url = new URL(request.url, 'http://localhost');
+            const name = ROUTES[`${request.method} ${url.pathname}`];
+            if (!name) {
+                const knownPath = Object.keys(ROUTES).some(route => route.endsWith(` ${url.pathname}`));
+                throw new ControlApiError(knownPath ? 405 : 404, knownPath ? `${request.method} is not allowed on ${url.pathname}.` : `Unknown endpoint ${url.pathname}.`);
+            }
+            const body = request.method === 'POST' ? await readJsonBody(request) : {};
+            const result = await this.handlers[name]({
+                symbol: url.searchParams.get('symbol') || body.symbol || null,
+                body,
+                remoteAddress: request.socket.remoteAddress
+            });
+            send(result?.statusCode || 200, result?.statusCode ? result.body : result);
+        } catch (error) {
+            if (!(error instanceof ControlApiError)) console.error(`Control API ${request.method} ${request.url} failed:`, error.message);
+            send(error.statusCode || 500, { error: error.message });
+        }
+    }
+}
+
+module.exports = { ControlServer, ControlApiError };
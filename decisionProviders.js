@@ -0,0 +1,279 @@
+/**
+ * =====================================================================================
+ * Decision Providers
+ * =====================================================================================
+ *
+ * Description:
+ * A decision provider turns the market and account context of a cycle into an action
+ * plan, in the same JSON shape the Deepseek prompt asks for:
+ *
+ *   { "action": "HOLD" | "ENTER_LONG" | "ENTER_SHORT" | "EXIT_POSITION" | "ADJUST_SL" |
+ *               "ADD_TO_POSITION" | "REDUCE_POSITION" | "REVERSE", ... }
+ *
+ * Every provider exposes `decide(candles, indicators, accountContext, options)`, which
+ * returns a promise for the plan, and `lastCall`, the `{ prompt, rawResponse }` of its
+ * most recent decision. `options.feedback` asks an LLM provider to correct a rejected
+ * plan. This lets the trading loop and the backtester swap the AI for a deterministic
+ * stand-in. Available providers:
+ *
+ * - **deepseek**: the Deepseek chat completions API.
+ * - **openai-compatible**: any endpoint speaking the OpenAI chat completions protocol,
+ *   such as a local model server used for offline testing.
+ * - **rule-based**: a deterministic RSI/SMA strategy.
+ * - **replay**: plans recorded from an earlier run.
+ *
+ * `createFallbackProvider` chains providers so that a failing or slow one hands over
+ * to the next, and ultimately to HOLD. A reply that is not a JSON plan is not a failure
+ * of the provider but a rejected plan: it throws a `PlanParseError`, which reaches the
+ * caller with the reply in `lastCall`, so the model can be asked to correct it.
+ *
+ * =====================================================================================
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const { buildPromptVariables, renderPrompt } = require('./promptTemplates');
+
+const DEEPSEEK_API_URL = 'https://api.deepseek.com/v1/chat/completions';
+
+/**
+ * A model reply that holds no parsable JSON plan.
+ */
+class PlanParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PlanParseError';
+    }
+}
+
+/**
+ * Extracts the JSON plan from a model reply. Local models often wrap it in a Markdown
+ * code fence or add text around it, so the outermost braces are used.
+ * @param {string} content - The message content returned by the model.
+ * @returns {object} The parsed plan.
+ * @throws {PlanParseError} If the reply contains no JSON object, or one that does not parse.
+ */
+function parsePlanContent(content) {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start === -1 || end < start) throw new PlanParseError('The response contains no JSON object.');
+    try {
+        return JSON.parse(content.slice(start, end + 1));
+    } catch (error) {
+        throw new PlanParseError(`The response is not valid JSON (${error.message}).`);
+    }
+}
+
+/**
+ * A provider for any OpenAI-compatible chat completions endpoint.
+ * @param {object} options
+ * @param {string} [options.name='openai-compatible'] - Name used in logs.
+ * @param {string} options.url - Full URL of the chat completions endpoint.
+ * @param {string} [options.apiKey] - Bearer token, if the endpoint needs one.
+ * @param {string} options.model - Model name.
+ * @param {number} options.temperature - Sampling temperature.
+ * @param {number} options.timeoutMs - Request timeout.
+ * @param {boolean} [options.jsonMode=true] - Request `response_format: json_object`; some local servers do not support it.
+ * @param {string} options.promptTemplate - Template text (see promptTemplates.js).
+ * @param {object} options.market - `{ pair, candleInterval }` passed to the template. The cycle's
+ *   `accountContext.market`, if any, overrides it (e.g. with the pair of the instrument being decided).
+ * @returns {object} A decision provider, which also exposes `buildPrompt` for dry runs.
+ */
+function createOpenAICompatibleProvider({ name = 'openai-compatible', url, apiKey, model, temperature, timeoutMs, jsonMode = true, promptTemplate, market }) {
+    const buildPrompt = (candles, indicators, accountContext) =>
+        renderPrompt(promptTemplate, buildPromptVariables(candles, indicators, accountContext, { ...market, ...accountContext.market }));
+
+    const provider = {
+        name,
+        buildPrompt,
+        lastCall: null,
+        /**
+         * @param {object} [options.feedback] - `{ previousResponse, errors }` of a rejected plan; the model is asked to correct it.
+         */
+        async decide(candles, indicators, accountContext, { feedback } = {}) {
+            const prompt = buildPrompt(candles, indicators, accountContext);
+            const messages = [{ role: 'user', content: prompt }];
+            if (feedback) {
+                messages.push(
+                    { role: 'assistant', content: feedback.previousResponse },
+                    { role: 'user', content: `Your previous response was rejected:\n- ${feedback.errors.join('\n- ')}\nReturn a corrected action plan as a single, valid JSON object.` }
+                );
+            }
+            const body = { model, messages, temperature };
+            if (jsonMode) body.response_format = { type: "json_object" };
+            const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+            // Recorded before the request, so that a failed call still shows what was asked and answered.
+            provider.lastCall = { prompt: messages.map(m => m.content).join('\n\n'), rawResponse: null };
+            let response;
+            try {
+                response = await axios.post(url, body, { headers, timeout: timeoutMs });
+            } catch (error) {
+                const errorBody = error.response?.data;
+                if (errorBody !== undefined) provider.lastCall.rawResponse = typeof errorBody === 'string' ? errorBody : JSON.stringify(errorBody);
+                throw error;
+            }
+            const content = response.data.choices[0].message.content;
+            provider.lastCall.rawResponse = content;
+            return parsePlanContent(content);
+        }
+    };
+    return provider;
+}
+
+/**
+ * The Deepseek chat API, which is OpenAI-compatible.
+ * @param {object} options - As for `createOpenAICompatibleProvider`; `url` defaults to Deepseek's endpoint.
+ * @returns {object} A decision provider.
+ */
+function createDeepseekProvider(options) {
+    return createOpenAICompatibleProvider({ url: DEEPSEEK_API_URL, ...options, name: 'deepseek' });
+}
+
+/**
+ * A deterministic trend-following strategy built on the RSI and SMA values from
+ * `calculateIndicators`. Enters in the direction of price relative to the SMA while
+ * RSI confirms momentum, and exits when either signal turns against the position.
+ * @param {object} [options] - Optional RSI thresholds.
+ * @returns {object} A decision provider.
+ */
+function createRuleBasedProvider({ overbought = 70, oversold = 30, exitOverbought = 75, exitOversold = 25 } = {}) {
+    const provider = {
+        name: 'rule-based',
+        lastCall: null,
+        async decide(candles, indicators, accountContext) {
+            const plan = decideFromRules(indicators, accountContext);
+            provider.lastCall = { prompt: null, rawResponse: JSON.stringify(plan) };
+            return plan;
+        }
+    };
+
+    function decideFromRules(indicators, accountContext) {
+        const { lastPrice, lastRSI, lastSMA50 } = indicators;
+        if (lastPrice === undefined || lastRSI === undefined || lastSMA50 === undefined) {
+            return { action: 'HOLD', reason: 'Not enough candles to compute RSI and SMA.' };
+        }
+
+        if (accountContext.hasOpenPosition) {
+            const isLong = accountContext.position.side === 'long';
+            if (isLong && (lastPrice < lastSMA50 || lastRSI > exitOverbought)) {
+                return { action: 'EXIT_POSITION', reason: `Long invalidated: price ${lastPrice.toFixed(2)}, SMA50 ${lastSMA50.toFixed(2)}, RSI ${lastRSI.toFixed(2)}.` };
+            }
+            if (!isLong && (lastPrice > lastSMA50 || lastRSI < exitOversold)) {
+                return { action: 'EXIT_POSITION', reason: `Short invalidated: price ${lastPrice.toFixed(2)}, SMA50 ${lastSMA50.toFixed(2)}, RSI ${lastRSI.toFixed(2)}.` };
+            }
+            return { action: 'HOLD', reason: 'Position still aligned with trend.' };
+        }
+
+        if (lastPrice > lastSMA50 && lastRSI > 50 && lastRSI < overbought) {
+            return { action: 'ENTER_LONG', orderType: 'mkt', reason: `Price above SMA50 with RSI ${lastRSI.toFixed(2)}.` };
+        }
+        if (lastPrice < lastSMA50 && lastRSI < 50 && lastRSI > oversold) {
+            return { action: 'ENTER_SHORT', orderType: 'mkt', reason: `Price below SMA50 with RSI ${lastRSI.toFixed(2)}.` };
+        }
+        return { action: 'HOLD', reason: 'No trend confirmation.' };
+    }
+    return provider;
+}
+
+/**
+ * Replays plans recorded from an earlier run. The file holds a JSON array whose entries
+ * are either plain plan objects, returned in order, or `{ "time": <candle time>, "plan": {...} }`
+ * objects, returned when the latest candle has that timestamp. Anything unmatched is a HOLD.
+ * @param {string} filePath - Path to the recorded plans.
+ * @returns {Promise<object>} A decision provider.
+ */
+async function createReplayProvider(filePath) {
+    const recorded = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (!Array.isArray(recorded)) throw new Error(`Replay file ${filePath} must contain a JSON array of plans.`);
+
+    const byTime = new Map();
+    const sequence = [];
+    for (const entry of recorded) {
+        if (entry && entry.time !== undefined && entry.plan) byTime.set(Number(entry.time), entry.plan);
+        else sequence.push(entry);
+    }
+
+    let nextIndex = 0;
+    const next = candles => {
+        const lastCandleTime = Number(candles[candles.length - 1][0]);
+        if (byTime.has(lastCandleTime)) return byTime.get(lastCandleTime);
+        if (nextIndex < sequence.length) return sequence[nextIndex++];
+        return { action: 'HOLD', reason: 'No recorded plan for this candle.' };
+    };
+
+    const provider = {
+        name: 'replay',
+        lastCall: null,
+        async decide(candles) {
+            const plan = next(candles);
+            provider.lastCall = { prompt: null, rawResponse: JSON.stringify(plan) };
+            return plan;
+        }
+    };
+    return provider;
+}
+
+/**
+ * Rejects if a promise does not settle in time.
+ */
+function withTimeout(promise, timeoutMs, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs} ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Tries each provider in turn until one returns a plan. A provider that throws or takes
+ * longer than `timeoutMs` hands over to the next; if all fail, the plan is HOLD, and
+ * `lastCall` keeps the prompt and response of the last provider that made a call. A
+ * `PlanParseError` is passed on to the caller instead, as the reply of a working provider.
+ * @param {Array<object>} providers - Providers in order of preference.
+ * @param {object} options
+ * @param {number} options.timeoutMs - Time allowed to each provider.
+ * @returns {object} A decision provider.
+ */
+function createFallbackProvider(providers, { timeoutMs }) {
+    const fallback = {
+        name: providers.map(p => p.name).join(' -> '),
+        buildPrompt: providers.find(p => p.buildPrompt)?.buildPrompt,
+        lastCall: null,
+        async decide(candles, indicators, accountContext, options = {}) {
+            const failures = [];
+            let lastAttempt = null;
+            for (const provider of providers) {
+                // Cleared so that a provider failing before its call leaves no stale prompt behind.
+                provider.lastCall = null;
+                try {
+                    const plan = await withTimeout(provider.decide(candles, indicators, accountContext, options), timeoutMs, provider.name);
+                    fallback.lastCall = { ...provider.lastCall, provider: provider.name };
+                    return plan;
+                } catch (error) {
+                    if (provider.lastCall) lastAttempt = provider.lastCall;
+                    if (error instanceof PlanParseError) {
+                        fallback.lastCall = { ...provider.lastCall, provider: provider.name };
+                        throw error;
+                    }
+                    console.error(`Decision provider "${provider.name}" failed: ${error.message}`);
+                    failures.push(`${provider.name}: ${error.message}`);
+                }
+            }
+            const plan = { action: 'HOLD', reason: `All decision providers failed (${failures.join('; ')}).` };
+            fallback.lastCall = { prompt: lastAttempt?.prompt ?? null, rawResponse: lastAttempt?.rawResponse ?? null, provider: null };
+            return plan;
+        }
+    };
+    return fallback;
+}
+
+module.exports = {
+    createDeepseekProvider,
+    createOpenAICompatibleProvider,
+    createRuleBasedProvider,
+    createReplayProvider,
+    createFallbackProvider,
+    parsePlanContent,
+    PlanParseError,
+    DEEPSEEK_API_URL
+};
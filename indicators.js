@@ -0,0 +1,202 @@
+/**
+ * =====================================================================================
+ * Indicator Pipeline
+ * =====================================================================================
+ *
+ * Description:
+ * Computes the market features the decision step and the stop logic work from. The
+ * indicators are declared as a list of specs, each naming an indicator type and its
+ * parameters, e.g.:
+ *
+ *     [{ type: 'ema', period: 20 }, { type: 'macd', fast: 12, slow: 26, signal: 9 }, { type: 'atr' }]
+ *
+ * Every spec produces one feature, named after its type and parameters (`ema20`,
+ * `macd12_26_9`, `atr14`), holding the latest value of the indicator. The pipeline is
+ * run on each timeframe separately; `resampleCandles` builds a higher timeframe from
+ * the candles of a lower one where the exchange's candles are not available (backtests).
+ *
+ * Types: sma, ema, rsi, macd, atr, bollinger, adx, volume (last volume against its
+ * average) and obv. Missing parameters take the defaults in INDICATORS.
+ *
+ * =====================================================================================
+ */
+
+const { SMA, EMA, RSI, MACD, ATR, BollingerBands, ADX, OBV } = require('technicalindicators');
+
+const last = values => (values.length > 0 ? values[values.length - 1] : undefined);
+
+/**
+ * Rounds every number of a feature to 4 decimals, to keep prompts and journal entries short.
+ */
+function roundFeature(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? Number(value.toFixed(4)) : undefined;
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, roundFeature(inner)]));
+    }
+    return value;
+}
+
+const INDICATORS = {
+    sma: {
+        defaults: { period: 20 },
+        name: p => `sma${p.period}`,
+        compute: (s, p) => last(SMA.calculate({ values: s.close, period: p.period }))
+    },
+    ema: {
+        defaults: { period: 20 },
+        name: p => `ema${p.period}`,
+        compute: (s, p) => last(EMA.calculate({ values: s.close, period: p.period }))
+    },
+    rsi: {
+        defaults: { period: 14 },
+        name: p => `rsi${p.period}`,
+        compute: (s, p) => last(RSI.calculate({ values: s.close, period: p.period }))
+    },
+    macd: {
+        defaults: { fast: 12, slow: 26, signal: 9 },
+        name: p => `macd${p.fast}_${p.slow}_${p.signal}`,
+        compute: (s, p) => {
+            const value = last(MACD.calculate({
+                values: s.close, fastPeriod: p.fast, slowPeriod: p.slow, signalPeriod: p.signal,
+                SimpleMAOscillator: false, SimpleMASignal: false
+            }));
+            return value && { macd: value.MACD, signal: value.signal, histogram: value.histogram };
+        }
+    },
+    atr: {
+        defaults: { period: 14 },
+        name: p => `atr${p.period}`,
+        compute: (s, p) => last(ATR.calculate({ high: s.high, low: s.low, close: s.close, period: p.period }))
+    },
+    bollinger: {
+        defaults: { period: 20, stdDev: 2 },
+        name: p => `bollinger${p.period}_${p.stdDev}`,
+        compute: (s, p) => {
+            const value = last(BollingerBands.calculate({ values: s.close, period: p.period, stdDev: p.stdDev }));
+            if (!value) return undefined;
+            return {
+                upper: value.upper,
+                middle: value.middle,
+                lower: value.lower,
+                widthPercent: ((value.upper - value.lower) / value.middle) * 100,
+                percentB: value.pb
+            };
+        }
+    },
+    adx: {
+        defaults: { period: 14 },
+        name: p => `adx${p.period}`,
+        compute: (s, p) => {
+            const value = last(ADX.calculate({ high: s.high, low: s.low, close: s.close, period: p.period }));
+            return value && { adx: value.adx, plusDi: value.pdi, minusDi: value.mdi };
+        }
+    },
+    volume: {
+        defaults: { period: 20 },
+        name: p => `volume${p.period}`,
+        compute: (s, p) => {
+            const average = last(SMA.calculate({ values: s.volume, period: p.period }));
+            const latest = last(s.volume);
+            return average === undefined ? undefined : { last: latest, average, ratio: average > 0 ? latest / average : null };
+        }
+    },
+    obv: {
+        defaults: {},
+        name: () => 'obv',
+        compute: s => last(OBV.calculate({ close: s.close, volume: s.volume }))
+    }
+};
+
+/**
+ * Checks a list of indicator specs.
+ * @param {Array<object>} specs - `[{ type, ...parameters }]`.
+ * @returns {string|null} The first problem found, or null.
+ */
+function validateIndicatorSpecs(specs) {
+    for (const spec of specs) {
+        const definition = INDICATORS[spec?.type];
+        if (!definition) return `unknown indicator type ${JSON.stringify(spec?.type)}; available: ${Object.keys(INDICATORS).join(', ')}`;
+        for (const [key, value] of Object.entries(spec)) {
+            if (key === 'type') continue;
+            if (!(key in definition.defaults)) return `${spec.type} has no parameter '${key}'`;
+            if (!(typeof value === 'number' && value > 0)) return `${spec.type}.${key} must be a positive number`;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {Array<Array>} candles - Kraken OHLC rows, oldest first.
+ * @returns {{ open: number[], high: number[], low: number[], close: number[], volume: number[] }}
+ */
+function toSeries(candles) {
+    const column = index => candles.map(c => parseFloat(c[index]));
+    return { open: column(1), high: column(2), low: column(3), close: column(4), volume: column(6) };
+}
+
+/**
+ * Runs the pipeline on one timeframe.
+ * @param {Array<Array>} candles - Kraken OHLC rows, oldest first, closed candles only.
+ * @param {Array<object>} specs - Indicator specs.
+ * @returns {object} `{ lastPrice, [feature]: value }`. A feature is missing when there are too few candles for it.
+ */
+function computeFeatures(candles, specs) {
+    const series = toSeries(candles);
+    const features = { lastPrice: last(series.close) };
+    for (const spec of specs) {
+        const definition = INDICATORS[spec.type];
+        const params = { ...definition.defaults, ...spec };
+        const value = roundFeature(definition.compute(series, params));
+        if (value !== undefined) features[definition.name(params)] = value;
+    }
+    return features;
+}
+
+/**
+ * @param {number} minutes - A candle interval.
+ * @returns {string} Its short label, e.g. '15m', '4h', '1d', '1w'.
+ */
+function formatTimeframe(minutes) {
+    if (minutes % 10080 === 0) return `${minutes / 10080}w`;
+    if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+    if (minutes % 60 === 0) return `${minutes / 60}h`;
+    return `${minutes}m`;
+}
+
+/**
+ * Aggregates candles into a longer interval aligned on UTC boundaries. Incomplete groups
+ * (at the start of the data, or a longer candle that is still forming) are left out.
+ * @param {Array<Array>} candles - Kraken OHLC rows, oldest first, timestamps in seconds.
+ * @param {number} fromMinutes - Interval of the given candles.
+ * @param {number} toMinutes - Target interval; a multiple of `fromMinutes`.
+ * @returns {Array<Array>} Aggregated rows in the same format.
+ */
+function resampleCandles(candles, fromMinutes, toMinutes) {
+    const perGroup = toMinutes / fromMinutes;
+    const groups = new Map();
+    for (const candle of candles) {
+        const start = Math.floor(Number(candle[0]) / (toMinutes * 60)) * toMinutes * 60;
+        if (!groups.has(start)) groups.set(start, []);
+        groups.get(start).push(candle);
+    }
+
+    const resampled = [];
+    for (const [start, rows] of groups) {
+        if (rows.length < perGroup) continue;
+        const volume = rows.reduce((sum, c) => sum + parseFloat(c[6]), 0);
+        const turnover = rows.reduce((sum, c) => sum + parseFloat(c[5]) * parseFloat(c[6]), 0);
+        resampled.push([
+            start,
+            rows[0][1],
+            String(Math.max(...rows.map(c => parseFloat(c[2])))),
+            String(Math.min(...rows.map(c => parseFloat(c[3])))),
+            rows[rows.length - 1][4],
+            String(volume > 0 ? turnover / volume : parseFloat(rows[rows.length - 1][4])),
+            String(volume),
+            rows.reduce((sum, c) => sum + Number(c[7] || 0), 0)
+        ]);
+    }
+    return resampled;
+}
+
+module.exports = { INDICATORS, validateIndicatorSpecs, computeFeatures, formatTimeframe, resampleCandles };
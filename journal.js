@@ -0,0 +1,257 @@
+/**
+ * =====================================================================================
+ * Trade & Decision Journal
+ * =====================================================================================
+ *
+ * Description:
+ * An append-only record of everything the bot does, kept in two JSONL files so that
+ * nothing is ever overwritten:
+ *
+ * - **Cycle journal**: one line per trading cycle with the market snapshot, the
+ *   indicators, the prompts sent and raw AI responses, the validated plan, the orders
+ *   sent with the exchange's responses, and the resulting notes (or the error that
+ *   ended the cycle).
+ * - **Trade ledger**: one line per closed trade with its entry, exit, fees and PnL.
+ *
+ * The bot's memory is rebuilt from the last entries of the cycle journal, and the
+ * `journal report` command summarizes performance from the ledger.
+ *
+ * =====================================================================================
+ */
+
+const fs = require('fs').promises;
+
+const READ_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Parses JSONL text, skipping lines that are not valid JSON (e.g. a line cut short by a crash).
+ */
+function parseJsonLines(text) {
+    const entries = [];
+    for (const line of text.split('\n')) {
+        if (line.trim().length === 0) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            console.error(`Skipping unreadable journal line: ${line.slice(0, 100)}`);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Reads the last `count` lines of a file without loading all of it.
+ * @param {string} filePath - The JSONL file.
+ * @param {number} count - Number of lines wanted.
+ * @returns {Promise<string>} The text of those lines, or '' if the file does not exist.
+ */
+async function readLastLines(filePath, count) {
+    let handle;
+    try {
+        handle = await fs.open(filePath, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') return '';
+        throw error;
+    }
+    try {
+        const { size } = await handle.stat();
+        let position = size;
+        let text = '';
+        // One extra newline, because the file ends with one.
+        while (position > 0 && text.split('\n').length <= count + 1) {
+            const length = Math.min(READ_CHUNK_BYTES, position);
+            position -= length;
+            const buffer = Buffer.alloc(length);
+            await handle.read(buffer, 0, length, position);
+            text = buffer.toString('utf8') + text;
+        }
+        const lines = text.split('\n').filter(line => line.length > 0);
+        // Unless the whole file was read, the first line may be partial.
+        return (position > 0 ? lines.slice(1) : lines).slice(-count).join('\n');
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Yields the lines of a file from the last to the first, reading it backwards in chunks.
+ * Lines are cut on the newline byte, so a character split between two chunks stays whole.
+ * @param {string} filePath - The JSONL file.
+ * @returns {AsyncGenerator<string>} The non-empty lines, newest first; none if the file does not exist.
+ */
+async function* readLinesBackwards(filePath) {
+    let handle;
+    try {
+        handle = await fs.open(filePath, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+    try {
+        const { size } = await handle.stat();
+        let position = size;
+        let remainder = Buffer.alloc(0);
+        while (position > 0) {
+            const length = Math.min(READ_CHUNK_BYTES, position);
+            position -= length;
+            const buffer = Buffer.alloc(length);
+            await handle.read(buffer, 0, length, position);
+            const data = Buffer.concat([buffer, remainder]);
+            let end = data.length;
+            for (let i = data.length - 1; i >= 0; i--) {
+                if (data[i] !== 0x0a) continue;
+                if (end > i + 1) yield data.toString('utf8', i + 1, end);
+                end = i;
+            }
+            // The start of a line that continues in the chunk before.
+            remainder = data.subarray(0, end);
+        }
+        if (remainder.length > 0) yield remainder.toString('utf8');
+    } finally {
+        await handle.close();
+    }
+}
+
+class Journal {
+    /**
+     * @param {object} options
+     * @param {string|null} options.journalPath - JSONL file for cycle entries. `null` keeps them in memory.
+     * @param {string|null} options.ledgerPath - JSONL file for closed trades. `null` keeps them in memory.
+     */
+    constructor({ journalPath = null, ledgerPath = null }) {
+        this.journalPath = journalPath;
+        this.ledgerPath = ledgerPath;
+        this.memoryCycles = [];
+        this.memoryTrades = [];
+        this.pendingExchangeCalls = [];
+    }
+
+    async appendLine(filePath, entry) {
+        await fs.appendFile(filePath, JSON.stringify(entry) + '\n', 'utf8');
+    }
+
+    // --- Cycle journal ---
+
+    /**
+     * Records an order request and the exchange's response. They are attached to the next cycle entry.
+     * @param {string} type - 'sendorder' or 'cancelorder'.
+     * @param {object} request - What was sent.
+     * @param {object} response - What the exchange returned, or `{ error }` if the call failed.
+     */
+    recordExchangeCall(type, request, response) {
+        this.pendingExchangeCalls.push({ time: new Date().toISOString(), type, request, response });
+    }
+
+    /**
+     * @returns {boolean} Whether exchange calls were recorded since the last cycle entry.
+     */
+    hasPendingExchangeCalls() {
+        return this.pendingExchangeCalls.length > 0;
+    }
+
+    /**
+     * Appends a cycle entry, together with the exchange calls recorded since the last one.
+     * @param {object} entry - The cycle record; a `time` is added if missing.
+     */
+    async appendCycle(entry) {
+        const record = { time: new Date().toISOString(), ...entry, exchangeCalls: this.pendingExchangeCalls };
+        this.pendingExchangeCalls = [];
+        if (!this.journalPath) {
+            this.memoryCycles.push(record);
+            return;
+        }
+        try {
+            await this.appendLine(this.journalPath, record);
+        } catch (error) {
+            console.error("Could not write to the journal file.", error);
+        }
+    }
+
+    /**
+     * @param {number} count - Number of entries wanted.
+     * @returns {Promise<Array<object>>} The last `count` cycle entries, oldest first.
+     */
+    async readRecentCycles(count) {
+        if (!this.journalPath) return this.memoryCycles.slice(-count);
+        return parseJsonLines(await readLastLines(this.journalPath, count));
+    }
+
+    /**
+     * Searches the journal from the newest entry back, however far that takes.
+     * @param {function(object): boolean} predicate - Whether an entry is the one wanted.
+     * @returns {Promise<object|null>} The latest cycle entry that matches, or null if none does.
+     */
+    async findLatestCycle(predicate) {
+        if (!this.journalPath) return [...this.memoryCycles].reverse().find(predicate) || null;
+        for await (const line of readLinesBackwards(this.journalPath)) {
+            const [entry] = parseJsonLines(line);
+            if (entry && predicate(entry)) return entry;
+        }
+        return null;
+    }
+
+    // --- Trade ledger ---
+
+    /**
+     * @returns {Promise<Array<object>>} Every closed trade, oldest first.
+     */
+    async readTrades() {
+        if (!this.ledgerPath) return [...this.memoryTrades];
+        try {
+            return parseJsonLines(await fs.readFile(this.ledgerPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Appends the closed trades that are not in the ledger yet, i.e. those that closed
+     * after the last recorded exit of their symbol.
+     * @param {Array<object>} trades - Trades from `buildTradeList`; open ones are ignored.
+     * @returns {Promise<Array<object>>} The trades that were added.
+     */
+    async recordClosedTrades(trades) {
+        const recorded = await this.readTrades();
+        const lastExitTime = {};
+        for (const trade of recorded) {
+            if (!lastExitTime[trade.symbol] || trade.exitTime > lastExitTime[trade.symbol]) lastExitTime[trade.symbol] = trade.exitTime;
+        }
+
+        const added = trades.filter(trade => trade.status === 'Closed' && (!lastExitTime[trade.symbol] || trade.exitTime > lastExitTime[trade.symbol]));
+        for (const trade of added) {
+            console.log(`Ledger: closed ${trade.side} ${trade.symbol}, net PnL ${trade.netPnl.toFixed(2)} USD.`);
+            if (this.ledgerPath) await this.appendLine(this.ledgerPath, trade);
+            else this.memoryTrades.push(trade);
+        }
+        return added;
+    }
+}
+
+/**
+ * Summarizes the performance of closed trades.
+ * @param {Array<object>} trades - Ledger entries.
+ * @returns {object} Trade counts, win rate, PnL, fees, average win and loss, and profit factor.
+ */
+function summarizeLedger(trades) {
+    const wins = trades.filter(t => t.netPnl > 0);
+    const losses = trades.filter(t => t.netPnl <= 0);
+    const sum = (list, key) => list.reduce((total, t) => total + t[key], 0);
+    const grossWins = sum(wins, 'netPnl');
+    const grossLosses = Math.abs(sum(losses, 'netPnl'));
+    return {
+        totalTrades: trades.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRatePercent: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+        netPnl: sum(trades, 'netPnl'),
+        feesPaid: sum(trades, 'fees'),
+        averageWin: wins.length > 0 ? grossWins / wins.length : 0,
+        averageLoss: losses.length > 0 ? -grossLosses / losses.length : 0,
+        profitFactor: grossLosses > 0 ? grossWins / grossLosses : null,
+        firstTrade: trades[0]?.entryTime || null,
+        lastTrade: trades[trades.length - 1]?.exitTime || null
+    };
+}
+
+module.exports = { Journal, summarizeLedger };
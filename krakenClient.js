@@ -0,0 +1,383 @@
+/**
+ * =====================================================================================
+ * Kraken Futures REST Client
+ * =====================================================================================
+ *
+ * Description:
+ * A single client for the Kraken Futures v3 REST API. It signs private requests,
+ * issues strictly increasing nonces, keeps within Kraken's rate limit, retries
+ * idempotent calls with exponential backoff, and turns every failure into a typed
+ * error:
+ *
+ * - `KrakenNetworkError`: no response, a timeout or a 5xx status. Retried for idempotent calls.
+ * - `KrakenRateLimitError`: HTTP 429 or `apiLimitExceeded`. Retried for idempotent calls.
+ * - `KrakenAuthError`: the key, signature or nonce was refused.
+ * - `KrakenApiError`: any other `result: "error"` body.
+ * - `KrakenOrderRejectedError`: the call succeeded but the order was not accepted,
+ *   e.g. a `sendStatus.status` of "insufficientAvailableFunds". The body is kept on
+ *   `error.body`.
+ *
+ * Requests go through a transport, `async ({ method, url, headers, body }) => ({ status, data })`,
+ * which defaults to axios and can be replaced to run the client against a mock server.
+ *
+ * =====================================================================================
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Kraken allows 500 cost units per 10 seconds on the private derivatives endpoints.
+const RATE_LIMIT_BUDGET = 500;
+const RATE_LIMIT_WINDOW_MS = 10000;
+const ENDPOINT_COSTS = {
+    '/derivatives/api/v3/sendorder': 10,
+    '/derivatives/api/v3/editorder': 10,
+    '/derivatives/api/v3/cancelorder': 10,
+    '/derivatives/api/v3/cancelallorders': 25,
+    '/derivatives/api/v3/accounts': 2,
+    '/derivatives/api/v3/openpositions': 2,
+    '/derivatives/api/v3/openorders': 2,
+    '/derivatives/api/v3/fills': 2,
+    '/derivatives/api/v3/orders/status': 1
+};
+
+// `sendStatus.status` values of an order the exchange took: resting, or (partly) executed at once.
+const ACCEPTED_ORDER_STATUSES = ['placed', 'partiallyFilled', 'filled'];
+
+/**
+ * @param {object} [sendStatus] - The `sendStatus` of a `sendorder` response.
+ * @returns {boolean} Whether the order was accepted.
+ */
+function isAccepted(sendStatus) {
+    return ACCEPTED_ORDER_STATUSES.includes(sendStatus?.status);
+}
+
+const AUTH_ERRORS = ['authenticationError', 'apiKeyRequired', 'invalidKey', 'invalidSignature', 'invalidAuthentication', 'nonceBelowThreshold', 'nonceDuplicate'];
+
+// =====================================================================================
+// SECTION 1: ERRORS
+// =====================================================================================
+
+class KrakenError extends Error {
+    /**
+     * @param {string} message - Human-readable description.
+     * @param {object} [details]
+     * @param {string} [details.endpoint] - The endpoint that was called.
+     * @param {number} [details.status] - HTTP status, if a response arrived.
+     * @param {object} [details.body] - The response body, if any.
+     * @param {string} [details.code] - Kraken's error or order status code.
+     */
+    constructor(message, { endpoint = null, status = null, body = null, code = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.endpoint = endpoint;
+        this.status = status;
+        this.body = body;
+        this.code = code;
+    }
+}
+
+class KrakenNetworkError extends KrakenError {}
+class KrakenRateLimitError extends KrakenError {}
+class KrakenAuthError extends KrakenError {}
+class KrakenApiError extends KrakenError {}
+class KrakenOrderRejectedError extends KrakenError {}
+
+// =====================================================================================
+// SECTION 2: TRANSPORT & RATE LIMITING
+// =====================================================================================
+
+/**
+ * The default transport. Every HTTP status is returned to the client, which interprets it.
+ * @param {number} timeoutMs - Request timeout.
+ * @returns {Function} A transport.
+ */
+function createAxiosTransport(timeoutMs) {
+    return async ({ method, url, headers, body }) => {
+        const response = await axios.request({ method, url, headers, data: body, timeout: timeoutMs, validateStatus: () => true });
+        return { status: response.status, data: response.data };
+    };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A sliding-window budget of cost units, as used by Kraken's rate limiter.
+ */
+class RateLimiter {
+    constructor({ budget, windowMs, wait = sleep }) {
+        this.budget = budget;
+        this.windowMs = windowMs;
+        this.wait = wait;
+        this.spent = []; // { time, cost }
+    }
+
+    /**
+     * Resolves once `cost` units can be spent without exceeding the budget.
+     */
+    async acquire(cost) {
+        if (cost <= 0) return;
+        for (;;) {
+            const now = Date.now();
+            this.spent = this.spent.filter(entry => now - entry.time < this.windowMs);
+            const used = this.spent.reduce((sum, entry) => sum + entry.cost, 0);
+            if (used + cost <= this.budget || this.spent.length === 0) {
+                this.spent.push({ time: now, cost });
+                return;
+            }
+            await this.wait(this.spent[0].time + this.windowMs - now);
+        }
+    }
+}
+
+// =====================================================================================
+// SECTION 3: CLIENT
+// =====================================================================================
+
+class KrakenFuturesClient {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKey - Kraken Futures API key.
+     * @param {string} options.apiSecret - Kraken Futures API secret (base64).
+     * @param {string} [options.baseUrl='https://futures.kraken.com'] - API host.
+     * @param {Function} [options.transport] - Replaces the axios transport, e.g. for tests.
+     * @param {number} [options.timeoutMs=15000] - Timeout of the default transport.
+     * @param {number} [options.maxRetries=3] - Retries of an idempotent call after a network or rate-limit error.
+     * @param {number} [options.retryBaseDelayMs=500] - First backoff delay; it doubles on each retry.
+     * @param {Function} [options.wait] - `async ms => {}` used for backoff and rate limiting.
+     */
+    constructor({ apiKey, apiSecret, baseUrl = 'https://futures.kraken.com', transport, timeoutMs = 15000, maxRetries = 3, retryBaseDelayMs = 500, wait = sleep }) {
+        this.apiKey = apiKey;
+        this.apiSecret = apiSecret;
+        this.baseUrl = baseUrl;
+        this.transport = transport || createAxiosTransport(timeoutMs);
+        this.maxRetries = maxRetries;
+        this.retryBaseDelayMs = retryBaseDelayMs;
+        this.wait = wait;
+        this.rateLimiter = new RateLimiter({ budget: RATE_LIMIT_BUDGET, windowMs: RATE_LIMIT_WINDOW_MS, wait });
+        this.lastNonce = 0;
+    }
+
+    // --- Signing ---
+
+    /**
+     * Returns a nonce greater than every nonce issued before, even within the same millisecond.
+     */
+    createNonce() {
+        this.lastNonce = Math.max(Date.now() * 1000, this.lastNonce + 1);
+        return String(this.lastNonce);
+    }
+
+    /**
+     * Computes the `Authent` header: HMAC-SHA512 (keyed with the decoded secret) of the
+     * SHA-256 of postData + nonce + the endpoint path without its '/derivatives' prefix.
+     */
+    signRequest(endpoint, nonce, postData = '') {
+        const path = endpoint.startsWith('/derivatives') ? endpoint.slice('/derivatives'.length) : endpoint;
+        const message = postData + nonce + path;
+        const hash = crypto.createHash('sha256').update(message).digest();
+        const secretDecoded = Buffer.from(this.apiSecret, 'base64');
+        const hmac = crypto.createHmac('sha512', secretDecoded);
+        return hmac.update(hash).digest('base64');
+    }
+
+    // --- Requests ---
+
+    /**
+     * Sends one request, retrying it if it is idempotent and failed transiently.
+     * @param {string} method - 'GET' or 'POST'.
+     * @param {string} endpoint - Path starting with '/derivatives/api/v3/'.
+     * @param {object} [options]
+     * @param {object} [options.params] - Query (GET) or form (POST) parameters; undefined and null values are dropped.
+     * @param {boolean} [options.isPrivate=true] - Whether the request must be signed.
+     * @param {boolean} [options.idempotent] - Whether it is safe to retry; defaults to true for GET.
+     * @returns {Promise<object>} The response body.
+     */
+    async request(method, endpoint, { params = {}, isPrivate = true, idempotent = method === 'GET' } = {}) {
+        const encoded = new URLSearchParams(Object.entries(params).filter(([, v]) => v !== undefined && v !== null)).toString();
+        for (let attempt = 0; ; attempt++) {
+            try {
+                if (isPrivate) await this.rateLimiter.acquire(ENDPOINT_COSTS[endpoint] || 1);
+                return await this.send(method, endpoint, encoded, isPrivate);
+            } catch (error) {
+                const transient = error instanceof KrakenNetworkError || error instanceof KrakenRateLimitError;
+                if (!idempotent || !transient || attempt >= this.maxRetries) throw error;
+                const delay = this.retryBaseDelayMs * 2 ** attempt;
+                console.log(`Kraken ${endpoint} failed (${error.message}). Retrying in ${delay} ms.`);
+                await this.wait(delay);
+            }
+        }
+    }
+
+    async send(method, endpoint, encoded, isPrivate) {
+        const isGet = method === 'GET';
+        const url = this.baseUrl + endpoint + (isGet && encoded ? `?${encoded}` : '');
+        const headers = { 'Accept': 'application/json' };
+        if (isPrivate) {
+            // A new nonce for every attempt, so retries are not refused as duplicates.
+            const nonce = this.createNonce();
+            headers['APIKey'] = this.apiKey;
+            headers['Nonce'] = nonce;
+            headers['Authent'] = this.signRequest(endpoint, nonce, encoded);
+        }
+        if (!isGet) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+
+        let response;
+        try {
+            response = await this.transport({ method, url, headers, body: isGet ? undefined : encoded });
+        } catch (error) {
+            throw new KrakenNetworkError(`Request to ${endpoint} failed: ${error.message}`, { endpoint });
+        }
+        return this.parseResponse(endpoint, response);
+    }
+
+    parseResponse(endpoint, { status, data }) {
+        const body = typeof data === 'string' ? safeJsonParse(data) : data;
+        const code = body?.error || null;
+        if (status === 429 || code === 'apiLimitExceeded') {
+            throw new KrakenRateLimitError(`Rate limit exceeded on ${endpoint}.`, { endpoint, status, body, code });
+        }
+        if (status >= 500) throw new KrakenNetworkError(`Kraken returned HTTP ${status} for ${endpoint}.`, { endpoint, status, body });
+        if (status === 401 || AUTH_ERRORS.includes(code)) {
+            throw new KrakenAuthError(`Kraken refused the credentials for ${endpoint}: ${code || `HTTP ${status}`}.`, { endpoint, status, body, code });
+        }
+        if (status >= 400 || !body || body.result === 'error') {
+            throw new KrakenApiError(`Kraken error on ${endpoint}: ${code || `HTTP ${status}`}.`, { endpoint, status, body, code });
+        }
+        return body;
+    }
+
+    /**
+     * Throws `KrakenOrderRejectedError` unless the status object reports one of the accepted statuses.
+     */
+    checkOrderStatus(endpoint, body, statusKey, acceptedStatuses) {
+        const status = body[statusKey]?.status;
+        if (!acceptedStatuses.includes(status)) {
+            throw new KrakenOrderRejectedError(`Kraken rejected the request to ${endpoint}: ${status}.`, { endpoint, body, code: status });
+        }
+        return body;
+    }
+
+    // --- Account ---
+
+    getAccounts() {
+        return this.request('GET', '/derivatives/api/v3/accounts');
+    }
+
+    getOpenPositions() {
+        return this.request('GET', '/derivatives/api/v3/openpositions');
+    }
+
+    getOpenOrders() {
+        return this.request('GET', '/derivatives/api/v3/openorders');
+    }
+
+    /**
+     * @param {string} [lastFillTime] - ISO time; only fills before it are returned.
+     */
+    getFills(lastFillTime) {
+        return this.request('GET', '/derivatives/api/v3/fills', { params: { lastFillTime } });
+    }
+
+    /**
+     * @param {Array<string>} orderIds - Orders to look up, open or recently closed.
+     */
+    getOrderStatus(orderIds) {
+        return this.request('POST', '/derivatives/api/v3/orders/status', { params: { orderIds: orderIds.join(',') }, idempotent: true });
+    }
+
+    // --- Orders (never retried, so that an order is not sent twice) ---
+
+    /**
+     * @param {object} order - `{ orderType, symbol, side, size, limitPrice?, stopPrice?, reduceOnly? }`.
+     */
+    async sendOrder(order) {
+        const endpoint = '/derivatives/api/v3/sendorder';
+        const body = await this.request('POST', endpoint, {
+            params: {
+                orderType: order.orderType,
+                symbol: order.symbol,
+                side: order.side,
+                size: order.size,
+                limitPrice: order.limitPrice || undefined,
+                stopPrice: order.stopPrice || undefined,
+                reduceOnly: order.reduceOnly ? 'true' : undefined
+            }
+        });
+        return this.checkOrderStatus(endpoint, body, 'sendStatus', ACCEPTED_ORDER_STATUSES);
+    }
+
+    /**
+     * @param {object} edit - `{ orderId, size?, limitPrice?, stopPrice? }`.
+     */
+    async editOrder({ orderId, size, limitPrice, stopPrice }) {
+        const endpoint = '/derivatives/api/v3/editorder';
+        const body = await this.request('POST', endpoint, { params: { orderId, size, limitPrice, stopPrice } });
+        return this.checkOrderStatus(endpoint, body, 'editStatus', ['edited']);
+    }
+
+    async cancelOrder(orderId) {
+        const endpoint = '/derivatives/api/v3/cancelorder';
+        const body = await this.request('POST', endpoint, { params: { order_id: orderId } });
+        return this.checkOrderStatus(endpoint, body, 'cancelStatus', ['cancelled']);
+    }
+
+    /**
+     * @param {string} [symbol] - Only cancel orders of this symbol.
+     */
+    async cancelAllOrders(symbol) {
+        const endpoint = '/derivatives/api/v3/cancelallorders';
+        const body = await this.request('POST', endpoint, { params: { symbol } });
+        return this.checkOrderStatus(endpoint, body, 'cancelStatus', ['cancelled', 'noOrdersToCancel']);
+    }
+
+    // --- Market data (public) ---
+
+    getTickers() {
+        return this.request('GET', '/derivatives/api/v3/tickers', { isPrivate: false });
+    }
+
+    /**
+     * @returns {Promise<object|null>} The ticker of one symbol, or null if Kraken does not list it.
+     */
+    async getTicker(symbol) {
+        const { tickers } = await this.getTickers();
+        return (tickers || []).find(t => t.symbol.toLowerCase() === symbol.toLowerCase()) || null;
+    }
+
+    /**
+     * @param {string} symbol - A futures symbol, e.g. 'pf_xbtusd'.
+     * @returns {Promise<object>} `{ orderBook: { bids: [[price, size]], asks: [[price, size]] } }`, best prices first.
+     */
+    getOrderBook(symbol) {
+        return this.request('GET', '/derivatives/api/v3/orderbook', { params: { symbol }, isPrivate: false });
+    }
+
+    /**
+     * Contract specifications: tick size, contract size, precision and so on.
+     */
+    getInstruments() {
+        return this.request('GET', '/derivatives/api/v3/instruments', { isPrivate: false });
+    }
+}
+
+function safeJsonParse(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    KrakenFuturesClient,
+    KrakenError,
+    KrakenNetworkError,
+    KrakenRateLimitError,
+    KrakenAuthError,
+    KrakenApiError,
+    KrakenOrderRejectedError,
+    ACCEPTED_ORDER_STATUSES,
+    isAccepted,
+    createAxiosTransport
+};
@@ -0,0 +1,323 @@
+/**
+ * =====================================================================================
+ * Kraken Futures WebSocket Feed
+ * =====================================================================================
+ *
+ * Description:
+ * Keeps an authenticated WebSocket connection to Kraken Futures open and mirrors the
+ * account in memory, so the bot learns about fills and stop-outs as they happen rather
+ * than at the next candle.
+ *
+ * - **Authentication**: Kraken's challenge flow. The feed asks for a challenge, signs
+ *   it with the API secret and sends both with every private subscription.
+ * - **Feeds**: fills, open_positions and open_orders (private) and ticker (public).
+ * - **Resilience**: pings keep the connection alive; a silent or dropped connection is
+ *   re-opened with exponential backoff and every feed is subscribed again. The
+ *   snapshots Kraken sends on subscription are compared with the known state, so fills
+ *   and position changes missed while disconnected are still emitted.
+ *
+ * Events (the feed is an EventEmitter):
+ *
+ * - `fill` (fill), `stopTriggered` (order), `orderCancelled` ({ order, reason }),
+ *   `positionChanged` (position), `positionClosed` (previous position), `ticker` (ticker),
+ *   `connected`, `disconnected`, `error` (error).
+ *
+ * Fills, orders and positions use the same shapes as the REST API, with lowercase symbols.
+ *
+ * =====================================================================================
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const PING_INTERVAL_MS = 30000;
+const SILENCE_TIMEOUT_MS = 90000; // The heartbeat feed sends a message every few seconds.
+const MAX_SEEN_FILLS = 1000;
+
+const ORDER_TYPES = { limit: 'lmt', stop: 'stop', take_profit: 'take_profit' };
+
+// =====================================================================================
+// SECTION 1: MESSAGE NORMALIZATION
+// =====================================================================================
+
+function normalizeFill(fill) {
+    return {
+        fill_id: fill.fill_id,
+        order_id: fill.order_id,
+        symbol: String(fill.instrument).toLowerCase(),
+        side: fill.buy ? 'buy' : 'sell',
+        size: parseFloat(fill.qty),
+        price: parseFloat(fill.price),
+        fillTime: new Date(fill.time).toISOString(),
+        fillType: fill.fill_type,
+        fee: fill.fee_paid !== undefined ? parseFloat(fill.fee_paid) : undefined
+    };
+}
+
+function normalizeOrder(order) {
+    return {
+        order_id: order.order_id,
+        symbol: String(order.instrument).toLowerCase(),
+        side: order.direction === 0 ? 'buy' : 'sell',
+        orderType: ORDER_TYPES[order.type] || order.type,
+        limitPrice: order.limit_price,
+        stopPrice: order.stop_price,
+        unfilledSize: parseFloat(order.qty) - parseFloat(order.filled || 0),
+        filledSize: parseFloat(order.filled || 0),
+        reduceOnly: !!order.reduce_only
+    };
+}
+
+function normalizePosition(position) {
+    const balance = parseFloat(position.balance);
+    return {
+        symbol: String(position.instrument).toLowerCase(),
+        side: balance > 0 ? 'long' : 'short',
+        size: Math.abs(balance),
+        price: parseFloat(position.entry_price),
+        markPrice: position.mark_price !== undefined ? parseFloat(position.mark_price) : undefined
+    };
+}
+
+// =====================================================================================
+// SECTION 2: FEED
+// =====================================================================================
+
+class KrakenFuturesFeed extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKey - Kraken Futures API key.
+     * @param {string} options.apiSecret - Kraken Futures API secret (base64).
+     * @param {string} [options.url='wss://futures.kraken.com/ws/v1'] - WebSocket endpoint.
+     * @param {Array<string>} [options.productIds=[]] - Symbols for the ticker feed.
+     * @param {Function} [options.createSocket] - `url => socket`, replacing the `ws` client, e.g. for tests.
+     * @param {number} [options.reconnectBaseDelayMs=1000] - First reconnect delay; it doubles up to `reconnectMaxDelayMs`.
+     * @param {number} [options.reconnectMaxDelayMs=60000]
+     */
+    constructor({ apiKey, apiSecret, url = 'wss://futures.kraken.com/ws/v1', productIds = [], createSocket, reconnectBaseDelayMs = 1000, reconnectMaxDelayMs = 60000 }) {
+        super();
+        this.apiKey = apiKey;
+        this.apiSecret = apiSecret;
+        this.url = url;
+        this.productIds = productIds;
+        this.createSocket = createSocket || (target => new WebSocket(target));
+        this.reconnectBaseDelayMs = reconnectBaseDelayMs;
+        this.reconnectMaxDelayMs = reconnectMaxDelayMs;
+
+        this.socket = null;
+        this.stopped = true;
+        this.reconnectAttempts = 0;
+        this.timers = {};
+        this.challenge = null;
+        this.lastMessageAt = 0;
+
+        // In-memory mirror of the account.
+        this.state = { positions: {}, openOrders: {}, tickers: {}, fills: [] };
+        this.seenFillIds = new Set();
+        this.hasFillSnapshot = false;
+    }
+
+    // --- Connection lifecycle ---
+
+    start() {
+        if (!this.stopped) return;
+        this.stopped = false;
+        this.connect();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timers.reconnect);
+        this.stopKeepAlive();
+        this.timers = {};
+        if (this.socket) this.socket.close();
+        this.socket = null;
+    }
+
+    connect() {
+        const socket = this.createSocket(this.url);
+        this.socket = socket;
+        this.challenge = null;
+
+        socket.on('open', () => {
+            this.reconnectAttempts = 0;
+            this.lastMessageAt = Date.now();
+            this.send({ event: 'challenge', api_key: this.apiKey });
+            this.send({ event: 'subscribe', feed: 'heartbeat' });
+            if (this.productIds.length > 0) this.send({ event: 'subscribe', feed: 'ticker', product_ids: this.productIds });
+            this.startKeepAlive();
+            this.emit('connected');
+        });
+        socket.on('message', data => this.handleMessage(data));
+        socket.on('error', error => this.emit('error', error));
+        socket.on('close', () => {
+            if (socket !== this.socket) return;
+            this.stopKeepAlive();
+            this.emit('disconnected');
+            this.scheduleReconnect();
+        });
+    }
+
+    scheduleReconnect() {
+        if (this.stopped) return;
+        const delay = Math.min(this.reconnectMaxDelayMs, this.reconnectBaseDelayMs * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+        console.log(`Kraken feed disconnected. Reconnecting in ${delay} ms.`);
+        this.timers.reconnect = setTimeout(() => this.connect(), delay);
+    }
+
+    startKeepAlive() {
+        this.stopKeepAlive();
+        this.timers.ping = setInterval(() => {
+            if (Date.now() - this.lastMessageAt > SILENCE_TIMEOUT_MS) {
+                console.log('Kraken feed went silent. Dropping the connection.');
+                this.socket.terminate ? this.socket.terminate() : this.socket.close();
+                return;
+            }
+            if (this.socket.ping) this.socket.ping();
+        }, PING_INTERVAL_MS);
+    }
+
+    stopKeepAlive() {
+        clearInterval(this.timers.ping);
+        delete this.timers.ping;
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(message));
+    }
+
+    // --- Authentication ---
+
+    /**
+     * Signs a challenge: HMAC-SHA512 (keyed with the decoded secret) of its SHA-256 hash.
+     */
+    signChallenge(challenge) {
+        const hash = crypto.createHash('sha256').update(challenge).digest();
+        return crypto.createHmac('sha512', Buffer.from(this.apiSecret, 'base64')).update(hash).digest('base64');
+    }
+
+    subscribePrivateFeeds() {
+        const credentials = { api_key: this.apiKey, original_challenge: this.challenge, signed_challenge: this.signChallenge(this.challenge) };
+        for (const feed of ['fills', 'open_positions', 'open_orders']) this.send({ event: 'subscribe', feed, ...credentials });
+    }
+
+    // --- Messages ---
+
+    handleMessage(data) {
+        this.lastMessageAt = Date.now();
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.emit('error', new Error(`Unreadable Kraken feed message: ${String(data).slice(0, 200)}`));
+            return;
+        }
+
+        if (message.event === 'challenge' && message.message) {
+            this.challenge = message.message;
+            this.subscribePrivateFeeds();
+            return;
+        }
+        if (message.event === 'error' || message.event === 'alert') {
+            this.emit('error', new Error(`Kraken feed error: ${message.message}`));
+            return;
+        }
+
+        switch (message.feed) {
+            case 'fills_snapshot':
+                this.applyFillSnapshot(message.fills || []);
+                break;
+            case 'fills':
+                (message.fills || []).forEach(fill => this.applyFill(normalizeFill(fill)));
+                break;
+            case 'open_positions':
+                this.applyPositions((message.positions || []).map(normalizePosition));
+                break;
+            case 'open_orders_snapshot':
+                this.state.openOrders = {};
+                (message.orders || []).forEach(order => { this.state.openOrders[order.order_id] = normalizeOrder(order); });
+                break;
+            case 'open_orders':
+                this.applyOrderUpdate(message);
+                break;
+            case 'ticker':
+                this.state.tickers[String(message.product_id).toLowerCase()] = message;
+                this.emit('ticker', message);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * The first snapshot only seeds the known fills; later ones (after a reconnect)
+     * emit the fills that happened while the connection was down.
+     */
+    applyFillSnapshot(fills) {
+        const normalized = fills.map(normalizeFill).sort((a, b) => a.fillTime.localeCompare(b.fillTime));
+        for (const fill of normalized) {
+            if (!this.hasFillSnapshot) this.rememberFill(fill);
+            else this.applyFill(fill);
+        }
+        this.hasFillSnapshot = true;
+    }
+
+    rememberFill(fill) {
+        this.seenFillIds.add(fill.fill_id);
+        this.state.fills.unshift(fill);
+        if (this.state.fills.length > MAX_SEEN_FILLS) {
+            const dropped = this.state.fills.pop();
+            this.seenFillIds.delete(dropped.fill_id);
+        }
+    }
+
+    applyFill(fill) {
+        if (this.seenFillIds.has(fill.fill_id)) return;
+        this.rememberFill(fill);
+        this.emit('fill', fill);
+    }
+
+    applyPositions(positions) {
+        const previous = this.state.positions;
+        const current = {};
+        positions.filter(p => p.size > 0).forEach(p => { current[p.symbol] = p; });
+        this.state.positions = current;
+
+        for (const [symbol, position] of Object.entries(previous)) {
+            if (!current[symbol]) this.emit('positionClosed', position);
+        }
+        for (const [symbol, position] of Object.entries(current)) {
+            const before = previous[symbol];
+            if (!before || before.size !== position.size || before.side !== position.side) this.emit('positionChanged', position);
+        }
+    }
+
+    applyOrderUpdate(message) {
+        if (message.is_cancel) {
+            const order = this.state.openOrders[message.order_id] || (message.order ? normalizeOrder(message.order) : { order_id: message.order_id });
+            delete this.state.openOrders[message.order_id];
+            if (message.reason === 'stop_order_triggered') this.emit('stopTriggered', order);
+            else this.emit('orderCancelled', { order, reason: message.reason });
+            return;
+        }
+        if (message.order) this.state.openOrders[message.order.order_id] = normalizeOrder(message.order);
+    }
+
+    // --- Accessors ---
+
+    getPosition(symbol) {
+        return this.state.positions[symbol.toLowerCase()] || null;
+    }
+
+    getOpenOrders(symbol) {
+        return Object.values(this.state.openOrders).filter(o => !symbol || o.symbol === symbol.toLowerCase());
+    }
+
+    getTicker(symbol) {
+        return this.state.tickers[symbol.toLowerCase()] || null;
+    }
+}
+
+module.exports = { KrakenFuturesFeed };
@@ -0,0 +1,104 @@
+/**
+ * =====================================================================================
+ * Derivatives Market Context
+ * =====================================================================================
+ *
+ * Description:
+ * The candles come from the spot market, but the bot trades a perpetual on Kraken
+ * Futures. This module reads the perpetual's own state from the public futures
+ * endpoints, for the prompt, the journal and the entry price of new positions:
+ *
+ * - **Ticker**: mark and index price (and the premium between them), last trade,
+ *   funding rate and predicted funding, open interest and 24h volume.
+ * - **Order book**: best bid and ask, the spread, and the resting size on each side
+ *   within a band around the mid price.
+ *
+ * Kraken quotes the funding rate of its perpetuals as an absolute amount per contract
+ * and hour; it is also given relative to the index price, in percent per hour.
+ *
+ * =====================================================================================
+ */
+
+const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+const round = (value, decimals = 6) => (value === null || !Number.isFinite(value) ? null : Number(value.toFixed(decimals)));
+
+/**
+ * @param {object} ticker - One entry of Kraken's `tickers` response.
+ * @returns {object} The ticker figures the bot uses, as numbers.
+ */
+function summarizeTicker(ticker) {
+    const markPrice = toNumber(ticker.markPrice);
+    const indexPrice = toNumber(ticker.indexPrice);
+    const fundingRate = toNumber(ticker.fundingRate);
+    const predictedFundingRate = toNumber(ticker.fundingRatePrediction);
+    const relativeToIndex = rate => (rate !== null && indexPrice > 0 ? (rate / indexPrice) * 100 : null);
+    return {
+        markPrice,
+        indexPrice,
+        lastPrice: toNumber(ticker.last),
+        premiumPercent: round(markPrice !== null && indexPrice > 0 ? ((markPrice - indexPrice) / indexPrice) * 100 : null, 4),
+        fundingRate,
+        fundingRatePercentPerHour: round(relativeToIndex(fundingRate)),
+        predictedFundingRate,
+        predictedFundingRatePercentPerHour: round(relativeToIndex(predictedFundingRate)),
+        openInterest: toNumber(ticker.openInterest),
+        volume24h: toNumber(ticker.vol24h),
+        volumeQuote24h: toNumber(ticker.volumeQuote),
+        change24hPercent: toNumber(ticker.change24h),
+        suspended: ticker.suspended === true
+    };
+}
+
+/**
+ * @param {object} orderBook - `{ bids: [[price, size]], asks: [[price, size]] }`, as returned by Kraken.
+ * @param {number} depthBandPercent - Band around the mid price within which resting size is totalled.
+ * @returns {object|null} Best prices, spread and depth; null for an empty side.
+ */
+function summarizeOrderBook(orderBook, depthBandPercent) {
+    const levels = side => (orderBook?.[side] || []).map(([price, size]) => ({ price: Number(price), size: Number(size) }));
+    // Kraken sorts both sides best price first, but the order is not relied on.
+    const bids = levels('bids').sort((a, b) => b.price - a.price);
+    const asks = levels('asks').sort((a, b) => a.price - b.price);
+    if (bids.length === 0 || asks.length === 0) return null;
+
+    const bestBid = bids[0].price;
+    const bestAsk = asks[0].price;
+    const mid = (bestBid + bestAsk) / 2;
+    const band = mid * (depthBandPercent / 100);
+    const depth = list => list.filter(level => Math.abs(level.price - mid) <= band).reduce((sum, level) => sum + level.size, 0);
+    const bidDepth = depth(bids);
+    const askDepth = depth(asks);
+    return {
+        bestBid,
+        bestAsk,
+        spread: round(bestAsk - bestBid),
+        spreadPercent: round(((bestAsk - bestBid) / mid) * 100),
+        depthBandPercent,
+        bidDepth: round(bidDepth),
+        askDepth: round(askDepth),
+        // +1 when all the resting size near the price is bids, -1 when it is all asks.
+        imbalance: bidDepth + askDepth > 0 ? round((bidDepth - askDepth) / (bidDepth + askDepth), 4) : null
+    };
+}
+
+/**
+ * Reads the ticker and order book of a futures symbol.
+ * @param {KrakenFuturesClient} client - Used for the public endpoints only.
+ * @param {string} symbol - The futures symbol, e.g. 'pf_xbtusd'.
+ * @param {object} [options]
+ * @param {number} [options.depthBandPercent=0.5] - See `summarizeOrderBook`.
+ * @returns {Promise<object>} `{ symbol, time, ...ticker figures, orderBook }`.
+ * @throws {Error} If Kraken does not list the symbol; client errors are passed on.
+ */
+async function fetchMarketContext(client, symbol, { depthBandPercent = 0.5 } = {}) {
+    const [ticker, book] = await Promise.all([client.getTicker(symbol), client.getOrderBook(symbol)]);
+    if (!ticker) throw new Error(`Kraken Futures does not list ${symbol}.`);
+    return {
+        symbol,
+        time: new Date().toISOString(),
+        ...summarizeTicker(ticker),
+        orderBook: summarizeOrderBook(book?.orderBook, depthBandPercent)
+    };
+}
+
+module.exports = { fetchMarketContext, summarizeTicker, summarizeOrderBook };
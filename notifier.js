@@ -0,0 +1,243 @@
+/**
+ * =====================================================================================
+ * Alert Notifier
+ * =====================================================================================
+ *
+ * Description:
+ * Sends the events worth a human's attention (entries, exits, stop-outs, errors, risk
+ * limits, a daily summary) to webhook targets, so that nobody has to watch the console:
+ *
+ * - **Formats**: 'json' posts the event itself, 'slack' an incoming-webhook message and
+ *   'telegram' a Bot API `sendMessage` call (the target's url is
+ *   `https://api.telegram.org/bot<token>/sendMessage`, with a `chatId`).
+ * - **Filtering**: each target can limit itself to some event types and a minimum
+ *   severity.
+ * - **Deduplication**: a warning or critical event repeating within the dedup window
+ *   (same type, symbol and message, ignoring the numbers in it) is suppressed; the next
+ *   one sent after the window says how many were. Info events are never suppressed.
+ * - **Retries**: failed deliveries are queued and retried with exponential backoff, so
+ *   a webhook outage never blocks or breaks a trading cycle.
+ *
+ * Targets: `[{ type: 'json'|'slack'|'telegram', url, chatId?, name?, events?, minSeverity? }]`.
+ *
+ * =====================================================================================
+ */
+
+const axios = require('axios');
+
+const ALERT_EVENTS = [
+    'entry', 'exit', 'stopOut', 'stopAdjusted', 'orderRejected', 'apiError', 'cycleError',
+    'riskLimit', 'unprotectedPosition', 'controlAction', 'dailySummary'
+];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DEFAULT_SEVERITY = {
+    stopOut: 'warning',
+    orderRejected: 'warning',
+    apiError: 'warning',
+    riskLimit: 'warning',
+    cycleError: 'critical',
+    unprotectedPosition: 'critical'
+};
+const TARGET_TYPES = ['json', 'slack', 'telegram'];
+
+/**
+ * Validates the alert targets.
+ * @param {Array<object>} targets - See the module description.
+ * @returns {string|null} The first problem found, or null.
+ */
+function validateAlertTargets(targets) {
+    for (const target of targets) {
+        const label = target?.name || target?.type;
+        if (!target || !TARGET_TYPES.includes(target.type)) return `each target needs a type: ${TARGET_TYPES.join(', ')}`;
+        if (typeof target.url !== 'string' || !/^https?:\/\//.test(target.url)) return `${label}: url must be an http(s) URL`;
+        if (target.type === 'telegram' && !target.chatId) return `${label}: a telegram target needs a chatId`;
+        const unknown = (target.events || []).find(event => !ALERT_EVENTS.includes(event));
+        if (unknown) return `${label}: unknown event '${unknown}'; available: ${ALERT_EVENTS.join(', ')}`;
+        if (target.minSeverity !== undefined && !SEVERITIES.includes(target.minSeverity)) return `${label}: minSeverity must be one of ${SEVERITIES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * @param {object} event - A notifier event.
+ * @returns {string} The event as a short plain-text message.
+ */
+function formatText(event) {
+    const heading = `[${event.severity.toUpperCase()}] ${event.title}${event.symbol ? ` (${event.symbol})` : ''}`;
+    const repeated = event.repeated > 0 ? `\n(${event.repeated} similar alert(s) suppressed since the last one.)` : '';
+    return `${heading}\n${event.message}${repeated}`;
+}
+
+/**
+ * @param {object} target - An alert target.
+ * @param {object} event - A notifier event.
+ * @returns {object} The request body in the target's format.
+ */
+function formatPayload(target, event) {
+    switch (target.type) {
+        case 'slack':
+            return { text: formatText(event) };
+        case 'telegram':
+            return { chat_id: target.chatId, text: formatText(event), disable_web_page_preview: true };
+        default:
+            return event;
+    }
+}
+
+/**
+ * The default transport: a JSON POST that fails on any status outside 2xx.
+ * @param {number} timeoutMs - Request timeout.
+ * @returns {Function} `async ({ url, body }) => {}`.
+ */
+function createAxiosTransport(timeoutMs) {
+    return async ({ url, body }) => {
+        const response = await axios.post(url, body, { timeout: timeoutMs, validateStatus: () => true });
+        if (response.status < 200 || response.status >= 300) throw new Error(`HTTP ${response.status}`);
+    };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class Notifier {
+    /**
+     * @param {object} options
+     * @param {Array<object>} [options.targets=[]] - Webhook targets; without any, events are dropped.
+     * @param {number} [options.dedupWindowMs=1800000] - How long a repeated event is suppressed.
+     * @param {number} [options.maxAttempts=5] - Delivery attempts per event and target.
+     * @param {number} [options.retryBaseDelayMs=5000] - First retry delay; doubled for each further attempt.
+     * @param {number} [options.maxQueueLength=200] - Deliveries kept waiting; the oldest are dropped beyond it.
+     * @param {object} [options.source={}] - Added to every event, e.g. `{ profile }`.
+     * @param {Function} [options.transport] - `async ({ url, body }) => {}`, throwing on failure; defaults to axios.
+     */
+    constructor({ targets = [], dedupWindowMs = 30 * 60 * 1000, maxAttempts = 5, retryBaseDelayMs = 5000, maxQueueLength = 200, source = {}, transport = createAxiosTransport(10000) } = {}) {
+        this.targets = targets;
+        this.dedupWindowMs = dedupWindowMs;
+        this.maxAttempts = maxAttempts;
+        this.retryBaseDelayMs = retryBaseDelayMs;
+        this.maxQueueLength = maxQueueLength;
+        this.source = source;
+        this.transport = transport;
+
+        this.queue = []; // { target, event, attempts, dueAt }
+        this.recent = new Map(); // dedup key -> { sentAt, suppressed }
+        this.timer = null;
+        this.draining = null;
+    }
+
+    get enabled() {
+        return this.targets.length > 0;
+    }
+
+    /**
+     * Queues an event for every target that wants it. Never throws and never waits for delivery.
+     * @param {object} event - `{ type, title, message, symbol?, severity?, data?, dedupKey? }`; the
+     *   severity defaults by type. A `dedupKey` replaces the default key, and also deduplicates info events.
+     * @returns {boolean} Whether the event was queued (false when filtered out or suppressed).
+     */
+    notify({ type, title, message, symbol = null, severity = DEFAULT_SEVERITY[type] || 'info', data = {}, dedupKey = null }) {
+        if (!this.enabled) return false;
+        const targets = this.targets.filter(target =>
+            (!target.events || target.events.length === 0 || target.events.includes(type)) &&
+            SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(target.minSeverity || 'info'));
+        if (targets.length === 0) return false;
+
+        const now = Date.now();
+        let previous = null;
+        if (severity !== 'info' || dedupKey) {
+            // Numbers (prices, percents, status codes) often differ between repeats of the same problem.
+            const key = dedupKey || `${type}|${symbol}|${message.replace(/\d+(\.\d+)?/g, '#')}`;
+            previous = this.recent.get(key);
+            if (previous && now - previous.sentAt < this.dedupWindowMs) {
+                previous.suppressed++;
+                return false;
+            }
+            for (const [recentKey, entry] of this.recent) {
+                if (now - entry.sentAt >= this.dedupWindowMs) this.recent.delete(recentKey);
+            }
+            this.recent.set(key, { sentAt: now, suppressed: 0 });
+        }
+
+        const event = {
+            type, severity, title, message, symbol,
+            time: new Date(now).toISOString(),
+            repeated: previous?.suppressed || 0,
+            ...this.source,
+            data
+        };
+        for (const target of targets) this.enqueue({ target, event, attempts: 0, dueAt: now });
+        this.drain();
+        return true;
+    }
+
+    enqueue(item) {
+        if (this.queue.length >= this.maxQueueLength) {
+            const dropped = this.queue.shift();
+            console.error(`Alert queue full; dropped '${dropped.event.title}' for ${this.describeTarget(dropped.target)}.`);
+        }
+        this.queue.push(item);
+    }
+
+    // Target URLs can carry tokens (Slack, Telegram), so logs name targets by name or type only.
+    describeTarget(target) {
+        return target.name || `the ${target.type} target`;
+    }
+
+    /**
+     * Delivers every queued item that is due, then arms a timer for the next retry.
+     * @returns {Promise<void>}
+     */
+    drain() {
+        if (this.draining) return this.draining;
+        this.draining = (async () => {
+            for (;;) {
+                const now = Date.now();
+                const due = this.queue.filter(item => item.dueAt <= now);
+                if (due.length === 0) break;
+                this.queue = this.queue.filter(item => item.dueAt > now);
+                for (const item of due) await this.deliver(item);
+            }
+        })().finally(() => {
+            this.draining = null;
+            this.scheduleRetry();
+        });
+        return this.draining;
+    }
+
+    async deliver(item) {
+        try {
+            await this.transport({ url: item.target.url, body: formatPayload(item.target, item.event) });
+        } catch (error) {
+            item.attempts++;
+            if (item.attempts >= this.maxAttempts) {
+                console.error(`Alert '${item.event.title}' to ${this.describeTarget(item.target)} dropped after ${item.attempts} attempts: ${error.message}`);
+                return;
+            }
+            item.dueAt = Date.now() + this.retryBaseDelayMs * 2 ** (item.attempts - 1);
+            console.error(`Alert '${item.event.title}' to ${this.describeTarget(item.target)} failed (${error.message}); retrying in ${item.dueAt - Date.now()} ms.`);
+            this.enqueue(item);
+        }
+    }
+
+    scheduleRetry() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.queue.length === 0) return;
+        const nextDue = Math.min(...this.queue.map(item => item.dueAt));
+        this.timer = setTimeout(() => this.drain(), Math.max(0, nextDue - Date.now()));
+        // Pending retries must not keep a one-off command (e.g. a backtest) running.
+        this.timer.unref();
+    }
+
+    /**
+     * Waits until every queued delivery has succeeded or been dropped, retries included.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        while (this.queue.length > 0 || this.draining) {
+            await this.drain();
+            if (this.queue.length > 0) await sleep(Math.max(0, Math.min(...this.queue.map(item => item.dueAt)) - Date.now()));
+        }
+    }
+}
+
+module.exports = { Notifier, ALERT_EVENTS, SEVERITIES, validateAlertTargets, formatPayload };
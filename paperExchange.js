@@ -0,0 +1,463 @@
+/**
+ * =====================================================================================
+ * Paper Trading Exchange Simulator
+ * =====================================================================================
+ *
+ * Description:
+ * A local stand-in for the Kraken Futures account endpoints, used whenever live
+ * trading is disabled. It keeps a simulated margin account and fills orders against
+ * the OHLC candles the bot already fetches each cycle:
+ *
+ * - Market orders fill immediately at the latest price of their symbol (plus slippage).
+ * - Limit orders fill when a later candle trades through the limit price.
+ * - Stop ('stp') and take-profit orders trigger when a later candle touches the
+ *   trigger price, and fill at that price (or at the candle open on a gap).
+ *
+ * Responses mirror the shape of the Kraken Futures v3 REST API (`sendStatus`,
+ * `cancelStatus`, `openPositions`, `openOrders`, `accounts.flex`), so the rest of the
+ * bot does not need to know whether it is talking to the real exchange or not.
+ * Each symbol has its own market (latest price and candle times), fed by its own candles.
+ * The state is persisted to a JSON file so positions survive restarts; with `maxFills`,
+ * its fills history is kept to the latest whole trades, as the trade ledger holds the rest.
+ *
+ * =====================================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+/**
+ * Maps the order types accepted by `sendorder` to the names Kraken reports in `openorders`.
+ */
+const OPEN_ORDER_TYPE_NAMES = { lmt: 'lmt', stp: 'stop', take_profit: 'take_profit' };
+// Sums and differences of contract sizes pick up float noise (0.0806 + 0.0403 = 0.12090000000000001).
+const roundSize = size => Number(size.toFixed(10));
+
+function createInitialState(startingBalance) {
+    return {
+        balance: startingBalance,
+        realizedPnl: 0,
+        feesPaid: 0,
+        markets: {}, // Per symbol: { markPrice, currentCandleTime, lastProcessedCandleTime }.
+        positions: {},
+        openOrders: [],
+        fills: []
+    };
+}
+
+/**
+ * Moves the market fields of a state saved before markets were tracked per symbol to
+ * the symbol that has orders or a position (the only one traded then).
+ */
+function migrateSingleMarketState(state) {
+    const { markPrice, currentCandleTime, lastProcessedCandleTime, ...rest } = state;
+    if (markPrice === undefined) return state;
+    const symbol = rest.openOrders[0]?.symbol || Object.keys(rest.positions)[0];
+    if (symbol) rest.markets[symbol] = { markPrice, currentCandleTime, lastProcessedCandleTime };
+    return rest;
+}
+
+class PaperExchange {
+    /**
+     * @param {object} options
+     * @param {string|null} options.statePath - JSON file used to persist the account. `null` keeps it in memory only.
+     * @param {number} options.startingBalance - Initial account balance in USD.
+     * @param {number} options.leverage - Leverage used to compute the initial margin of open positions.
+     * @param {number} options.takerFeePercent - Fee charged on market orders and triggered stops.
+     * @param {number} options.makerFeePercent - Fee charged on resting limit orders.
+     * @param {number} options.slippagePercent - Adverse price adjustment applied to taker fills.
+     * @param {number|null} [options.maxFills=null] - Fills to keep at least; older ones are dropped in whole trades. `null` keeps every fill.
+     */
+    constructor({ statePath = null, startingBalance = 10000, leverage = 1, takerFeePercent = 0.05, makerFeePercent = 0.02, slippagePercent = 0, maxFills = null } = {}) {
+        this.statePath = statePath;
+        this.startingBalance = startingBalance;
+        this.leverage = leverage;
+        this.takerFeePercent = takerFeePercent;
+        this.makerFeePercent = makerFeePercent;
+        this.slippagePercent = slippagePercent;
+        this.maxFills = maxFills;
+        this.state = null;
+        this.loading = null;
+    }
+
+    // --- Persistence ---
+
+    async load() {
+        if (this.state) return this.state;
+        // Calls made while the file is read wait for it, rather than see a fresh account.
+        if (!this.loading) this.loading = this.readState().finally(() => { this.loading = null; });
+        return this.loading;
+    }
+
+    async readState() {
+        let state = createInitialState(this.startingBalance);
+        if (this.statePath) {
+            try {
+                const data = await fs.readFile(this.statePath, 'utf8');
+                state = migrateSingleMarketState({ ...state, ...JSON.parse(data) });
+            } catch (error) {
+                console.log('No saved paper exchange state found. Starting a fresh simulated account.');
+            }
+        }
+        this.state = state;
+        return state;
+    }
+
+    async save() {
+        if (!this.statePath || !this.state) return;
+        try {
+            await fs.writeFile(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+        } catch (error) {
+            console.error('Could not write the paper exchange state file.', error);
+        }
+    }
+
+    async reset() {
+        this.state = createInitialState(this.startingBalance);
+        await this.save();
+    }
+
+    // --- Market Data ---
+
+    /**
+     * Replays every closed candle of a symbol that has not been seen yet, filling or
+     * triggering its resting orders, then marks its positions to the latest price.
+     * By default the last candle in the list is treated as still forming, as Kraken returns it:
+     * it only sets the mark price. Backtests pass `lastCandleClosed` so that every candle is matched.
+     * @param {Array<Array>} candles - Kraken OHLC rows: [time, open, high, low, close, vwap, volume, count].
+     * @param {object} options
+     * @param {string} options.symbol - The futures symbol the candles price.
+     * @param {boolean} [options.lastCandleClosed=false] - Treat the final candle as complete.
+     * @returns {Promise<Array<object>>} The fills generated while processing the candles.
+     */
+    async processCandles(candles, { symbol, lastCandleClosed = false }) {
+        const state = await this.load();
+        if (!candles || candles.length === 0) return [];
+        const market = state.markets[symbol] || (state.markets[symbol] = { markPrice: null, currentCandleTime: null, lastProcessedCandleTime: null });
+
+        const newFills = [];
+        const closedCandles = lastCandleClosed ? candles : candles.slice(0, -1);
+        for (const candle of closedCandles) {
+            const time = Number(candle[0]);
+            // On the very first sync we only take the current price; there are no orders to replay yet.
+            if (market.lastProcessedCandleTime === null || time <= market.lastProcessedCandleTime) continue;
+            newFills.push(...this.matchCandle(symbol, candle));
+            market.lastProcessedCandleTime = time;
+        }
+
+        const formingCandle = candles[candles.length - 1];
+        if (closedCandles.length > 0 && market.lastProcessedCandleTime === null) {
+            market.lastProcessedCandleTime = Number(closedCandles[closedCandles.length - 1][0]);
+        }
+        market.currentCandleTime = Number(formingCandle[0]);
+        market.markPrice = parseFloat(formingCandle[4]);
+
+        await this.save();
+        return newFills;
+    }
+
+    /**
+     * @returns {number|null} The latest price of a symbol, or null before its first candles.
+     */
+    getMarkPrice(symbol) {
+        return this.state.markets[symbol]?.markPrice ?? null;
+    }
+
+    /**
+     * Checks every eligible resting order of a symbol against a single closed candle.
+     * Stops are evaluated before limits so that an ambiguous candle resolves pessimistically.
+     */
+    matchCandle(symbol, candle) {
+        const [time, open, high, low] = candle.slice(0, 4).map(Number);
+        const fills = [];
+        const eligible = this.state.openOrders
+            .filter(o => o.symbol === symbol && (o.placedCandleTime === null || time > o.placedCandleTime))
+            .sort((a, b) => (a.orderType === 'stp' ? 0 : 1) - (b.orderType === 'stp' ? 0 : 1));
+
+        for (const order of eligible) {
+            if (!this.state.openOrders.includes(order)) continue; // Cancelled by an earlier fill in this candle.
+            let fillPrice = null;
+            let feePercent = this.makerFeePercent;
+
+            if (order.orderType === 'lmt') {
+                const touched = order.side === 'buy' ? low <= order.limitPrice : high >= order.limitPrice;
+                if (touched) fillPrice = order.side === 'buy' ? Math.min(open, order.limitPrice) : Math.max(open, order.limitPrice);
+            } else {
+                // 'stp' triggers when price moves against the position, 'take_profit' when it moves in favour.
+                const triggersOnRise = (order.orderType === 'stp') === (order.side === 'buy');
+                const triggered = triggersOnRise ? high >= order.stopPrice : low <= order.stopPrice;
+                if (triggered) {
+                    const gapped = triggersOnRise ? open > order.stopPrice : open < order.stopPrice;
+                    fillPrice = this.applySlippage(gapped ? open : order.stopPrice, order.side);
+                    feePercent = this.takerFeePercent;
+                }
+            }
+
+            if (fillPrice === null) continue;
+            const fill = this.fillOrder(order, fillPrice, feePercent, time);
+            if (fill) fills.push(fill);
+        }
+        return fills;
+    }
+
+    applySlippage(price, side) {
+        const factor = this.slippagePercent / 100;
+        return side === 'buy' ? price * (1 + factor) : price * (1 - factor);
+    }
+
+    // --- Order Handling ---
+
+    /**
+     * Accepts an order in the same shape `executeOrder` sends to Kraken.
+     * @param {object} orderDetails - { orderType, symbol, side, size, limitPrice?, stopPrice?, reduceOnly? }
+     * @returns {Promise<object>} A Kraken-style `sendorder` response.
+     */
+    async placeOrder(orderDetails) {
+        const state = await this.load();
+        const orderId = crypto.randomUUID();
+        const receivedTime = new Date().toISOString();
+        const size = parseFloat(orderDetails.size);
+        const rejection = this.validateOrder(orderDetails, size);
+        if (rejection) {
+            return { result: 'success', sendStatus: { order_id: orderId, status: rejection, receivedTime, orderEvents: [] } };
+        }
+
+        const market = state.markets[orderDetails.symbol];
+        const order = {
+            order_id: orderId,
+            symbol: orderDetails.symbol,
+            side: orderDetails.side,
+            orderType: orderDetails.orderType,
+            size,
+            limitPrice: orderDetails.limitPrice ? parseFloat(orderDetails.limitPrice) : null,
+            stopPrice: orderDetails.stopPrice ? parseFloat(orderDetails.stopPrice) : null,
+            reduceOnly: !!orderDetails.reduceOnly,
+            receivedTime,
+            placedCandleTime: market.currentCandleTime
+        };
+
+        const orderEvents = [];
+        const marketableLimit = order.orderType === 'lmt' &&
+            (order.side === 'buy' ? order.limitPrice >= market.markPrice : order.limitPrice <= market.markPrice);
+
+        if (order.orderType === 'mkt' || marketableLimit) {
+            const fillPrice = order.orderType === 'mkt' ? this.applySlippage(market.markPrice, order.side) : market.markPrice;
+            const fill = this.fillOrder(order, fillPrice, this.takerFeePercent, market.currentCandleTime);
+            if (fill) orderEvents.push({ type: 'EXECUTION', executionId: fill.fill_id, price: fill.price, amount: fill.size });
+        } else {
+            state.openOrders.push(order);
+            orderEvents.push({ type: 'PLACE', order: this.toOpenOrder(order) });
+        }
+
+        await this.save();
+        return { result: 'success', sendStatus: { order_id: orderId, status: 'placed', receivedTime, orderEvents } };
+    }
+
+    /**
+     * Returns a Kraken `sendStatus.status` error value when the order cannot be accepted, or null.
+     */
+    validateOrder(orderDetails, size) {
+        if (!['mkt', 'lmt', 'stp', 'take_profit'].includes(orderDetails.orderType)) return 'invalidOrderType';
+        if (!['buy', 'sell'].includes(orderDetails.side)) return 'invalidSide';
+        if (!(size > 0)) return 'invalidSize';
+        const markPrice = this.getMarkPrice(orderDetails.symbol);
+        if (markPrice === null) return 'marketSuspended';
+        if (orderDetails.orderType === 'lmt' && !(parseFloat(orderDetails.limitPrice) > 0)) return 'invalidPrice';
+        if (['stp', 'take_profit'].includes(orderDetails.orderType) && !(parseFloat(orderDetails.stopPrice) > 0)) return 'invalidPrice';
+
+        const position = this.state.positions[orderDetails.symbol];
+        const closing = position && (position.side === 'long') !== (orderDetails.side === 'buy');
+        if (orderDetails.reduceOnly && !closing) return 'wouldNotReducePosition';
+
+        // Only orders that increase exposure need free margin.
+        if (!closing && ['mkt', 'lmt'].includes(orderDetails.orderType)) {
+            const requiredMargin = (size * markPrice) / this.leverage;
+            if (requiredMargin > this.getAvailableMargin()) return 'insufficientAvailableFunds';
+        }
+        return null;
+    }
+
+    /**
+     * Removes an order from the book and applies its execution to the position and balance.
+     * @returns {object|null} The fill record, or null if a reduce-only order had nothing left to reduce.
+     */
+    fillOrder(order, price, feePercent, candleTime) {
+        const state = this.state;
+        state.openOrders = state.openOrders.filter(o => o.order_id !== order.order_id);
+
+        let size = order.size;
+        const position = state.positions[order.symbol];
+        if (order.reduceOnly) {
+            const closing = position && (position.side === 'long') !== (order.side === 'buy');
+            if (!closing) return null;
+            size = Math.min(size, position.size);
+        }
+
+        const fee = size * price * (feePercent / 100);
+        const realizedPnl = this.applyFillToPosition(order.symbol, order.side, size, price);
+        state.balance += realizedPnl - fee;
+        state.realizedPnl += realizedPnl;
+        state.feesPaid += fee;
+
+        const fill = {
+            fill_id: crypto.randomUUID(),
+            order_id: order.order_id,
+            symbol: order.symbol,
+            side: order.side,
+            size,
+            price,
+            fee,
+            realizedPnl,
+            fillTime: candleTime ? new Date(candleTime * 1000).toISOString() : new Date().toISOString(),
+            fillType: order.orderType === 'stp' ? 'stop' : (order.orderType === 'take_profit' ? 'takeProfit' : (feePercent === this.makerFeePercent ? 'maker' : 'taker'))
+        };
+        state.fills.push(fill);
+        this.trimFills();
+        console.log(`[PAPER] Filled ${order.orderType} ${order.side} ${size} ${order.symbol} @ ${price.toFixed(2)} (PnL: ${realizedPnl.toFixed(2)}, fee: ${fee.toFixed(2)})`);
+
+        // Mirror the exchange: once a position is flat, its remaining reduce-only orders are cancelled.
+        if (!state.positions[order.symbol]) {
+            state.openOrders = state.openOrders.filter(o => !(o.symbol === order.symbol && o.reduceOnly));
+        }
+        return fill;
+    }
+
+    /**
+     * Drops the oldest fills beyond `maxFills`, but only up to a point where every symbol
+     * was flat, so that the fills left still group into whole trades (see `buildTradeList`).
+     */
+    trimFills() {
+        const fills = this.state.fills;
+        if (this.maxFills === null || fills.length <= this.maxFills) return;
+        const netSizes = {};
+        let cut = 0;
+        for (let i = 0; i < fills.length - this.maxFills; i++) {
+            const { symbol, side, size } = fills[i];
+            netSizes[symbol] = roundSize((netSizes[symbol] || 0) + (side === 'buy' ? size : -size));
+            if (Object.values(netSizes).every(net => net === 0)) cut = i + 1;
+        }
+        if (cut > 0) this.state.fills = fills.slice(cut);
+    }
+
+    /**
+     * Nets a fill into the symbol's position, flipping it if the fill is larger than the position.
+     * @returns {number} The realized PnL in USD.
+     */
+    applyFillToPosition(symbol, side, size, price) {
+        const positions = this.state.positions;
+        const direction = side === 'buy' ? 'long' : 'short';
+        const position = positions[symbol];
+
+        if (!position || position.side === direction) {
+            const currentSize = position ? position.size : 0;
+            const newSize = roundSize(currentSize + size);
+            const averagePrice = position ? (position.price * currentSize + price * size) / newSize : price;
+            positions[symbol] = { symbol, side: direction, size: newSize, price: averagePrice, fillTime: new Date().toISOString(), unrealizedFunding: 0 };
+            return 0;
+        }
+
+        const closedSize = Math.min(size, position.size);
+        const sign = position.side === 'long' ? 1 : -1;
+        const realizedPnl = (price - position.price) * closedSize * sign;
+        const remaining = roundSize(position.size - closedSize);
+
+        if (remaining > 1e-12) {
+            positions[symbol] = { ...position, size: remaining };
+        } else if (size - closedSize > 1e-12) {
+            positions[symbol] = { symbol, side: direction, size: roundSize(size - closedSize), price, fillTime: new Date().toISOString(), unrealizedFunding: 0 };
+        } else {
+            delete positions[symbol];
+        }
+        return realizedPnl;
+    }
+
+    /**
+     * @param {string} orderId - The unique ID of the order to cancel.
+     * @returns {Promise<object>} A Kraken-style `cancelorder` response.
+     */
+    async cancelOrder(orderId) {
+        const state = await this.load();
+        const order = state.openOrders.find(o => o.order_id === orderId);
+        const receivedTime = new Date().toISOString();
+        if (!order) {
+            return { result: 'success', cancelStatus: { status: 'notFound', order_id: orderId, receivedTime, orderEvents: [] } };
+        }
+        state.openOrders = state.openOrders.filter(o => o.order_id !== orderId);
+        await this.save();
+        return {
+            result: 'success',
+            cancelStatus: { status: 'cancelled', order_id: orderId, receivedTime, orderEvents: [{ type: 'CANCEL', uid: orderId, order: this.toOpenOrder(order) }] }
+        };
+    }
+
+    // --- Account Getters (Kraken response shapes) ---
+
+    getUnrealizedPnl() {
+        return Object.values(this.state.positions).reduce((total, p) => {
+            const sign = p.side === 'long' ? 1 : -1;
+            return total + ((this.getMarkPrice(p.symbol) ?? p.price) - p.price) * p.size * sign;
+        }, 0);
+    }
+
+    getInitialMargin() {
+        return Object.values(this.state.positions).reduce((total, p) => total + (p.size * (this.getMarkPrice(p.symbol) ?? p.price)) / this.leverage, 0);
+    }
+
+    getAvailableMargin() {
+        return this.state.balance + this.getUnrealizedPnl() - this.getInitialMargin();
+    }
+
+    async getAccounts() {
+        await this.load();
+        const totalUnrealized = this.getUnrealizedPnl();
+        return {
+            result: 'success',
+            serverTime: new Date().toISOString(),
+            accounts: {
+                flex: {
+                    type: 'multiCollateralMarginAccount',
+                    balanceValue: this.state.balance,
+                    portfolioValue: this.state.balance + totalUnrealized,
+                    initialMargin: this.getInitialMargin(),
+                    availableMargin: this.getAvailableMargin(),
+                    totalUnrealized,
+                    pnl: this.state.realizedPnl,
+                    fees: this.state.feesPaid
+                }
+            }
+        };
+    }
+
+    async getOpenPositions() {
+        await this.load();
+        return { result: 'success', serverTime: new Date().toISOString(), openPositions: Object.values(this.state.positions) };
+    }
+
+    toOpenOrder(order) {
+        return {
+            order_id: order.order_id,
+            symbol: order.symbol,
+            side: order.side,
+            orderType: OPEN_ORDER_TYPE_NAMES[order.orderType],
+            limitPrice: order.limitPrice,
+            stopPrice: order.stopPrice,
+            unfilledSize: order.size,
+            filledSize: 0,
+            reduceOnly: order.reduceOnly,
+            receivedTime: order.receivedTime,
+            status: 'untouched'
+        };
+    }
+
+    async getOpenOrders() {
+        await this.load();
+        return { result: 'success', serverTime: new Date().toISOString(), openOrders: this.state.openOrders.map(o => this.toOpenOrder(o)) };
+    }
+
+    async getFills() {
+        await this.load();
+        return { result: 'success', serverTime: new Date().toISOString(), fills: [...this.state.fills].reverse() };
+    }
+}
+
+module.exports = { PaperExchange };
@@ -0,0 +1,179 @@
+/**
+ * =====================================================================================
+ * Action Plan Validator
+ * =====================================================================================
+ *
+ * Description:
+ * Checks every plan returned by a decision provider before the bot acts on it, in two
+ * passes:
+ *
+ * 1. **Schema**: the action must be known, each action's required fields must be
+ *    present with the right types, and no unexpected fields are allowed.
+ * 2. **Market sanity**: prices must make sense against the current market, e.g. a
+ *    limit entry within MAX_LIMIT_PRICE_DEVIATION_PERCENT of the last price, and a stop
+ *    on the protective side of it.
+ *
+ * The validator only reports errors; the trading loop decides whether to re-prompt
+ * the model or fall back to HOLD.
+ *
+ * =====================================================================================
+ */
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isPositiveNumber = value => isNumber(value) && value > 0;
+
+/**
+ * Field rules per action. `required` fields must be present, `optional` ones may be.
+ * Each rule returns an error message, or null when the value is acceptable.
+ */
+const FIELD_RULES = {
+    action: () => null,
+    reason: value => (typeof value === 'string' ? null : 'must be a string'),
+    orderType: value => (value === 'mkt' || value === 'lmt' ? null : 'must be "mkt" or "lmt"'),
+    price: value => (isPositiveNumber(value) ? null : 'must be a positive number'),
+    takeProfit: value => (isPositiveNumber(value) ? null : 'must be a positive number'),
+    riskReward: value => (isPositiveNumber(value) ? null : 'must be a positive number'),
+    percent: value => (isPositiveNumber(value) ? null : 'must be a positive number'),
+    takeProfits: value => {
+        if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array';
+        const invalid = value.some(tp => !tp || !isPositiveNumber(tp.price) || !isPositiveNumber(tp.percent));
+        return invalid ? 'entries must be { "price": <positive number>, "percent": <positive number> }' : null;
+    }
+};
+
+const TARGET_FIELDS = ['takeProfit', 'riskReward', 'takeProfits'];
+const ENTRY_SCHEMA = { required: ['action', 'orderType', 'reason'], optional: ['price', ...TARGET_FIELDS] };
+
+const ACTION_SCHEMAS = {
+    HOLD: { required: ['action'], optional: ['reason'] },
+    ENTER_LONG: ENTRY_SCHEMA,
+    ENTER_SHORT: ENTRY_SCHEMA,
+    EXIT_POSITION: { required: ['action', 'reason'], optional: [] },
+    ADJUST_SL: { required: ['action', 'price', 'reason'], optional: [] },
+    // Adds, reductions and reversals are market orders; the new side of a reversal may set its targets.
+    ADD_TO_POSITION: { required: ['action', 'reason'], optional: ['percent'] },
+    REDUCE_POSITION: { required: ['action', 'percent', 'reason'], optional: [] },
+    REVERSE: { required: ['action', 'reason'], optional: TARGET_FIELDS }
+};
+
+/**
+ * Checks the plan's shape against the schema of its action.
+ * @param {object} plan - The plan returned by the decision provider.
+ * @returns {Array<string>} Error messages; empty when the plan is well-formed.
+ */
+function validateSchema(plan) {
+    if (!plan || typeof plan !== 'object' || Array.isArray(plan)) return ['The plan must be a JSON object.'];
+    const schema = ACTION_SCHEMAS[plan.action];
+    if (!schema) return [`Unknown action "${plan.action}". Expected one of: ${Object.keys(ACTION_SCHEMAS).join(', ')}.`];
+
+    const errors = [];
+    for (const field of schema.required) {
+        if (plan[field] === undefined || plan[field] === null) errors.push(`${plan.action} requires "${field}".`);
+    }
+    for (const [field, value] of Object.entries(plan)) {
+        if (!schema.required.includes(field) && !schema.optional.includes(field)) {
+            errors.push(`Unexpected field "${field}" for ${plan.action}.`);
+        } else if (value !== undefined && value !== null) {
+            const problem = FIELD_RULES[field](value);
+            if (problem) errors.push(`"${field}" ${problem}.`);
+        }
+    }
+    if (schema === ENTRY_SCHEMA && plan.orderType === 'lmt' && (plan.price === undefined || plan.price === null)) {
+        errors.push('A limit entry ("lmt") requires a "price".');
+    }
+    const targets = TARGET_FIELDS.filter(field => plan[field] !== undefined && plan[field] !== null);
+    if (targets.length > 1) errors.push(`Only one of "takeProfit", "riskReward" or "takeProfits" may be set, got ${targets.join(', ')}.`);
+    return errors;
+}
+
+/**
+ * Checks the take-profit targets of a plan that opens a position.
+ * @param {object} plan - A schema-valid entry or reversal plan.
+ * @param {boolean} isLong - Whether the position it opens is long.
+ * @param {number} entryPrice - Expected entry price.
+ * @returns {Array<string>} Error messages.
+ */
+function validateTargets(plan, isLong, entryPrice) {
+    const errors = [];
+    const targets = plan.takeProfits ? plan.takeProfits.map(tp => tp.price) : (plan.takeProfit ? [plan.takeProfit] : []);
+    for (const target of targets) {
+        if (isLong ? target <= entryPrice : target >= entryPrice) {
+            errors.push(`Take-profit ${target} must be ${isLong ? 'above' : 'below'} the entry price ${entryPrice} of a ${isLong ? 'long' : 'short'}.`);
+        }
+    }
+    if (plan.takeProfits) {
+        const totalPercent = plan.takeProfits.reduce((sum, tp) => sum + tp.percent, 0);
+        if (totalPercent > 100) errors.push(`Take-profit percentages add up to ${totalPercent}%, more than the whole position.`);
+    }
+    return errors;
+}
+
+/**
+ * Checks the plan's prices against the current market and position.
+ * @param {object} plan - A schema-valid plan.
+ * @param {object} market
+ * @param {number} market.lastPrice - Latest market price.
+ * @param {boolean} market.hasOpenPosition - Whether a position is open.
+ * @param {string|null} market.positionSide - 'long' or 'short' when a position is open.
+ * @param {number} market.maxLimitDeviationPercent - Maximum distance of a limit price from the last price.
+ * @returns {Array<string>} Error messages; empty when the plan is sane.
+ */
+function validateMarketSanity(plan, { lastPrice, hasOpenPosition, positionSide, maxLimitDeviationPercent }) {
+    const errors = [];
+    switch (plan.action) {
+        case 'ENTER_LONG':
+        case 'ENTER_SHORT': {
+            const isLong = plan.action === 'ENTER_LONG';
+            if (hasOpenPosition) errors.push(`${plan.action} is not allowed while a position is already open.`);
+            const entryPrice = plan.orderType === 'lmt' ? plan.price : lastPrice;
+            if (plan.orderType === 'lmt') {
+                const deviationPercent = (Math.abs(plan.price - lastPrice) / lastPrice) * 100;
+                if (deviationPercent > maxLimitDeviationPercent) {
+                    errors.push(`Limit price ${plan.price} is ${deviationPercent.toFixed(2)}% from the current price ${lastPrice}; the maximum is ${maxLimitDeviationPercent}%.`);
+                }
+            }
+            errors.push(...validateTargets(plan, isLong, entryPrice));
+            break;
+        }
+        case 'ADJUST_SL':
+            if (!hasOpenPosition) {
+                errors.push('ADJUST_SL requires an open position.');
+            } else if (positionSide === 'long' ? plan.price >= lastPrice : plan.price <= lastPrice) {
+                errors.push(`Stop price ${plan.price} must be ${positionSide === 'long' ? 'below' : 'above'} the current price ${lastPrice} to protect a ${positionSide} position.`);
+            }
+            break;
+        case 'EXIT_POSITION':
+        case 'ADD_TO_POSITION':
+            if (!hasOpenPosition) errors.push(`${plan.action} requires an open position.`);
+            break;
+        case 'REDUCE_POSITION':
+            if (!hasOpenPosition) errors.push('REDUCE_POSITION requires an open position.');
+            if (plan.percent >= 100) errors.push(`REDUCE_POSITION closes part of the position; use EXIT_POSITION to close all of it, got ${plan.percent}%.`);
+            break;
+        case 'REVERSE':
+            if (!hasOpenPosition) {
+                errors.push('REVERSE requires an open position.');
+            } else {
+                errors.push(...validateTargets(plan, positionSide === 'short', lastPrice));
+            }
+            break;
+        default:
+            break;
+    }
+    return errors;
+}
+
+/**
+ * Runs both validation passes.
+ * @param {object} plan - The plan returned by the decision provider.
+ * @param {object} market - See `validateMarketSanity`.
+ * @returns {{ valid: boolean, errors: Array<string> }}
+ */
+function validatePlan(plan, market) {
+    const schemaErrors = validateSchema(plan);
+    // Sanity checks assume a well-formed plan, so they only run once the schema passes.
+    const errors = schemaErrors.length > 0 ? schemaErrors : validateMarketSanity(plan, market);
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = { ACTION_SCHEMAS, validateSchema, validateMarketSanity, validatePlan };
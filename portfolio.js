@@ -0,0 +1,124 @@
+/**
+ * =====================================================================================
+ * Portfolio Allocator
+ * =====================================================================================
+ *
+ * Description:
+ * When several instruments trade from one margin account, each decision cycle shares
+ * the account between them:
+ *
+ * - **Margin split**: the free margin at the start of the cycle is divided equally
+ *   between the instruments that may still open a position in it (no position and no
+ *   resting entry). Margin committed by an entry is deducted before the next instrument
+ *   is sized, so two symbols are never both sized against the full margin.
+ * - **Exposure caps**: the notional of all positions and resting entries is capped as a
+ *   percent of equity, in total and within each correlation group (instruments that
+ *   tend to move together, e.g. BTC and ETH).
+ *
+ * tradingBot.js builds one allocator per decision cycle from the exchange's positions
+ * and orders, and sizes every entry of the cycle through it.
+ *
+ * =====================================================================================
+ */
+
+/**
+ * Notional exposure of the open positions and resting entry orders.
+ * @param {object} params
+ * @param {Array<object>} params.positions - Open positions (Kraken shape).
+ * @param {Array<object>} params.entryOrders - Resting limit orders that are not reduce-only.
+ * @param {Function} params.describe - `symbol => ({ group, contractSize })` for each symbol.
+ * @returns {Array<{ symbol: string, group: string, notionalUsd: number }>}
+ */
+function measureExposures({ positions, entryOrders, describe }) {
+    const exposures = [];
+    for (const position of positions) {
+        const { group, contractSize } = describe(position.symbol);
+        const price = parseFloat(position.markPrice ?? position.price);
+        exposures.push({ symbol: position.symbol, group, notionalUsd: parseFloat(position.size) * contractSize * price });
+    }
+    for (const order of entryOrders) {
+        const { group, contractSize } = describe(order.symbol);
+        exposures.push({ symbol: order.symbol, group, notionalUsd: parseFloat(order.unfilledSize) * contractSize * parseFloat(order.limitPrice) });
+    }
+    return exposures;
+}
+
+class PortfolioAllocator {
+    /**
+     * @param {object} options
+     * @param {number} options.equity - Account equity in USD.
+     * @param {number} options.availableMargin - Free margin in USD at the start of the cycle.
+     * @param {number} options.leverage - Leverage, to convert notional into margin.
+     * @param {Array<object>} options.exposures - Output of `measureExposures`.
+     * @param {Array<string>} options.candidates - Symbols that may open a position in this cycle.
+     * @param {number} options.maxTotalExposurePercent - Cap on the notional of all instruments, in percent of equity.
+     * @param {number} options.maxCorrelatedExposurePercent - Cap on the notional of one correlation group, in percent of equity.
+     */
+    constructor({ equity, availableMargin, leverage, exposures, candidates, maxTotalExposurePercent, maxCorrelatedExposurePercent }) {
+        this.equity = equity;
+        this.availableMargin = availableMargin;
+        this.leverage = leverage;
+        this.exposures = [...exposures];
+        this.candidates = candidates;
+        this.maxTotalExposurePercent = maxTotalExposurePercent;
+        this.maxCorrelatedExposurePercent = maxCorrelatedExposurePercent;
+        this.committedMargin = 0;
+        this.decided = new Set();
+    }
+
+    /**
+     * The margin and notional an entry on `symbol` may use right now.
+     * @param {string} symbol - The instrument about to be sized.
+     * @param {string} group - Its correlation group.
+     * @returns {{ availableMargin: number, maxNotionalUsd: number, reason: string }}
+     */
+    budgetFor(symbol, group) {
+        const undecided = this.candidates.filter(s => !this.decided.has(s));
+        const sharers = Math.max(1, undecided.includes(symbol) ? undecided.length : undecided.length + 1);
+        const freeMargin = Math.max(0, this.availableMargin - this.committedMargin);
+
+        const sum = list => list.reduce((total, e) => total + e.notionalUsd, 0);
+        const totalExposure = sum(this.exposures);
+        const groupExposure = sum(this.exposures.filter(e => e.group === group));
+        const totalHeadroom = this.equity * (this.maxTotalExposurePercent / 100) - totalExposure;
+        const groupHeadroom = this.equity * (this.maxCorrelatedExposurePercent / 100) - groupExposure;
+
+        return {
+            availableMargin: freeMargin / sharers,
+            maxNotionalUsd: Math.max(0, Math.min(totalHeadroom, groupHeadroom)),
+            reason: `Margin ${freeMargin.toFixed(2)} USD shared by ${sharers} instrument(s); exposure ${totalExposure.toFixed(2)} USD in total and ${groupExposure.toFixed(2)} USD in group '${group}'.`
+        };
+    }
+
+    /**
+     * Records an entry placed in this cycle, so later instruments are sized against what is left.
+     * @param {string} symbol - The instrument.
+     * @param {string} group - Its correlation group.
+     * @param {number} notionalUsd - Notional of the entry.
+     */
+    commit(symbol, group, notionalUsd) {
+        this.exposures.push({ symbol, group, notionalUsd });
+        this.committedMargin += notionalUsd / this.leverage;
+        this.decided.add(symbol);
+    }
+
+    /**
+     * Forgets the exposure of a position closed in this cycle, and frees its margin, e.g.
+     * before the instrument reverses into the opposite side.
+     * @param {string} symbol - The instrument whose position was closed.
+     */
+    release(symbol) {
+        const releasedUsd = this.exposures.filter(e => e.symbol === symbol).reduce((total, e) => total + e.notionalUsd, 0);
+        this.exposures = this.exposures.filter(e => e.symbol !== symbol);
+        this.committedMargin -= releasedUsd / this.leverage;
+    }
+
+    /**
+     * Marks an instrument's cycle as done without an entry, releasing its share of the margin.
+     */
+    markDecided(symbol) {
+        this.decided.add(symbol);
+    }
+}
+
+module.exports = { PortfolioAllocator, measureExposures };
@@ -0,0 +1,110 @@
+/**
+ * =====================================================================================
+ * Prompt Templates
+ * =====================================================================================
+ *
+ * Description:
+ * The prompt sent to LLM decision providers is rendered from a template with
+ * `{{placeholder}}` variables. The built-in 'default' template is the bot's original
+ * Deepseek prompt; any other value is read as the path to a custom template file.
+ *
+ * Available placeholders are the keys returned by `buildPromptVariables`.
+ *
+ * =====================================================================================
+ */
+
+const fs = require('fs').promises;
+
+const DEFAULT_TEMPLATE = `
+        You are a sophisticated trading strategy AI for {{pair}}. Your task is to return a precise action plan as a JSON object.
+        --- Possible Actions & Required Parameters ---
+        1.  { "action": "HOLD", "reason": "..." }
+        2.  { "action": "ENTER_LONG", "orderType": "mkt" | "lmt", "price": <price_for_lmt_order>, "takeProfit": <optional_target_price>, "reason": "..." }
+        3.  { "action": "ENTER_SHORT", "orderType": "mkt" | "lmt", "price": <price_for_lmt_order>, "takeProfit": <optional_target_price>, "reason": "..." }
+        4.  { "action": "EXIT_POSITION", "reason": "..." }
+        5.  { "action": "ADJUST_SL", "price": <new_stop_loss_price>, "reason": "..." }
+        6.  { "action": "ADD_TO_POSITION", "percent": <optional_size_to_add_as_percent_of_position>, "reason": "..." }
+        7.  { "action": "REDUCE_POSITION", "percent": <percent_of_position_to_close_below_100>, "reason": "..." }
+        8.  { "action": "REVERSE", "takeProfit": <optional_target_price>, "reason": "..." }
+        --- Rules ---
+        - Your entire response MUST be a single, valid JSON object.
+        - If entering with a limit order ("lmt"), you MUST provide a "price". For market orders ("mkt"), "price" is not needed.
+        - Entries may set a profit target in one of three ways: "takeProfit": <price>, "riskReward": <multiple_of_stop_distance>,
+          or "takeProfits": [{ "price": <price>, "percent": <percent_of_position> }, ...] for partial exits. Without one, default targets are used.
+        - Only recommend "ADJUST_SL", "EXIT_POSITION", "ADD_TO_POSITION", "REDUCE_POSITION" or "REVERSE" if a position is already open.
+        - "ADD_TO_POSITION", "REDUCE_POSITION" and "REVERSE" are executed at market. An addition keeps the current stop-loss and is
+          capped so that the whole position risks no more than one trade's risk at it. "REVERSE" closes the position and opens the
+          opposite side, and may set targets like an entry. The stop-loss is resized to the position after every change.
+        - Default to { "action": "HOLD" } if no clear action is warranted.
+        --- Bot's Memory (Notes from last cycle) ---
+        {{previousNotes}}
+        --- Current Account & Position Context ---
+        - Has Open Position: {{hasOpenPosition}}
+        - Position Details: {{position}}
+        - Open Orders (e.g., current stop-loss): {{openOrders}}
+        - Take-Profit Orders: {{takeProfitOrders}}
+        - Available Margin (USD): {{availableMargin}}
+        --- Current Market Data ---
+        - Current Spot Price (last closed candle): {{lastPrice}}
+        - 14-period RSI: {{rsi}}
+        - 50-period SMA: {{sma50}}
+        - Indicator features by timeframe (latest closed candle of each): {{features}}
+        - Recent {{candleInterval}} OHLC data: {{recentCandles}}
+        --- Perpetual Futures Market (the instrument actually traded) ---
+        {{futuresMarket}}
+    `;
+
+const PROMPT_TEMPLATES = { default: DEFAULT_TEMPLATE };
+
+/**
+ * Collects the values a template can reference, already formatted as text.
+ * @param {Array<Array>} candles - Kraken OHLC rows, oldest first.
+ * @param {object} indicators - Output of `calculateIndicators`.
+ * @param {object} accountContext - The account and position context of the cycle.
+ * @param {object} market - `{ pair, candleInterval }` describing the traded market.
+ * @returns {object} Placeholder names mapped to their text.
+ */
+function buildPromptVariables(candles, indicators, accountContext, { pair, candleInterval }) {
+    return {
+        pair,
+        candleInterval: candleInterval >= 60 ? `${candleInterval / 60}-hour` : `${candleInterval}-minute`,
+        previousNotes: JSON.stringify(accountContext.previousNotes, null, 2),
+        hasOpenPosition: String(accountContext.hasOpenPosition),
+        position: JSON.stringify(accountContext.position, null, 2),
+        openOrders: JSON.stringify(accountContext.openOrders, null, 2),
+        takeProfitOrders: JSON.stringify(accountContext.takeProfitOrders, null, 2),
+        availableMargin: String(accountContext.availableMargin?.toFixed(2)),
+        lastPrice: String(indicators.lastPrice?.toFixed(2)),
+        rsi: String(indicators.lastRSI?.toFixed(2)),
+        sma50: String(indicators.lastSMA50?.toFixed(2)),
+        features: JSON.stringify(indicators.features || {}, null, 2),
+        recentCandles: JSON.stringify(candles.slice(-10), null, 2),
+        futuresMarket: accountContext.marketContext ? JSON.stringify(accountContext.marketContext, null, 2) : 'Not available.'
+    };
+}
+
+/**
+ * Substitutes `{{placeholder}}` variables into a template. Unknown placeholders are left as-is.
+ * @param {string} template - The template text.
+ * @param {object} variables - Output of `buildPromptVariables`.
+ * @returns {string} The rendered prompt.
+ */
+function renderPrompt(template, variables) {
+    return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (name in variables ? variables[name] : placeholder));
+}
+
+/**
+ * Resolves a template by built-in name, or reads it from a file.
+ * @param {string} nameOrPath - 'default' or the path to a template file.
+ * @returns {Promise<string>} The template text.
+ */
+async function loadPromptTemplate(nameOrPath) {
+    if (PROMPT_TEMPLATES[nameOrPath]) return PROMPT_TEMPLATES[nameOrPath];
+    try {
+        return await fs.readFile(nameOrPath, 'utf8');
+    } catch (error) {
+        throw new Error(`Prompt template "${nameOrPath}" is neither a built-in template (${Object.keys(PROMPT_TEMPLATES).join(', ')}) nor a readable file.`);
+    }
+}
+
+module.exports = { PROMPT_TEMPLATES, buildPromptVariables, renderPrompt, loadPromptTemplate };
@@ -0,0 +1,82 @@
+/**
+ * =====================================================================================
+ * Exchange Reconciliation Rules
+ * =====================================================================================
+ *
+ * Description:
+ * Pure helpers that compare what the exchange reports (position and open orders) with
+ * what the bot's notes believe, and list every mismatch that needs repairing:
+ *
+ * - **missingStop**: a position without a protective stop.
+ * - **duplicateStops**: more than one stop for the position; the tightest is kept.
+ * - **orphanOrder**: a stop or take-profit without a position, or an entry order the
+ *   notes are not tracking as a pending entry.
+ * - **staleOpenTrade**: the notes say a trade is open while the exchange is flat.
+ * - **untrackedPosition**: a position the notes know nothing about.
+ *
+ * tradingBot.js performs the repairs, in the same way as for stopManager.js.
+ *
+ * Positions use Kraken's sides: 'long' or 'short'.
+ *
+ * =====================================================================================
+ */
+
+/**
+ * Lists the mismatches between the exchange and the notes.
+ * @param {object} params
+ * @param {object|null} params.position - The open position of the traded symbol, if any.
+ * @param {Array<object>} params.stopOrders - All resting stop orders of the symbol.
+ * @param {Array<object>} params.takeProfitOrders - All resting take-profit orders of the symbol.
+ * @param {Array<object>} params.entryOrders - Resting limit orders that are not reduce-only.
+ * @param {object} params.notes - The bot's notes.
+ * @returns {Array<object>} Mismatches, each with a `type` and the orders or details involved.
+ */
+function findMismatches({ position, stopOrders, takeProfitOrders, entryOrders, notes }) {
+    const mismatches = [];
+    const tradeIsOpen = notes.lastTrade?.result === 'Open';
+
+    if (!position) {
+        for (const order of [...stopOrders, ...takeProfitOrders]) mismatches.push({ type: 'orphanOrder', order });
+        if (tradeIsOpen) mismatches.push({ type: 'staleOpenTrade' });
+    } else {
+        if (stopOrders.length === 0) {
+            mismatches.push({ type: 'missingStop' });
+        } else if (stopOrders.length > 1) {
+            const isTighter = (a, b) => (position.side === 'long'
+                ? parseFloat(a.stopPrice) > parseFloat(b.stopPrice)
+                : parseFloat(a.stopPrice) < parseFloat(b.stopPrice));
+            const keep = stopOrders.reduce((best, order) => (isTighter(order, best) ? order : best));
+            mismatches.push({ type: 'duplicateStops', keep, cancel: stopOrders.filter(o => o !== keep) });
+        }
+        // Listed after the stop repairs, so the adopted trade records the surviving stop.
+        if (!tradeIsOpen) mismatches.push({ type: 'untrackedPosition' });
+    }
+
+    const pendingOrderId = notes.pendingEntry?.orderId;
+    for (const order of entryOrders) {
+        if (order.order_id !== pendingOrderId) mismatches.push({ type: 'orphanOrder', order });
+    }
+    return mismatches;
+}
+
+/**
+ * Picks the price for a stop that has to be recreated: the stop recorded in the notes if
+ * it still protects the position, otherwise the configured distance from the entry price,
+ * or from the current price if the position has already moved past that.
+ * @param {object} params
+ * @param {string} params.side - 'long' or 'short'.
+ * @param {number} params.entryPrice - Average entry price of the position.
+ * @param {number} params.currentPrice - Latest market price.
+ * @param {number|null} params.recordedStop - The stop price in the notes, if any.
+ * @param {number} params.stopLossPercent - Default stop distance in percent.
+ * @returns {number} The stop price.
+ */
+function selectRecoveryStopPrice({ side, entryPrice, currentPrice, recordedStop, stopLossPercent }) {
+    const protects = price => price > 0 && (side === 'long' ? price < currentPrice : price > currentPrice);
+    const offset = price => (side === 'long' ? price * (1 - stopLossPercent / 100) : price * (1 + stopLossPercent / 100));
+    if (protects(recordedStop)) return recordedStop;
+    const fromEntry = offset(entryPrice);
+    return protects(fromEntry) ? fromEntry : offset(currentPrice);
+}
+
+module.exports = { findMismatches, selectRecoveryStopPrice };
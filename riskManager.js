@@ -0,0 +1,174 @@
+/**
+ * =====================================================================================
+ * Risk Manager
+ * =====================================================================================
+ *
+ * Description:
+ * Decides how large a new position may be, and whether the bot may open one at all.
+ *
+ * - **Sizing**: the position is sized so that a stop-out loses RISK_PER_TRADE_PERCENT
+ *   of account equity, then capped by the leverage (with a safety factor) and rounded
+ *   down to the instrument's contract size and precision.
+ * - **Limits**: new entries are refused once the account has lost more than the
+ *   maximum daily loss, drawn down more than the maximum from its peak equity, or
+ *   opened the maximum number of trades for the day. The drawdown kill-switch stays
+ *   engaged until the state file is reset; the daily limits clear at 00:00 UTC.
+ *
+ * The tracked state (peak equity, start-of-day equity, trades today) is persisted to a
+ * JSON file so that restarts do not reset the limits.
+ *
+ * =====================================================================================
+ */
+
+const fs = require('fs').promises;
+
+function createInitialState() {
+    return { day: null, dayStartEquity: null, peakEquity: null, tradesToday: 0, killSwitchReason: null };
+}
+
+/**
+ * Rounds a size down to a number of decimals, avoiding floating point artefacts.
+ */
+function floorToPrecision(value, precision) {
+    const factor = 10 ** precision;
+    return Math.floor(value * factor + 1e-9) / factor;
+}
+
+class RiskManager {
+    /**
+     * @param {object} options
+     * @param {string|null} options.statePath - JSON file used to persist the tracked equity. `null` keeps it in memory.
+     * @param {number} options.riskPerTradePercent - Percent of equity lost if the stop is hit.
+     * @param {number} options.leverage - Maximum account leverage.
+     * @param {number} options.leverageSafetyFactor - Fraction of the leveraged buying power that may be used.
+     * @param {number} options.minimumTradeUsd - Smallest notional worth sending to the exchange.
+     * @param {number} options.maxDailyLossPercent - Loss from the start-of-day equity that stops new entries.
+     * @param {number} options.maxDrawdownPercent - Drop from peak equity that engages the kill-switch.
+     * @param {number} options.maxTradesPerDay - Maximum number of entries per UTC day.
+     */
+    constructor({
+        statePath = null, riskPerTradePercent, leverage, leverageSafetyFactor, minimumTradeUsd,
+        maxDailyLossPercent, maxDrawdownPercent, maxTradesPerDay
+    }) {
+        this.statePath = statePath;
+        this.riskPerTradePercent = riskPerTradePercent;
+        this.leverage = leverage;
+        this.leverageSafetyFactor = leverageSafetyFactor;
+        this.minimumTradeUsd = minimumTradeUsd;
+        this.maxDailyLossPercent = maxDailyLossPercent;
+        this.maxDrawdownPercent = maxDrawdownPercent;
+        this.maxTradesPerDay = maxTradesPerDay;
+        this.state = null;
+    }
+
+    // --- Persistence ---
+
+    async load() {
+        if (this.state) return this.state;
+        this.state = createInitialState();
+        if (!this.statePath) return this.state;
+        try {
+            this.state = { ...this.state, ...JSON.parse(await fs.readFile(this.statePath, 'utf8')) };
+        } catch (error) {
+            console.log('No saved risk state found. Tracking starts from the current equity.');
+        }
+        return this.state;
+    }
+
+    async save() {
+        if (!this.statePath || !this.state) return;
+        try {
+            await fs.writeFile(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+        } catch (error) {
+            console.error('Could not write the risk state file.', error);
+        }
+    }
+
+    // --- Position Sizing ---
+
+    /**
+     * Sizes a new position, or an addition to one, from the account equity and the distance to its stop.
+     * @param {object} params
+     * @param {number} params.equity - Total account equity (portfolio value) in USD.
+     * @param {number} params.availableMargin - Free margin in USD.
+     * @param {number} params.entryPrice - Expected entry price.
+     * @param {number} params.stopPrice - Protective stop price.
+     * @param {number} [params.maxNotionalUsd=Infinity] - Further cap on the notional, e.g. from portfolio exposure limits.
+     * @param {number} params.contractSize - The instrument's base-currency units per contract.
+     * @param {number} params.sizePrecision - Decimals allowed in the instrument's order size (in contracts).
+     * @param {number} [params.openRiskUsd=0] - Loss at the stop of the position being added to; the addition
+     *   only gets what is left of the risk per trade.
+     * @returns {{ size: number, reason: string }} The order size in contracts (0 if the trade should not be taken).
+     */
+    calculateTradeSize({ equity, availableMargin, entryPrice, stopPrice, maxNotionalUsd = Infinity, contractSize, sizePrecision, openRiskUsd = 0 }) {
+        const stopDistance = Math.abs(entryPrice - stopPrice);
+        if (!(equity > 0) || !(entryPrice > 0) || !(stopDistance > 0)) {
+            return { size: 0, reason: 'Equity, entry price or stop distance is not positive.' };
+        }
+
+        const riskAmountUsd = equity * (this.riskPerTradePercent / 100) - Math.max(openRiskUsd, 0);
+        if (!(riskAmountUsd > 0)) {
+            return { size: 0, reason: `The open position already risks ${openRiskUsd.toFixed(2)} USD at its stop, the whole risk per trade.` };
+        }
+        const riskBasedSize = riskAmountUsd / stopDistance;
+        const leverageCappedSize = (Math.max(availableMargin, 0) * this.leverage * this.leverageSafetyFactor) / entryPrice;
+        const exposureCappedSize = Math.max(maxNotionalUsd, 0) / entryPrice;
+
+        const baseSize = Math.min(riskBasedSize, leverageCappedSize, exposureCappedSize);
+        const size = floorToPrecision(baseSize / contractSize, sizePrecision);
+        const notionalUsd = size * contractSize * entryPrice;
+        const cappedBy = baseSize === riskBasedSize ? 'risk per trade' : (baseSize === leverageCappedSize ? 'leverage cap' : 'exposure cap');
+
+        if (notionalUsd < this.minimumTradeUsd) {
+            return { size: 0, reason: `Notional ${notionalUsd.toFixed(2)} USD is below the minimum trade of ${this.minimumTradeUsd} USD.` };
+        }
+        return { size, reason: `Risking ${riskAmountUsd.toFixed(2)} USD over a ${stopDistance.toFixed(2)} stop distance (limited by ${cappedBy}).` };
+    }
+
+    // --- Account Limits ---
+
+    /**
+     * Updates the tracked equity for the current day and checks every limit.
+     * @param {number} equity - Current account equity in USD.
+     * @param {Date} now - Time of the cycle (the candle time during backtests).
+     * @returns {Promise<{ allowed: boolean, reason: string|null }>} Whether new entries are allowed.
+     */
+    async evaluate(equity, now) {
+        const state = await this.load();
+        const day = now.toISOString().slice(0, 10);
+        if (state.day !== day) {
+            state.day = day;
+            state.dayStartEquity = equity;
+            state.tradesToday = 0;
+        }
+        state.peakEquity = Math.max(state.peakEquity ?? equity, equity);
+
+        const drawdownPercent = state.peakEquity > 0 ? ((state.peakEquity - equity) / state.peakEquity) * 100 : 0;
+        const dailyLossPercent = state.dayStartEquity > 0 ? ((state.dayStartEquity - equity) / state.dayStartEquity) * 100 : 0;
+
+        if (!state.killSwitchReason && drawdownPercent >= this.maxDrawdownPercent) {
+            state.killSwitchReason = `Drawdown of ${drawdownPercent.toFixed(2)}% from peak equity ${state.peakEquity.toFixed(2)} exceeded the ${this.maxDrawdownPercent}% limit on ${day}.`;
+        }
+        await this.save();
+
+        if (state.killSwitchReason) return { allowed: false, reason: `Kill-switch engaged: ${state.killSwitchReason}` };
+        if (dailyLossPercent >= this.maxDailyLossPercent) {
+            return { allowed: false, reason: `Daily loss of ${dailyLossPercent.toFixed(2)}% exceeded the ${this.maxDailyLossPercent}% limit.` };
+        }
+        if (state.tradesToday >= this.maxTradesPerDay) {
+            return { allowed: false, reason: `Reached the maximum of ${this.maxTradesPerDay} trades for ${day}.` };
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Counts a new entry towards the daily trade limit.
+     */
+    async recordTrade() {
+        const state = await this.load();
+        state.tradesToday += 1;
+        await this.save();
+    }
+}
+
+module.exports = { RiskManager, floorToPrecision };
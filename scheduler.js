@@ -0,0 +1,164 @@
+/**
+ * =====================================================================================
+ * Candle-Close Scheduler
+ * =====================================================================================
+ *
+ * Description:
+ * Runs the decision cycle a few seconds after each candle closes, on the UTC boundaries
+ * of the candle interval (e.g. 00:00, 04:00, 08:00 for 4-hour candles), instead of a
+ * fixed delay after the previous cycle, which drifts. Between decision cycles it can
+ * run a faster risk-check tick.
+ *
+ * - **No overlap**: a risk check that comes due while another task is running is
+ *   skipped; a decision cycle waits for the running risk check to finish.
+ * - **Missed cycles**: when a timer fires late (the machine slept) or the bot restarts,
+ *   the candle closes that went by without a decision cycle are logged. Only the latest
+ *   one is caught up, since older candles no longer matter for a new decision.
+ *
+ * `dropFormingCandle` removes the candle that is still open from Kraken's OHLC data,
+ * so the strategy only sees closed candles.
+ *
+ * =====================================================================================
+ */
+
+const BUSY_RETRY_MS = 5000;
+
+/**
+ * @param {number} timeMs - A time in milliseconds.
+ * @param {number} intervalMs - Candle length in milliseconds.
+ * @returns {number} The close time of the latest candle that closed at or before `timeMs`.
+ */
+function latestCandleClose(timeMs, intervalMs) {
+    return Math.floor(timeMs / intervalMs) * intervalMs;
+}
+
+/**
+ * Removes candles that have not closed yet: Kraken's last OHLC row is the forming candle.
+ * @param {Array<Array>} candles - Kraken OHLC rows, oldest first, timestamps in seconds.
+ * @param {number} intervalMinutes - Candle length.
+ * @param {number} nowMs - Current time.
+ * @returns {Array<Array>} Only the closed candles.
+ */
+function dropFormingCandle(candles, intervalMinutes, nowMs) {
+    return candles.filter(c => (Number(c[0]) + intervalMinutes * 60) * 1000 <= nowMs);
+}
+
+class CandleScheduler {
+    /**
+     * @param {object} options
+     * @param {number} options.intervalMinutes - Candle length.
+     * @param {number} options.closeDelayMs - Wait after the close before running, so the exchange has published the candle.
+     * @param {Function} options.onDecisionCycle - `async (candleCloseMs) => {}`, the AI decision cycle.
+     * @param {number} [options.riskCheckIntervalMs=0] - Period of the risk-check tick; 0 disables it.
+     * @param {Function} [options.onRiskCheck] - `async () => {}`, the risk check.
+     * @param {Function} [options.now=Date.now] - Clock, replaceable for tests.
+     */
+    constructor({ intervalMinutes, closeDelayMs, onDecisionCycle, riskCheckIntervalMs = 0, onRiskCheck = null, now = Date.now }) {
+        this.intervalMs = intervalMinutes * 60 * 1000;
+        this.closeDelayMs = closeDelayMs;
+        this.onDecisionCycle = onDecisionCycle;
+        this.riskCheckIntervalMs = riskCheckIntervalMs;
+        this.onRiskCheck = onRiskCheck;
+        this.now = now;
+
+        this.lastCycleClose = null;
+        this.nextDecisionAt = null; // When the next decision cycle is due, in milliseconds.
+        this.busy = false;
+        this.decisionTimer = null;
+        this.riskTimer = null;
+        this.stopped = true;
+    }
+
+    /**
+     * Starts the schedule. If the latest candle close has no decision cycle yet, one runs
+     * straight away; otherwise the first cycle waits for the next close.
+     * @param {number|null} lastCycleClose - Close time of the candle the last decision cycle analyzed, if known.
+     */
+    start(lastCycleClose) {
+        this.stopped = false;
+        this.lastCycleClose = lastCycleClose;
+        const latestClose = latestCandleClose(this.now() - this.closeDelayMs, this.intervalMs);
+        if (lastCycleClose === null || lastCycleClose < latestClose) {
+            this.runDecisionCycle(latestClose);
+        } else {
+            this.scheduleDecisionCycle();
+        }
+        if (this.riskCheckIntervalMs > 0 && this.onRiskCheck) this.scheduleRiskCheck();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.decisionTimer);
+        clearTimeout(this.riskTimer);
+        this.decisionTimer = null;
+        this.riskTimer = null;
+        this.nextDecisionAt = null;
+    }
+
+    scheduleDecisionCycle() {
+        if (this.stopped) return;
+        const nextClose = latestCandleClose(this.now() - this.closeDelayMs, this.intervalMs) + this.intervalMs;
+        this.nextDecisionAt = nextClose + this.closeDelayMs;
+        const delay = Math.max(0, this.nextDecisionAt - this.now());
+        console.log(`--- Next decision cycle at ${new Date(nextClose + this.closeDelayMs).toISOString()} (candle close ${new Date(nextClose).toISOString()}). ---`);
+        this.decisionTimer = setTimeout(() => {
+            // Timers fire late after the machine sleeps, so the close is recomputed from the clock.
+            this.runDecisionCycle(latestCandleClose(this.now() - this.closeDelayMs, this.intervalMs));
+        }, delay);
+    }
+
+    scheduleRiskCheck() {
+        if (this.stopped) return;
+        this.riskTimer = setTimeout(() => this.runRiskCheck(), this.riskCheckIntervalMs);
+    }
+
+    /**
+     * Logs how many candle closes went by without a decision cycle before `candleClose`.
+     */
+    reportMissedCycles(candleClose) {
+        if (this.lastCycleClose === null) return 0;
+        const missed = Math.round((candleClose - this.lastCycleClose) / this.intervalMs) - 1;
+        if (missed > 0) {
+            console.log(`WARNING: Missed ${missed} decision cycle(s) since the candle closing at ${new Date(this.lastCycleClose).toISOString()} (the bot was stopped or the machine slept). Catching up on the latest candle only.`);
+        }
+        return Math.max(0, missed);
+    }
+
+    async runDecisionCycle(candleClose) {
+        if (this.busy) {
+            // A risk check is short: wait for it rather than skip a whole candle.
+            this.decisionTimer = setTimeout(() => this.runDecisionCycle(candleClose), BUSY_RETRY_MS);
+            return;
+        }
+        if (this.lastCycleClose === null || candleClose > this.lastCycleClose) {
+            this.reportMissedCycles(candleClose);
+            this.busy = true;
+            try {
+                await this.onDecisionCycle(candleClose);
+            } catch (error) {
+                console.error('The decision cycle failed:', error.message);
+            } finally {
+                this.busy = false;
+            }
+            this.lastCycleClose = candleClose;
+        }
+        this.scheduleDecisionCycle();
+    }
+
+    async runRiskCheck() {
+        // Risk checks never overlap a decision cycle or each other; a busy tick is simply skipped.
+        if (!this.busy) {
+            this.busy = true;
+            try {
+                await this.onRiskCheck();
+            } catch (error) {
+                console.error('The risk check failed:', error.message);
+            } finally {
+                this.busy = false;
+            }
+        }
+        this.scheduleRiskCheck();
+    }
+}
+
+module.exports = { CandleScheduler, latestCandleClose, dropFormingCandle };
@@ -0,0 +1,133 @@
+/**
+ * =====================================================================================
+ * Stop-Loss Rules
+ * =====================================================================================
+ *
+ * Description:
+ * Pure helpers that decide where the protective stop of an open position should be.
+ * They never talk to the exchange: tradingBot.js uses them to pick a new stop price
+ * and then performs the cancel-and-replace itself.
+ *
+ * - **Initial stop**: a fixed percent from the entry, or a multiple of the ATR kept
+ *   within a minimum and maximum percent, so stops widen when the market is volatile.
+ * - **Trailing stop**: follows the price at a fixed percent or ATR multiple.
+ * - **Break-even**: moves the stop to the entry price (plus a small offset for fees)
+ *   once the position is in profit by a configurable percent.
+ * - **Validation**: a stop may only tighten, and must stay on the protective side of
+ *   the current price.
+ * - **Tick size**: prices are rounded to the instrument's price increment.
+ *
+ * Positions use Kraken's sides: 'long' or 'short'.
+ *
+ * =====================================================================================
+ */
+
+/**
+ * Computes the distance of the initial stop-loss from the entry price.
+ * @param {object} params
+ * @param {number} params.entryPrice - Expected entry price.
+ * @param {string} params.mode - 'percent' or 'atr'.
+ * @param {number} params.percent - Stop distance in percent, for 'percent' mode and when no ATR is available.
+ * @param {number} params.atr - Latest ATR value, for 'atr' mode.
+ * @param {number} params.atrMultiplier - Stop distance in ATRs, for 'atr' mode.
+ * @param {number} params.minPercent - Narrowest ATR-based distance, in percent.
+ * @param {number} params.maxPercent - Widest ATR-based distance, in percent.
+ * @returns {{ percent: number, reason: string }} The stop distance in percent of the entry price.
+ */
+function selectInitialStopDistance({ entryPrice, mode, percent, atr, atrMultiplier, minPercent, maxPercent }) {
+    if (mode !== 'atr') return { percent, reason: `fixed ${percent}% stop` };
+    if (!(atr > 0) || !(entryPrice > 0)) return { percent, reason: `no ATR available, fixed ${percent}% stop` };
+    const atrPercent = (atr * atrMultiplier / entryPrice) * 100;
+    const bounded = Math.min(maxPercent, Math.max(minPercent, atrPercent));
+    const note = bounded !== atrPercent ? `, limited to ${bounded}%` : '';
+    return { percent: bounded, reason: `${atrMultiplier} x ATR ${atr.toFixed(2)} = ${atrPercent.toFixed(2)}% stop${note}` };
+}
+
+/**
+ * Computes the trailing stop price for the current market price.
+ * @param {object} params
+ * @param {string} params.side - 'long' or 'short'.
+ * @param {number} params.currentPrice - Latest market price.
+ * @param {string} params.mode - 'percent', 'atr' or 'none'.
+ * @param {number} params.percent - Trailing distance in percent, for 'percent' mode.
+ * @param {number} params.atr - Latest ATR value, for 'atr' mode.
+ * @param {number} params.atrMultiplier - Trailing distance in ATRs, for 'atr' mode.
+ * @returns {number|null} The candidate stop price, or null if trailing is disabled or undefined.
+ */
+function calculateTrailingStop({ side, currentPrice, mode, percent, atr, atrMultiplier }) {
+    let distance = null;
+    if (mode === 'percent') distance = currentPrice * (percent / 100);
+    if (mode === 'atr' && atr > 0) distance = atr * atrMultiplier;
+    if (!(distance > 0)) return null;
+    return side === 'long' ? currentPrice - distance : currentPrice + distance;
+}
+
+/**
+ * Computes the break-even stop once the position has gained enough.
+ * @param {object} params
+ * @param {string} params.side - 'long' or 'short'.
+ * @param {number} params.entryPrice - Average entry price of the position.
+ * @param {number} params.currentPrice - Latest market price.
+ * @param {number} params.triggerPercent - Profit in percent required before moving to break-even. 0 disables it.
+ * @param {number} params.offsetPercent - Distance beyond the entry price, to cover fees.
+ * @returns {number|null} The break-even stop price, or null if the trigger has not been reached.
+ */
+function calculateBreakEvenStop({ side, entryPrice, currentPrice, triggerPercent, offsetPercent }) {
+    if (!(triggerPercent > 0) || !(entryPrice > 0)) return null;
+    const profitPercent = side === 'long'
+        ? ((currentPrice - entryPrice) / entryPrice) * 100
+        : ((entryPrice - currentPrice) / entryPrice) * 100;
+    if (profitPercent < triggerPercent) return null;
+    return side === 'long' ? entryPrice * (1 + offsetPercent / 100) : entryPrice * (1 - offsetPercent / 100);
+}
+
+/**
+ * Checks that a stop move tightens risk and keeps the stop on the protective side of the price.
+ * @param {object} params
+ * @param {string} params.side - 'long' or 'short'.
+ * @param {number} params.currentStop - Price of the existing stop.
+ * @param {number} params.newStop - Proposed stop price.
+ * @param {number} params.currentPrice - Latest market price.
+ * @returns {{ valid: boolean, reason: string|null }}
+ */
+function validateStopMove({ side, currentStop, newStop, currentPrice }) {
+    if (!(newStop > 0)) return { valid: false, reason: `Stop price ${newStop} is not a positive number.` };
+    if (side === 'long') {
+        if (newStop >= currentPrice) return { valid: false, reason: `Stop ${newStop} is not below the current price ${currentPrice} of a long position.` };
+        if (newStop <= currentStop) return { valid: false, reason: `Stop ${newStop} would not tighten the current stop at ${currentStop}.` };
+    } else {
+        if (newStop <= currentPrice) return { valid: false, reason: `Stop ${newStop} is not above the current price ${currentPrice} of a short position.` };
+        if (newStop >= currentStop) return { valid: false, reason: `Stop ${newStop} would not tighten the current stop at ${currentStop}.` };
+    }
+    return { valid: true, reason: null };
+}
+
+/**
+ * Rounds a price to the instrument's tick size, the only prices the exchange accepts.
+ * @param {number|null} price - The price to round.
+ * @param {number} tickSize - The instrument's price increment.
+ * @returns {number|null} The nearest multiple of the tick size, or null for a null price.
+ */
+function roundToTick(price, tickSize) {
+    if (price === null) return null;
+    // toFixed drops the float noise of the multiplication, e.g. 0.30000000000000004 for 3 ticks of 0.1.
+    return Number((Math.round(price / tickSize) * tickSize).toFixed(10));
+}
+
+/**
+ * Picks the tightest valid stop among the automatic rules.
+ * @param {object} params - The position, prices and rule settings (see the functions above).
+ * @param {number} params.tickSize - Stop prices are rounded to this increment before they are compared.
+ * @returns {{ price: number, rule: string }|null} The new stop, or null if the current one should stay.
+ */
+function selectAutomaticStop({ side, entryPrice, currentPrice, currentStop, trailing, breakEven, tickSize }) {
+    const candidates = [
+        { rule: 'break-even', price: roundToTick(calculateBreakEvenStop({ side, entryPrice, currentPrice, ...breakEven }), tickSize) },
+        { rule: `trailing (${trailing.mode})`, price: roundToTick(calculateTrailingStop({ side, currentPrice, ...trailing }), tickSize) }
+    ].filter(c => c.price !== null && validateStopMove({ side, currentStop, newStop: c.price, currentPrice }).valid);
+
+    if (candidates.length === 0) return null;
+    return candidates.reduce((best, c) => ((side === 'long' ? c.price > best.price : c.price < best.price) ? c : best));
+}
+
+module.exports = { selectInitialStopDistance, calculateTrailingStop, calculateBreakEvenStop, validateStopMove, roundToTick, selectAutomaticStop };
@@ -0,0 +1,130 @@
+/**
+ * Exchange and AI failures during `tradingLoop`: outages, rejected orders and refused
+ * credentials must never leave an unprotected position or a repeated order.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { startHarness, KRAKEN_API_KEY, KRAKEN_API_SECRET } = require('./harness');
+const { KrakenFuturesClient, KrakenAuthError } = require('../krakenClient');
+
+const ACCOUNTS = '/derivatives/api/v3/accounts';
+const SENDORDER = '/derivatives/api/v3/sendorder';
+
+let harness;
+let baseUrl;
+
+before(async () => {
+    harness = await startHarness();
+    baseUrl = harness.bot.config.krakenFuturesBaseUrl;
+    await harness.bot.setUpDecisionProvider();
+});
+
+after(() => harness.close());
+
+const lastCycle = async () => (await harness.readJournal()).at(-1);
+const ENTER_LONG = { action: 'ENTER_LONG', orderType: 'mkt', reason: 'Trend continuation.' };
+
+test('an exchange outage fails the cycle before the AI is asked and before any order', async () => {
+    const { bot, kraken, deepseek } = harness;
+    const outage = { status: 503, body: 'Service Unavailable' };
+    // The first attempt and the client's three retries.
+    kraken.script(ACCOUNTS, outage, outage, outage, outage);
+
+    await bot.tradingLoop();
+
+    assert.equal(kraken.requestsTo(ACCOUNTS).length, 4);
+    assert.equal(deepseek.requests.length, 0);
+    assert.equal(kraken.requestsTo(SENDORDER).length, 0);
+    assert.match((await lastCycle()).error, /HTTP 503/);
+});
+
+test('a rejected entry order leaves no position and no stop', async () => {
+    const { bot, kraken, deepseek } = harness;
+    deepseek.reply(ENTER_LONG);
+    kraken.script(SENDORDER, {
+        body: { result: 'success', sendStatus: { order_id: 'rejected-1', status: 'insufficientAvailableFunds', receivedTime: new Date().toISOString() } }
+    });
+
+    await bot.tradingLoop();
+
+    assert.equal(kraken.requestsTo(SENDORDER).length, 1);
+    assert.deepEqual((await kraken.exchange.getOpenPositions()).openPositions, []);
+    assert.deepEqual((await kraken.exchange.getOpenOrders()).openOrders, []);
+    const cycle = await lastCycle();
+    assert.equal(cycle.plan.action, 'ENTER_LONG');
+    assert.match(cycle.notes.generalObservations, /order failed \(insufficientAvailableFunds\)/);
+});
+
+test('an order request that fails is not retried, and the cycle is journaled as failed', async () => {
+    const { bot, kraken, deepseek } = harness;
+    const ordersBefore = kraken.requestsTo(SENDORDER).length;
+    deepseek.reply(ENTER_LONG);
+    kraken.script(SENDORDER, { status: 502, body: 'Bad Gateway' });
+
+    await bot.tradingLoop();
+
+    assert.equal(kraken.requestsTo(SENDORDER).length, ordersBefore + 1);
+    assert.deepEqual((await kraken.exchange.getOpenPositions()).openPositions, []);
+    assert.match((await lastCycle()).error, /HTTP 502/);
+});
+
+test('a Deepseek outage falls back to HOLD', async () => {
+    const { bot, kraken, deepseek } = harness;
+    const ordersBefore = kraken.requestsTo(SENDORDER).length;
+    deepseek.reply({ status: 500, body: { error: { message: 'Server busy' } } });
+
+    await bot.tradingLoop();
+
+    const cycle = await lastCycle();
+    assert.equal(cycle.plan.action, 'HOLD');
+    assert.match(cycle.plan.reason, /All decision providers failed \(deepseek: Request failed with status code 500\)/);
+    // The prompt that was sent and the error that came back, not the HOLD put in their place.
+    assert.equal(cycle.decisionAttempts.length, 1);
+    assert.match(cycle.decisionAttempts[0].prompt, /Current Spot Price/);
+    assert.match(cycle.decisionAttempts[0].rawResponse, /Server busy/);
+    assert.equal(kraken.requestsTo(SENDORDER).length, ordersBefore);
+});
+
+test('the mock exchange refuses a wrong signature and a stale nonce', async () => {
+    const wrongSecret = new KrakenFuturesClient({ apiKey: KRAKEN_API_KEY, apiSecret: Buffer.from('another-secret').toString('base64'), baseUrl });
+    await assert.rejects(wrongSecret.getAccounts(), error => error instanceof KrakenAuthError && error.code === 'authenticationError');
+
+    const staleNonce = new KrakenFuturesClient({ apiKey: KRAKEN_API_KEY, apiSecret: KRAKEN_API_SECRET, baseUrl });
+    staleNonce.createNonce = () => '1';
+    await assert.rejects(staleNonce.getAccounts(), error => error instanceof KrakenAuthError && error.code === 'nonceBelowThreshold');
+
+    const valid = new KrakenFuturesClient({ apiKey: KRAKEN_API_KEY, apiSecret: KRAKEN_API_SECRET, baseUrl });
+    assert.equal((await valid.getAccounts()).result, 'success');
+});
+
+test('the notes of the last good cycle outlast a long run of failed cycles', async () => {
+    const { bot, dir } = harness;
+    const symbol = bot.INSTRUMENTS[0].futuresSymbol;
+    const lastTrade = { action: 'ENTER_LONG', result: 'Open', entryPrice: 60000 };
+    const failed = { symbol, plan: null, error: 'HTTP 503: Service Unavailable' };
+    const lines = [{ symbol, notes: { lastTrade, generalObservations: 'Entered long.' } }, ...Array(3 * bot.config.notesHistoryCycles).fill(failed)];
+    await fs.appendFile(path.join(dir, 'journal.jsonl'), lines.map(line => JSON.stringify(line) + '\n').join(''));
+
+    const notes = await bot.readNotes();
+    assert.deepEqual(notes.lastTrade, lastTrade);
+    assert.equal(notes.generalObservations, 'Entered long.');
+    assert.equal(notes.recentCycles.length, bot.config.notesHistoryCycles);
+});
+
+test('a contract specification that Kraken does not agree with stops the bot before it trades', async () => {
+    const { bot, kraken } = harness;
+    await bot.verifyInstrumentSpecs();
+
+    const symbol = bot.INSTRUMENTS[0].futuresSymbol.toUpperCase();
+    kraken.script('/derivatives/api/v3/instruments', {
+        body: { result: 'success', instruments: [{ symbol, tickSize: 0.5, contractSize: 1, contractValueTradePrecision: 3 }] }
+    });
+    await assert.rejects(bot.verifyInstrumentSpecs(), error => error.name === 'ConfigError' && error.errors.length === 2
+        && /contractSizePrecision is 4, but Kraken specifies 3/.test(error.message) && /tickSize is 1, but Kraken specifies 0\.5/.test(error.message));
+
+    kraken.script('/derivatives/api/v3/instruments', { body: { result: 'success', instruments: [] } });
+    await assert.rejects(bot.verifyInstrumentSpecs(), /Kraken does not list this instrument/);
+});
@@ -0,0 +1,50 @@
+/**
+ * The take-profit rules of bracketOrders.js, on their own: which targets a plan gets,
+ * how the position is split across them and how they shrink with the position.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveTakeProfitLevels, allocateTakeProfitSizes, planTakeProfitResize } = require('../bracketOrders');
+
+const LONG = { side: 'long', entryPrice: 60000, stopPrice: 58800, defaultLevels: [{ riskReward: 1.5, percent: 50 }, { riskReward: 3, percent: 50 }] };
+const SHORT = { ...LONG, side: 'short', stopPrice: 61200 };
+
+test('a single target or a risk-reward multiple closes the whole position', () => {
+    assert.deepEqual(resolveTakeProfitLevels({ takeProfit: 63000 }, LONG), { levels: [{ price: 63000, percent: 100 }], rejected: [] });
+    assert.deepEqual(resolveTakeProfitLevels({ riskReward: 2 }, LONG).levels, [{ price: 62400, percent: 100 }]);
+    assert.deepEqual(resolveTakeProfitLevels({ riskReward: 2 }, SHORT).levels, [{ price: 57600, percent: 100 }]);
+});
+
+test('without a target the default levels apply, at multiples of the stop distance', () => {
+    assert.deepEqual(resolveTakeProfitLevels({}, SHORT).levels, [{ price: 58200, percent: 50 }, { price: 56400, percent: 50 }]);
+});
+
+test('partial targets are sorted nearest first, and invalid ones are rejected', () => {
+    const plan = { takeProfits: [{ price: 63000, percent: 40 }, { price: 59000, percent: 20 }, { price: 61000, percent: 40 }, { price: 64000, percent: 30 }] };
+    const { levels, rejected } = resolveTakeProfitLevels(plan, LONG);
+    assert.deepEqual(levels, [{ price: 61000, percent: 40 }, { price: 63000, percent: 40 }]);
+    assert.deepEqual(rejected, [
+        'Take-profit 59000 is not on the profit side of the long entry at 60000.',
+        'Take-profit at 64000 for 30% would close more than the whole position.'
+    ]);
+});
+
+test('the last of levels adding up to 100% takes the rounding remainder', () => {
+    const levels = [{ price: 61800, percent: 50 }, { price: 63600, percent: 50 }];
+    assert.deepEqual(allocateTakeProfitSizes(0.0833, levels, 4), [{ price: 61800, size: 0.0416 }, { price: 63600, size: 0.0417 }]);
+});
+
+test('levels short of 100% leave the rest of the position open, and empty levels are dropped', () => {
+    assert.deepEqual(allocateTakeProfitSizes(0.0833, [{ price: 61800, percent: 30 }], 4), [{ price: 61800, size: 0.0249 }]);
+    assert.deepEqual(allocateTakeProfitSizes(0.0001, [{ price: 61800, percent: 50 }, { price: 63600, percent: 50 }], 4), [{ price: 63600, size: 0.0001 }]);
+});
+
+test('take-profits are trimmed from the furthest target down to the position size', () => {
+    const near = { order_id: 'near', stopPrice: 61800, unfilledSize: 0.0416 };
+    const far = { order_id: 'far', stopPrice: 63600, unfilledSize: 0.0417 };
+
+    assert.deepEqual(planTakeProfitResize(0.0833, [far, near], 60000), []);
+    assert.deepEqual(planTakeProfitResize(0.05, [far, near], 60000), [{ order: far, newSize: 0.0084 }]);
+    assert.deepEqual(planTakeProfitResize(0.03, [far, near], 60000), [{ order: near, newSize: 0.03 }, { order: far, newSize: 0 }]);
+});
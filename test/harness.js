@@ -0,0 +1,103 @@
+/**
+ * =====================================================================================
+ * Test Harness
+ * =====================================================================================
+ *
+ * Description:
+ * Starts the mock Kraken and Deepseek servers and loads the bot against them, trading
+ * "live" on the mock exchange (or on its own paper exchange, with LIVE_TRADING_ENABLED
+ * set to 'false') with a temporary directory for its journal and state:
+ *
+ *     const harness = await startHarness();
+ *     harness.deepseek.reply({ action: 'ENTER_LONG', orderType: 'mkt', reason: '...' });
+ *     await harness.bot.tradingLoop();
+ *
+ * The bot reads its configuration once, when it is first required, so there is one
+ * harness per test file; `node --test` runs every file in its own process. Settings
+ * already in the environment are cleared first, so that the tests do not depend on the
+ * shell they run in. The bot's log is silenced unless TEST_LOG is set.
+ *
+ * =====================================================================================
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { SETTINGS, LIVE_TRADING_CONFIRMATION, toEnvName } = require('../config');
+const { MockKrakenServer } = require('./mocks/krakenServer');
+const { MockDeepseekServer } = require('./mocks/deepseekServer');
+
+const KRAKEN_API_KEY = 'test-kraken-key';
+const KRAKEN_API_SECRET = Buffer.from('test-kraken-secret').toString('base64');
+const DEEPSEEK_API_KEY = 'test-deepseek-key';
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.env={}] - Further settings, as environment variables, e.g. `{ STOP_LOSS_PERCENT: '3' }`.
+ * @param {object} [options.market={}] - Options of the MockKrakenServer, e.g. `{ price: 50000 }`.
+ * @returns {Promise<object>} `{ bot, kraken, deepseek, dir, readJournal, readRejections, close }`.
+ */
+async function startHarness({ env = {}, market = {} } = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'trading-bot-test-'));
+    const kraken = new MockKrakenServer({ apiKey: KRAKEN_API_KEY, apiSecret: KRAKEN_API_SECRET, ...market });
+    const deepseek = new MockDeepseekServer({ apiKey: DEEPSEEK_API_KEY });
+    const krakenUrl = await kraken.start();
+    const deepseekUrl = await deepseek.start();
+
+    for (const key of Object.keys(SETTINGS)) delete process.env[toEnvName(key)];
+    delete process.env.BOT_CONFIG;
+    delete process.env.BOT_PROFILE;
+    Object.assign(process.env, {
+        LIVE_TRADING_ENABLED: 'true',
+        LIVE_TRADING_CONFIRMATION,
+        KRAKEN_API_KEY,
+        KRAKEN_API_SECRET,
+        DEEPSEEK_API_KEY,
+        KRAKEN_FUTURES_BASE_URL: krakenUrl,
+        KRAKEN_SPOT_BASE_URL: krakenUrl,
+        DEEPSEEK_API_URL: deepseekUrl,
+        DECISION_PROVIDER: 'deepseek',
+        DECISION_TIMEOUT_MS: '5000',
+        WEBSOCKET_ENABLED: 'false',
+        // The scenarios move the stop themselves; the automatic break-even would interfere.
+        BREAK_EVEN_TRIGGER_PERCENT: '0',
+        JOURNAL_FILE_PATH: path.join(dir, 'journal.jsonl'),
+        TRADE_LEDGER_FILE_PATH: path.join(dir, 'trade_ledger.jsonl'),
+        RISK_STATE_FILE_PATH: path.join(dir, 'risk_state.json'),
+        PAPER_STATE_FILE_PATH: path.join(dir, 'paper_exchange.json'),
+        PLAN_REJECTIONS_FILE_PATH: path.join(dir, 'plan_rejections.jsonl'),
+        BACKTEST_REPORT_FILE_PATH: path.join(dir, 'backtest_report.json'),
+        ...env
+    });
+
+    const log = { log: console.log, error: console.error };
+    if (!process.env.TEST_LOG) console.log = console.error = () => {};
+    const bot = require('../tradingBot');
+
+    const readJsonLines = async file => {
+        try {
+            return (await fs.readFile(path.join(dir, file), 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    };
+
+    return {
+        bot,
+        kraken,
+        deepseek,
+        dir,
+        /** @returns {Promise<Array<object>>} The journal's entries, oldest first. */
+        readJournal: () => readJsonLines('journal.jsonl'),
+        /** @returns {Promise<Array<object>>} The rejected plans, oldest first. */
+        readRejections: () => readJsonLines('plan_rejections.jsonl'),
+        async close() {
+            await Promise.all([kraken.stop(), deepseek.stop()]);
+            await fs.rm(dir, { recursive: true, force: true });
+            Object.assign(console, log);
+        }
+    };
+}
+
+module.exports = { startHarness, KRAKEN_API_KEY, KRAKEN_API_SECRET, DEEPSEEK_API_KEY };
@@ -0,0 +1,41 @@
+/**
+ * Reading the cycle journal of journal.js from a file: the latest entries, and the
+ * latest matching entry however far back it is.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Journal } = require('../journal');
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'trading-bot-test-'));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test('findLatestCycle reaches back over many chunks to the entry it looks for', async () => {
+    const journal = new Journal({ journalPath: path.join(dir, 'journal.jsonl') });
+    // Multi-byte characters, so that chunk boundaries fall inside them.
+    await journal.appendCycle({ symbol: 'PF_XBTUSD', notes: { generalObservations: 'Stop moved to 58 800 – holding ✓' } });
+    for (let i = 0; i < 2000; i++) await journal.appendCycle({ symbol: 'PF_ETHUSD', error: `Failure ${i} – ✗` });
+
+    const latest = await journal.findLatestCycle(entry => entry.symbol === 'PF_XBTUSD');
+    assert.equal(latest.notes.generalObservations, 'Stop moved to 58 800 – holding ✓');
+    assert.equal((await journal.findLatestCycle(entry => entry.error)).error, 'Failure 1999 – ✗');
+    assert.equal(await journal.findLatestCycle(entry => entry.symbol === 'PF_SOLUSD'), null);
+    assert.deepEqual((await journal.readRecentCycles(2)).map(entry => entry.error), ['Failure 1998 – ✗', 'Failure 1999 – ✗']);
+});
+
+test('findLatestCycle finds nothing in a journal that does not exist yet, or in memory', async () => {
+    assert.equal(await new Journal({ journalPath: path.join(dir, 'missing.jsonl') }).findLatestCycle(() => true), null);
+
+    const inMemory = new Journal({ journalPath: null });
+    await inMemory.appendCycle({ symbol: 'PF_XBTUSD', notes: { generalObservations: 'First.' } });
+    await inMemory.appendCycle({ symbol: 'PF_XBTUSD', error: 'Failed.' });
+    assert.equal((await inMemory.findLatestCycle(entry => entry.notes)).notes.generalObservations, 'First.');
+});
@@ -0,0 +1,25 @@
+/**
+ * The request signature of KrakenFuturesClient against known answers, computed apart
+ * from this code base with the algorithm in Kraken's documentation.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { KrakenFuturesClient } = require('../krakenClient');
+
+const client = new KrakenFuturesClient({ apiKey: 'known-answer-key', apiSecret: Buffer.from('kraken-known-answer-secret').toString('base64') });
+const NONCE = '1700000000000';
+
+test('signRequest signs the post data, nonce and path without the /derivatives prefix', () => {
+    assert.equal(
+        client.signRequest('/derivatives/api/v3/sendorder', NONCE, 'orderType=mkt&symbol=pf_xbtusd&side=buy&size=0.01'),
+        'AJJ9JocJ6pdCUpS4Tf2O0joZKrWkjkVpe+oBp5xQKUZcL8J/QPuy+4rmLPAHOArvqOGxvqFnqvQK7vPSxEi6OA=='
+    );
+});
+
+test('signRequest signs a request without post data', () => {
+    assert.equal(
+        client.signRequest('/derivatives/api/v3/openpositions', NONCE),
+        'qt1jo3bSZstG6s9afGj+XXQDstOUXEhdP0m5W3xFBqpNEvk859x9nDntP48SCoJqsjQrSMpLxjTMS7ThCXIM0w=='
+    );
+});
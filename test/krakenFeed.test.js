@@ -0,0 +1,152 @@
+/**
+ * KrakenFuturesFeed against a stub socket: the challenge it signs and subscribes with,
+ * and the feed messages it turns into the events the bot reacts to.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { KrakenFuturesFeed } = require('../krakenFeed');
+
+const API_KEY = 'known-answer-key';
+const API_SECRET = Buffer.from('kraken-known-answer-secret').toString('base64');
+const CHALLENGE = 'c100b894-1729-464d-ace1-52dbce11db42';
+// Computed apart from this code base with the algorithm in Kraken's documentation.
+const SIGNED_CHALLENGE = 'j9QPAIBr2cTBhvgX0HOWvImbSv/HwQRUp1JqC2haap6Y9E9p9OwscEGmcyYGMbIrKPRJxMISSTb2Yw9tCtIqWA==';
+
+/**
+ * Stands in for a `ws` client: records what the feed sends, and lets the test play Kraken.
+ */
+class StubSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.readyState = WebSocket.OPEN;
+        this.sent = [];
+    }
+
+    send(text) {
+        this.sent.push(JSON.parse(text));
+    }
+
+    close() {
+        this.readyState = WebSocket.CLOSED;
+        this.emit('close');
+    }
+
+    receive(message) {
+        this.emit('message', Buffer.from(JSON.stringify(message)));
+    }
+}
+
+/**
+ * @returns {object} `{ feed, sockets, events }`: the started feed, every socket it opened and every event it emitted.
+ */
+function startFeed() {
+    const sockets = [];
+    const feed = new KrakenFuturesFeed({
+        apiKey: API_KEY, apiSecret: API_SECRET, productIds: ['PF_XBTUSD'], reconnectBaseDelayMs: 1,
+        createSocket: () => {
+            const socket = new StubSocket();
+            sockets.push(socket);
+            return socket;
+        }
+    });
+    const events = [];
+    for (const name of ['fill', 'stopTriggered', 'orderCancelled', 'positionChanged', 'positionClosed', 'error']) {
+        feed.on(name, payload => events.push([name, payload]));
+    }
+    feed.start();
+    sockets[0].emit('open');
+    return { feed, sockets, events };
+}
+
+const krakenFill = (fillId, time, overrides = {}) => ({
+    instrument: 'PF_XBTUSD', time, price: 60000, buy: true, qty: 0.1, order_id: `order-${fillId}`, fill_id: fillId, fill_type: 'taker', fee_paid: 3, ...overrides
+});
+
+test('signChallenge signs the SHA-256 of the challenge with the decoded secret', () => {
+    const feed = new KrakenFuturesFeed({ apiKey: API_KEY, apiSecret: API_SECRET });
+    assert.equal(feed.signChallenge(CHALLENGE), SIGNED_CHALLENGE);
+});
+
+test('the private feeds are subscribed with the signed challenge once Kraken sends it', () => {
+    const { feed, sockets } = startFeed();
+    const socket = sockets[0];
+    assert.deepEqual(socket.sent, [
+        { event: 'challenge', api_key: API_KEY },
+        { event: 'subscribe', feed: 'heartbeat' },
+        { event: 'subscribe', feed: 'ticker', product_ids: ['PF_XBTUSD'] }
+    ]);
+
+    socket.receive({ event: 'challenge', message: CHALLENGE });
+    const credentials = { api_key: API_KEY, original_challenge: CHALLENGE, signed_challenge: SIGNED_CHALLENGE };
+    assert.deepEqual(socket.sent.slice(3), ['fills', 'open_positions', 'open_orders'].map(name => ({ event: 'subscribe', feed: name, ...credentials })));
+    feed.stop();
+});
+
+test('fills are emitted once each, and the first snapshot only seeds the known fills', () => {
+    const { feed, sockets, events } = startFeed();
+    const socket = sockets[0];
+    socket.receive({ feed: 'fills_snapshot', fills: [krakenFill('old-1', 1700000000000)] });
+    assert.deepEqual(events, []);
+
+    socket.receive({ feed: 'fills', fills: [krakenFill('new-1', 1700000060000, { buy: false, qty: 0.05, fill_type: 'stop' })] });
+    socket.receive({ feed: 'fills', fills: [krakenFill('new-1', 1700000060000, { buy: false, qty: 0.05, fill_type: 'stop' })] });
+    assert.deepEqual(events, [['fill', {
+        fill_id: 'new-1', order_id: 'order-new-1', symbol: 'pf_xbtusd', side: 'sell', size: 0.05, price: 60000,
+        fillTime: '2023-11-14T22:14:20.000Z', fillType: 'stop', fee: 3
+    }]]);
+    feed.stop();
+});
+
+test('after a reconnect, the fills missed while disconnected are emitted from the snapshot', async () => {
+    const { feed, sockets, events } = startFeed();
+    sockets[0].receive({ feed: 'fills_snapshot', fills: [krakenFill('old-1', 1700000000000)] });
+
+    sockets[0].close();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(sockets.length, 2);
+    sockets[1].emit('open');
+    sockets[1].receive({ feed: 'fills_snapshot', fills: [krakenFill('missed-1', 1700000060000), krakenFill('old-1', 1700000000000)] });
+
+    assert.deepEqual(events.map(([name, fill]) => [name, fill.fill_id]), [['fill', 'missed-1']]);
+    feed.stop();
+});
+
+test('a triggered stop, a cancelled order and position changes become their own events', () => {
+    const { feed, sockets, events } = startFeed();
+    const socket = sockets[0];
+    const stop = { instrument: 'PF_XBTUSD', order_id: 'stop-1', type: 'stop', direction: 1, qty: 0.1, filled: 0, limit_price: 58799, stop_price: 58800, reduce_only: true };
+    socket.receive({ feed: 'open_orders_snapshot', orders: [stop] });
+    socket.receive({ feed: 'open_orders', order: { ...stop, order_id: 'tp-1', type: 'take_profit', stop_price: 63000 }, is_cancel: false, reason: 'new_placed_order_by_user' });
+    assert.deepEqual(feed.getOpenOrders('PF_XBTUSD').map(order => [order.order_id, order.orderType, order.side]), [['stop-1', 'stop', 'sell'], ['tp-1', 'take_profit', 'sell']]);
+
+    socket.receive({ feed: 'open_positions', positions: [{ instrument: 'PF_XBTUSD', balance: 0.1, entry_price: 60000 }] });
+    socket.receive({ feed: 'open_orders', order_id: 'stop-1', is_cancel: true, reason: 'stop_order_triggered' });
+    socket.receive({ feed: 'open_orders', order_id: 'tp-1', is_cancel: true, reason: 'cancelled_by_user' });
+    socket.receive({ feed: 'open_positions', positions: [] });
+
+    assert.deepEqual(events.map(([name, payload]) => [name, payload.order_id || payload.order?.order_id || payload.symbol]), [
+        ['positionChanged', 'pf_xbtusd'],
+        ['stopTriggered', 'stop-1'],
+        ['orderCancelled', 'tp-1'],
+        ['positionClosed', 'pf_xbtusd']
+    ]);
+    assert.equal(events[1][1].stopPrice, 58800);
+    assert.equal(events[2][1].reason, 'cancelled_by_user');
+    assert.deepEqual(events[3][1], { symbol: 'pf_xbtusd', side: 'long', size: 0.1, price: 60000, markPrice: undefined });
+    assert.deepEqual(feed.getOpenOrders(), []);
+    feed.stop();
+});
+
+test('an unreadable message or a Kraken error is emitted as an error', () => {
+    const { feed, sockets, events } = startFeed();
+    sockets[0].emit('message', Buffer.from('not json'));
+    sockets[0].receive({ event: 'error', message: 'Invalid challenge' });
+    assert.deepEqual(events.map(([name, error]) => [name, error.message]), [
+        ['error', 'Unreadable Kraken feed message: not json'],
+        ['error', 'Kraken feed error: Invalid challenge']
+    ]);
+    feed.stop();
+});
@@ -0,0 +1,113 @@
+/**
+ * Malformed and invalid Deepseek replies during `tradingLoop`: nothing is traded on a
+ * reply that cannot be parsed or is invalid, and either is sent back once for correction.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+
+const SENDORDER = '/derivatives/api/v3/sendorder';
+
+let harness;
+
+before(async () => {
+    harness = await startHarness();
+    await harness.bot.setUpDecisionProvider();
+});
+
+after(() => harness.close());
+
+const lastCycle = async () => (await harness.readJournal()).at(-1);
+
+test('a reply without JSON is sent back once, and is recorded as rejected with its text', async () => {
+    const { bot, kraken, deepseek } = harness;
+    const requestsBefore = deepseek.requests.length;
+    const reply = 'Looks bullish to me, I would buy here.';
+    deepseek.reply(reply, reply);
+
+    await bot.tradingLoop();
+
+    assert.equal(deepseek.requests.length, requestsBefore + 2);
+    assert.match(deepseek.requests[requestsBefore + 1].messages[2].content, /rejected:\n- The response contains no JSON object\./);
+
+    const cycle = await lastCycle();
+    assert.equal(cycle.plan.action, 'HOLD');
+    assert.match(cycle.plan.reason, /^Plan rejected by validation: The response contains no JSON object\./);
+    assert.equal(kraken.requestsTo(SENDORDER).length, 0);
+    assert.deepEqual(cycle.decisionAttempts.map(a => a.rawResponse), [reply, reply]);
+    assert.match(cycle.decisionAttempts[0].prompt, /Current Spot Price/);
+
+    const rejections = (await harness.readRejections()).slice(-2);
+    assert.deepEqual(rejections.map(r => [r.attempt, r.rawResponse]), [[1, reply], [2, reply]]);
+});
+
+test('a reply with broken JSON is sent back, and the corrected plan is used', async () => {
+    const { bot, deepseek } = harness;
+    const requestsBefore = deepseek.requests.length;
+    const broken = '{"action": "ENTER_LONG", "orderType": mkt, "reason": "Breakout."}';
+    deepseek.reply(broken, { action: 'HOLD', reason: 'No clear setup.' });
+
+    await bot.tradingLoop();
+
+    const correction = deepseek.requests[requestsBefore + 1].messages;
+    assert.equal(correction[1].content, broken);
+    assert.match(correction[2].content, /rejected:\n- The response is not valid JSON \(/);
+
+    const cycle = await lastCycle();
+    assert.deepEqual(cycle.plan, { action: 'HOLD', reason: 'No clear setup.' });
+    assert.equal((await harness.readRejections()).at(-1).rawResponse, broken);
+});
+
+test('a plan wrapped in a Markdown code fence is still read', async () => {
+    const { bot, deepseek } = harness;
+    deepseek.reply('Here is the plan:\n```json\n{ "action": "HOLD", "reason": "Waiting for a retest." }\n```');
+
+    await bot.tradingLoop();
+
+    assert.deepEqual((await lastCycle()).plan, { action: 'HOLD', reason: 'Waiting for a retest.' });
+});
+
+test('a plan that is still invalid after the correction becomes HOLD', async () => {
+    const { bot, kraken, deepseek } = harness;
+    const requestsBefore = deepseek.requests.length;
+    const invalid = { action: 'EXIT_POSITION', reason: 'Take profits.' };
+    deepseek.reply(invalid, invalid);
+
+    await bot.tradingLoop();
+
+    assert.equal(deepseek.requests.length, requestsBefore + 2);
+    const cycle = await lastCycle();
+    assert.equal(cycle.plan.action, 'HOLD');
+    assert.match(cycle.plan.reason, /^Plan rejected by validation: EXIT_POSITION requires an open position\./);
+    assert.equal(kraken.requestsTo(SENDORDER).length, 0);
+
+    const rejections = (await harness.readRejections()).slice(-2);
+    assert.deepEqual(rejections.map(r => r.attempt), [1, 2]);
+    assert.deepEqual(JSON.parse(rejections[0].rawResponse), invalid);
+});
+
+test('an invalid plan is sent back with its errors, and the corrected plan is executed', async () => {
+    const { bot, kraken, deepseek } = harness;
+    const requestsBefore = deepseek.requests.length;
+    deepseek.reply(
+        { action: 'ENTER_LONG', reason: 'Breakout.' },
+        { action: 'ENTER_LONG', orderType: 'mkt', reason: 'Breakout.' }
+    );
+
+    await bot.tradingLoop();
+
+    const correction = deepseek.requests[requestsBefore + 1].messages;
+    assert.equal(correction.length, 3);
+    assert.equal(correction[1].role, 'assistant');
+    assert.match(correction[2].content, /Your previous response was rejected:\n- ENTER_LONG requires "orderType"\./);
+
+    const cycle = await lastCycle();
+    assert.equal(cycle.plan.orderType, 'mkt');
+    assert.equal(cycle.decisionAttempts.length, 2);
+    // Without a target in the plan, the default take-profit levels are placed.
+    const [entry, stop, ...takeProfits] = kraken.requestsTo(SENDORDER).map(r => r.params.orderType);
+    assert.deepEqual([entry, stop], ['mkt', 'stp']);
+    assert.ok(takeProfits.length > 0 && takeProfits.every(type => type === 'take_profit'));
+    assert.equal((await kraken.exchange.getOpenPositions()).openPositions[0].side, 'long');
+});
@@ -0,0 +1,97 @@
+/**
+ * =====================================================================================
+ * Mock Deepseek Server
+ * =====================================================================================
+ *
+ * Description:
+ * A local stand-in for the Deepseek chat completions endpoint
+ * (`POST /v1/chat/completions`). Its replies are scripted with `reply(...)`, one per
+ * request, in order:
+ *
+ * - an object is returned as the message content, as JSON: a plan;
+ * - a string is returned as the message content as it is, e.g. malformed output;
+ * - `{ status, body }` is returned as the HTTP response itself, e.g. an outage.
+ *
+ * Once the script runs out, every request gets a HOLD plan. Requests without the
+ * expected bearer token are answered with 401, and every request body is recorded in
+ * `requests`.
+ *
+ * =====================================================================================
+ */
+
+const http = require('http');
+
+const HOLD_PLAN = { action: 'HOLD', reason: 'No scripted reply.' };
+
+/**
+ * @param {object} reply - A scripted reply.
+ * @returns {boolean} Whether it is a raw HTTP response rather than a plan.
+ */
+const isHttpResponse = reply => reply !== null && typeof reply === 'object' && typeof reply.status === 'number';
+
+class MockDeepseekServer {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKey - The bearer token requests must carry.
+     */
+    constructor({ apiKey }) {
+        this.apiKey = apiKey;
+        this.replies = [];
+        this.requests = []; // Parsed request bodies: { model, messages, temperature, response_format }
+        this.server = http.createServer((request, response) => this.handle(request, response));
+    }
+
+    /**
+     * @returns {Promise<string>} The URL of the chat completions endpoint, for deepseekApiUrl.
+     */
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        return `http://127.0.0.1:${this.server.address().port}/v1/chat/completions`;
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Queues the replies to the next requests; see the module description.
+     * @param {...object|string} replies
+     */
+    reply(...replies) {
+        this.replies.push(...replies);
+    }
+
+    handle(request, response) {
+        const send = (status, body) => {
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body));
+        };
+        let text = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => { text += chunk; });
+        request.on('end', () => {
+            if (request.method !== 'POST' || request.url !== '/v1/chat/completions') {
+                return send(404, { error: { message: `Unknown endpoint ${request.method} ${request.url}` } });
+            }
+            if (request.headers.authorization !== `Bearer ${this.apiKey}`) {
+                return send(401, { error: { message: 'Authentication Fails (no such user)', type: 'authentication_error' } });
+            }
+            const body = JSON.parse(text);
+            this.requests.push(body);
+
+            const reply = this.replies.length > 0 ? this.replies.shift() : HOLD_PLAN;
+            if (isHttpResponse(reply)) return send(reply.status, reply.body);
+            const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+            send(200, {
+                id: `chatcmpl-${this.requests.length}`,
+                object: 'chat.completion',
+                created: Math.floor(Date.now() / 1000),
+                model: body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+            });
+        });
+    }
+}
+
+module.exports = { MockDeepseekServer };
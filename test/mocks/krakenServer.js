@@ -0,0 +1,254 @@
+/**
+ * =====================================================================================
+ * Mock Kraken Server
+ * =====================================================================================
+ *
+ * Description:
+ * A local HTTP server standing in for both Kraken APIs the bot calls, so that the
+ * tests run offline and deterministically:
+ *
+ * - **Spot**: `GET /0/public/OHLC` returns a steady uptrend of candles ending at the
+ *   current price, for any interval, with the forming candle last as Kraken returns it.
+ * - **Futures, public**: `tickers` and `orderbook` quote the current price, and
+ *   `instruments` specifies the symbol as the bot's defaults do.
+ * - **Futures, private**: `accounts`, `openpositions`, `openorders`, `fills`,
+ *   `sendorder`, `cancelorder` and `cancelallorders`, backed by a PaperExchange that
+ *   fills market orders at the current price and keeps the others resting.
+ * - **Authentication**: a private request needs the API key, a nonce above every nonce
+ *   seen before and a valid `Authent` signature, which the mock computes itself from
+ *   Kraken's documentation rather than with the client under test; otherwise it is
+ *   answered with Kraken's `authenticationError` or `nonceBelowThreshold`.
+ * - **Scripting**: `script(endpoint, ...responses)` queues one-off responses, e.g. an
+ *   outage or a rejected order, served before the endpoint's normal behaviour.
+- **Clock**: `advance(minutes)` moves the candles' clock forward, so that the candle
+  an order was placed in closes and the next ones form.
+ *
+ * Every request is recorded in `requests`.
+ *
+ * =====================================================================================
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { PaperExchange } = require('../../paperExchange');
+
+const FUTURES_PREFIX = '/derivatives/api/v3';
+const CANDLE_COUNT = 120;
+
+class MockKrakenServer {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKey - The key private requests must carry.
+     * @param {string} options.apiSecret - The secret (base64) their signatures are checked with.
+     * @param {string} [options.symbol='pf_xbtusd'] - The futures symbol traded.
+     * @param {number} [options.price=60000] - The current price.
+     * @param {number} [options.trendPercent=0.1] - Rise of each candle's close over the previous one.
+     * @param {number} [options.startingBalance=10000] - Account balance in USD.
+     * @param {number} [options.leverage=10] - Leverage of the account's margin.
+     */
+    constructor({ apiKey, apiSecret, symbol = 'pf_xbtusd', price = 60000, trendPercent = 0.1, startingBalance = 10000, leverage = 10 }) {
+        this.apiKey = apiKey;
+        this.apiSecret = apiSecret;
+        this.symbol = symbol;
+        this.price = price;
+        this.trendPercent = trendPercent;
+        this.exchange = new PaperExchange({ statePath: null, startingBalance, leverage, slippagePercent: 0 });
+
+        this.clockOffsetMs = 0;
+        this.lastNonce = 0;
+        this.scripted = new Map(); // endpoint -> [response]
+        this.requests = []; // { method, endpoint, params, isPrivate, authenticated }
+        this.server = http.createServer((request, response) => this.handle(request, response));
+    }
+
+    /**
+     * @returns {Promise<string>} The base URL, for both krakenFuturesBaseUrl and krakenSpotBaseUrl.
+     */
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        await this.setPrice(this.price);
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Moves the market. Resting orders are not matched against the move.
+     * @param {number} price - The new current price.
+     */
+    async setPrice(price) {
+        this.price = price;
+        // A lone candle is taken as the forming one: it only sets the mark price.
+        await this.exchange.processCandles([[Math.floor(Date.now() / 1000), String(price), String(price), String(price), String(price), String(price), '0', 0]], { symbol: this.symbol });
+    }
+
+    /**
+     * Moves the candles' clock forward: the candles are rebuilt around the current price at the new time.
+     * @param {number} minutes - How far to move it.
+     */
+    advance(minutes) {
+        this.clockOffsetMs += minutes * 60000;
+    }
+
+    /**
+     * Queues responses that the next requests to an endpoint get instead of the normal one.
+     * @param {string} endpoint - The path, e.g. '/derivatives/api/v3/sendorder'.
+     * @param {...object|Function} responses - `{ status = 200, body }`, or `async request => ({ status, body })`, which
+     *   may call `route(request.endpoint, request.params)` to let the exchange handle the request first.
+     */
+    script(endpoint, ...responses) {
+        this.scripted.set(endpoint, [...(this.scripted.get(endpoint) || []), ...responses]);
+    }
+
+    /**
+     * @param {string} endpoint - The path, e.g. '/derivatives/api/v3/sendorder'.
+     * @returns {Array<object>} The recorded requests to it.
+     */
+    requestsTo(endpoint) {
+        return this.requests.filter(request => request.endpoint === endpoint);
+    }
+
+    /**
+     * @param {number} interval - Candle interval in minutes.
+     * @returns {Array<Array>} Kraken OHLC rows, oldest first; the last one is forming.
+     */
+    buildCandles(interval) {
+        const seconds = interval * 60;
+        const formingStart = Math.floor((Date.now() + this.clockOffsetMs) / 1000 / seconds) * seconds;
+        const rows = [];
+        for (let i = CANDLE_COUNT - 1; i >= 0; i--) {
+            // The last closed candle and the forming one close at the current price.
+            const close = this.price / (1 + this.trendPercent / 100) ** Math.max(i - 1, 0);
+            const open = close / (1 + this.trendPercent / 100);
+            rows.push([formingStart - i * seconds, open.toFixed(1), (close * 1.002).toFixed(1), (open * 0.998).toFixed(1), close.toFixed(1), close.toFixed(1), '10', 100]);
+        }
+        return rows;
+    }
+
+    /**
+     * Checks the key, nonce and signature of a private request.
+     * @returns {string|null} Kraken's error code, or null if the request is authenticated.
+     */
+    authenticate(headers, endpoint, postData) {
+        const nonce = headers['nonce'];
+        if (headers['apikey'] !== this.apiKey || !nonce || !headers['authent']) return 'authenticationError';
+        if (headers['authent'] !== expectedAuthent(this.apiSecret, endpoint, nonce, postData)) return 'authenticationError';
+        if (!(Number(nonce) > this.lastNonce)) return 'nonceBelowThreshold';
+        this.lastNonce = Number(nonce);
+        return null;
+    }
+
+    async handle(request, response) {
+        const send = (status, body) => {
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body));
+        };
+        try {
+            const text = await readBody(request);
+            // The signature covers the query or body exactly as sent, so neither is re-encoded.
+            const [endpoint, query = ''] = request.url.split('?');
+            const postData = request.method === 'GET' ? query : text;
+            const params = Object.fromEntries(new URLSearchParams(postData));
+            const isPrivate = endpoint.startsWith(FUTURES_PREFIX) && !['tickers', 'orderbook', 'instruments'].includes(endpoint.slice(FUTURES_PREFIX.length + 1));
+            const record = { method: request.method, endpoint, params, isPrivate, authenticated: false };
+            this.requests.push(record);
+
+            if (isPrivate) {
+                const error = this.authenticate(request.headers, endpoint, postData);
+                if (error) return send(200, { result: 'error', error, serverTime: new Date().toISOString() });
+                record.authenticated = true;
+            }
+
+            const queue = this.scripted.get(endpoint);
+            if (queue && queue.length > 0) {
+                const next = queue.shift();
+                const { status = 200, body } = typeof next === 'function' ? await next(record) : next;
+                return send(status, body);
+            }
+
+            const body = await this.route(endpoint, params);
+            return body ? send(200, body) : send(404, { result: 'error', error: `Unknown endpoint ${endpoint}` });
+        } catch (error) {
+            send(500, { result: 'error', error: error.message });
+        }
+    }
+
+    /**
+     * @returns {Promise<object|null>} The response body, or null for an unknown endpoint.
+     */
+    async route(endpoint, params) {
+        const exchange = this.exchange;
+        switch (endpoint) {
+            case '/0/public/OHLC': {
+                const candles = this.buildCandles(Number(params.interval));
+                return { error: [], result: { [params.pair]: candles, last: candles[candles.length - 2][0] } };
+            }
+            case `${FUTURES_PREFIX}/tickers`:
+                return {
+                    result: 'success',
+                    tickers: [{
+                        symbol: this.symbol.toUpperCase(), markPrice: this.price, indexPrice: this.price, last: this.price,
+                        fundingRate: 0, fundingRatePrediction: 0, openInterest: 1000, vol24h: 500, volumeQuote: 500 * this.price,
+                        change24h: 1, suspended: false
+                    }]
+                };
+            case `${FUTURES_PREFIX}/orderbook`:
+                return {
+                    result: 'success',
+                    orderBook: { bids: [[this.price - 0.5, 2], [this.price - 10, 5]], asks: [[this.price + 0.5, 2], [this.price + 10, 5]] }
+                };
+            case `${FUTURES_PREFIX}/instruments`:
+                return {
+                    result: 'success',
+                    instruments: [{ symbol: this.symbol.toUpperCase(), type: 'flexible_futures', tradeable: true, tickSize: 1, contractSize: 1, contractValueTradePrecision: 4 }]
+                };
+            case `${FUTURES_PREFIX}/accounts`:
+                return exchange.getAccounts();
+            case `${FUTURES_PREFIX}/openpositions`:
+                return exchange.getOpenPositions();
+            case `${FUTURES_PREFIX}/openorders`:
+                return exchange.getOpenOrders();
+            case `${FUTURES_PREFIX}/fills`:
+                return exchange.getFills();
+            case `${FUTURES_PREFIX}/sendorder`:
+                return exchange.placeOrder({ ...params, reduceOnly: params.reduceOnly === 'true' });
+            case `${FUTURES_PREFIX}/cancelorder`:
+                return exchange.cancelOrder(params.order_id);
+            case `${FUTURES_PREFIX}/cancelallorders`: {
+                const { openOrders } = await exchange.getOpenOrders();
+                const cancelled = openOrders.filter(order => !params.symbol || order.symbol === params.symbol);
+                for (const order of cancelled) await exchange.cancelOrder(order.order_id);
+                return {
+                    result: 'success',
+                    cancelStatus: { status: cancelled.length > 0 ? 'cancelled' : 'noOrdersToCancel', cancelledOrders: cancelled.map(order => ({ order_id: order.order_id })), receivedTime: new Date().toISOString() }
+                };
+            }
+            default:
+                return null;
+        }
+    }
+}
+
+/**
+ * The `Authent` header Kraken expects: base64 of the HMAC-SHA512, keyed with the base64-decoded
+ * secret, of the SHA-256 of postData + nonce + the path without its '/derivatives' prefix.
+ */
+function expectedAuthent(apiSecret, endpoint, nonce, postData) {
+    const path = endpoint.replace(/^\/derivatives/, '');
+    const digest = crypto.createHash('sha256').update(postData + nonce + path, 'utf8').digest();
+    return crypto.createHmac('sha512', Buffer.from(apiSecret, 'base64')).update(digest).digest('base64');
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => { text += chunk; });
+        request.on('end', () => resolve(text));
+        request.on('error', reject);
+    });
+}
+
+module.exports = { MockKrakenServer };
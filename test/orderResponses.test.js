@@ -0,0 +1,41 @@
+/**
+ * The statuses and shapes of Kraken's `sendorder` responses, as seen by `tradingLoop`:
+ * an order Kraken reports as executed at once is as accepted as a resting one.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+
+const SENDORDER = '/derivatives/api/v3/sendorder';
+
+let harness;
+
+before(async () => {
+    harness = await startHarness({ market: { price: 60000 } });
+    await harness.bot.setUpDecisionProvider();
+});
+
+after(() => harness.close());
+
+const lastCycle = async () => (await harness.readJournal()).at(-1);
+
+test('a market entry reported as "filled" is protected like a placed one', async () => {
+    const { bot, kraken, deepseek } = harness;
+    deepseek.reply({ action: 'ENTER_LONG', orderType: 'mkt', takeProfit: 63000, reason: 'Breakout above the range.' });
+    kraken.script(SENDORDER, async ({ endpoint, params }) => {
+        const body = await kraken.route(endpoint, params);
+        return { body: { ...body, sendStatus: { ...body.sendStatus, status: 'filled' } } };
+    });
+
+    await bot.tradingLoop();
+
+    const { openOrders } = await kraken.exchange.getOpenOrders();
+    const stop = openOrders.find(order => order.orderType === 'stop');
+    assert.deepEqual([stop.side, stop.stopPrice, stop.unfilledSize], ['sell', 58800, 0.0833]);
+    assert.equal(openOrders.filter(order => order.orderType === 'take_profit').length, 1);
+
+    const cycle = await lastCycle();
+    assert.equal(cycle.notes.lastTrade.result, 'Open');
+    assert.equal(cycle.notes.lastTrade.entryPrice, 60000);
+});
@@ -0,0 +1,48 @@
+/**
+ * The fills history of paperExchange.js, kept in memory: with `maxFills`, the oldest
+ * fills are dropped in whole trades, so that the rest still group into trades.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PaperExchange } = require('../paperExchange');
+const { buildTradeList } = require('../backtester');
+
+const SYMBOL = 'pf_xbtusd';
+const order = (side, size, reduceOnly = false) => ({ orderType: 'mkt', symbol: SYMBOL, side, size, reduceOnly });
+
+async function createExchange(options) {
+    const exchange = new PaperExchange({ statePath: null, startingBalance: 10000, leverage: 10, ...options });
+    await exchange.processCandles([[1700000000, '60000', '60000', '60000', '60000', '60000', '0', 0]], { symbol: SYMBOL });
+    return exchange;
+}
+
+// Fills in chronological order, as the ledger reads them.
+const chronologicalFills = async exchange => [...(await exchange.getFills()).fills].reverse();
+
+test('the oldest whole trades are dropped once there are more fills than maxFills', async () => {
+    const exchange = await createExchange({ maxFills: 2 });
+    // A trade scaled in and out over four fills, then a second of two.
+    for (const step of [order('buy', 0.1), order('buy', 0.1), order('sell', 0.1, true), order('sell', 0.1, true), order('sell', 0.05), order('buy', 0.05, true)]) {
+        assert.equal((await exchange.placeOrder(step)).result, 'success');
+    }
+
+    // The first trade goes as a whole; the second trade's two fills are the two kept.
+    const fills = await chronologicalFills(exchange);
+    assert.deepEqual(fills.map(fill => [fill.side, fill.size]), [['sell', 0.05], ['buy', 0.05]]);
+    assert.deepEqual(buildTradeList(fills).map(trade => [trade.side, trade.status]), [['short', 'Closed']]);
+});
+
+test('a fill of an open position is never dropped, and without maxFills none is', async () => {
+    const capped = await createExchange({ maxFills: 1 });
+    await capped.placeOrder(order('buy', 0.1));
+    await capped.placeOrder(order('buy', 0.1));
+    assert.equal((await chronologicalFills(capped)).length, 2);
+
+    const uncapped = await createExchange({});
+    for (let i = 0; i < 3; i++) {
+        await uncapped.placeOrder(order('buy', 0.1));
+        await uncapped.placeOrder(order('sell', 0.1, true));
+    }
+    assert.equal((await chronologicalFills(uncapped)).length, 6);
+});
@@ -0,0 +1,51 @@
+/**
+ * A limit entry on the bot's paper exchange, filled by the candles between decision
+ * cycles: the maintenance cycle that sees the fill protects it once, with take-profits.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startHarness } = require('./harness');
+const { PaperExchange } = require('../paperExchange');
+
+let harness;
+
+before(async () => {
+    harness = await startHarness({ env: { LIVE_TRADING_ENABLED: 'false' }, market: { price: 60000 } });
+    await harness.bot.setUpDecisionProvider();
+});
+
+after(() => harness.close());
+
+const lastCycle = async () => (await harness.readJournal()).at(-1);
+// The bot's paper account, as it last saved it.
+const paperAccount = () => new PaperExchange({ statePath: path.join(harness.dir, 'paper_exchange.json') });
+
+test('a limit entry that fills on a risk-check tick is protected once and leaves no pending entry', async () => {
+    const { bot, kraken, deepseek } = harness;
+    const instrument = Object.values(bot.INSTRUMENTS)[0];
+    deepseek.reply({ action: 'ENTER_LONG', orderType: 'lmt', price: 59700, takeProfit: 63000, reason: 'Buy the pullback.' });
+
+    await bot.tradingLoop();
+    assert.equal((await lastCycle()).notes.pendingEntry.limitPrice, 59700);
+
+    // The candle the order was placed in closes, and the next one trades through the limit.
+    await kraken.setPrice(59600);
+    kraken.advance(2 * bot.config.candleInterval);
+    await bot.runMaintenanceCycle(instrument, ['risk check'], { checkRisk: true });
+
+    const cycle = await lastCycle();
+    assert.equal(cycle.type, 'maintenance');
+    assert.equal(cycle.notes.pendingEntry, undefined);
+    assert.equal(cycle.notes.lastTrade.result, 'Open');
+    const { openPositions } = await paperAccount().getOpenPositions();
+    assert.deepEqual([openPositions[0].side, openPositions[0].size], ['long', 0.0837]);
+
+    // The next decision cycle finds the position protected and adds nothing.
+    await bot.tradingLoop();
+
+    const { openOrders } = await paperAccount().getOpenOrders();
+    assert.equal(openOrders.filter(order => order.orderType === 'stop').length, 1);
+    assert.equal(openOrders.filter(order => order.orderType === 'take_profit').length, 1);
+});
@@ -0,0 +1,78 @@
+/**
+ * The plan checks of planValidator.js, on their own: the schema of each action, and the
+ * prices of a plan against the market and the position.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, validateMarketSanity, validatePlan } = require('../planValidator');
+
+const FLAT = { lastPrice: 60000, hasOpenPosition: false, positionSide: null, maxLimitDeviationPercent: 2 };
+const LONG = { ...FLAT, hasOpenPosition: true, positionSide: 'long' };
+
+test('a plan that is not an object, or has an unknown action, is rejected', () => {
+    assert.deepEqual(validateSchema(null), ['The plan must be a JSON object.']);
+    assert.deepEqual(validateSchema([{ action: 'HOLD' }]), ['The plan must be a JSON object.']);
+    assert.match(validateSchema({ action: 'BUY' })[0], /^Unknown action "BUY"\. Expected one of: HOLD, ENTER_LONG,/);
+});
+
+test('the schema reports missing, unexpected and mistyped fields', () => {
+    assert.deepEqual(validateSchema({ action: 'HOLD' }), []);
+    assert.deepEqual(validateSchema({ action: 'ENTER_SHORT', reason: 'Breakdown.' }), ['ENTER_SHORT requires "orderType".']);
+    assert.deepEqual(validateSchema({ action: 'EXIT_POSITION', reason: 'Done.', size: 1 }), ['Unexpected field "size" for EXIT_POSITION.']);
+    assert.deepEqual(validateSchema({ action: 'ADJUST_SL', price: '59500', reason: 'Tighten.' }), ['"price" must be a positive number.']);
+    assert.deepEqual(validateSchema({ action: 'ENTER_LONG', orderType: 'stop', reason: 'Breakout.' }), ['"orderType" must be "mkt" or "lmt".']);
+    assert.deepEqual(validateSchema({ action: 'ENTER_LONG', orderType: 'mkt', reason: 'Breakout.', takeProfits: [{ price: 63000 }] }), [
+        '"takeProfits" entries must be { "price": <positive number>, "percent": <positive number> }.'
+    ]);
+});
+
+test('a limit entry needs a price, and a plan at most one kind of target', () => {
+    assert.deepEqual(validateSchema({ action: 'ENTER_LONG', orderType: 'lmt', reason: 'Pullback.' }), ['A limit entry ("lmt") requires a "price".']);
+    assert.deepEqual(validateSchema({ action: 'ENTER_LONG', orderType: 'mkt', reason: 'Breakout.', takeProfit: 63000, riskReward: 2 }), [
+        'Only one of "takeProfit", "riskReward" or "takeProfits" may be set, got takeProfit, riskReward.'
+    ]);
+});
+
+test('an entry is checked against the market: limit distance, target side and open position', () => {
+    assert.deepEqual(validateMarketSanity({ action: 'ENTER_LONG', orderType: 'lmt', price: 58800, reason: '' }, FLAT), []);
+    assert.deepEqual(validateMarketSanity({ action: 'ENTER_LONG', orderType: 'lmt', price: 58700, reason: '' }, FLAT), [
+        'Limit price 58700 is 2.17% from the current price 60000; the maximum is 2%.'
+    ]);
+    // The target of a limit entry is judged from its limit price.
+    assert.deepEqual(validateMarketSanity({ action: 'ENTER_LONG', orderType: 'lmt', price: 59000, takeProfit: 59500, reason: '' }, FLAT), []);
+    assert.deepEqual(validateMarketSanity({ action: 'ENTER_SHORT', orderType: 'mkt', takeProfit: 61000, reason: '' }, FLAT), [
+        'Take-profit 61000 must be below the entry price 60000 of a short.'
+    ]);
+    assert.deepEqual(validateMarketSanity({ action: 'ENTER_LONG', orderType: 'mkt', takeProfits: [{ price: 61000, percent: 60 }, { price: 62000, percent: 50 }], reason: '' }, FLAT), [
+        'Take-profit percentages add up to 110%, more than the whole position.'
+    ]);
+    assert.deepEqual(validateMarketSanity({ action: 'ENTER_LONG', orderType: 'mkt', reason: '' }, LONG), ['ENTER_LONG is not allowed while a position is already open.']);
+});
+
+test('position actions need a position, and their prices must suit its side', () => {
+    for (const action of ['EXIT_POSITION', 'ADD_TO_POSITION']) {
+        assert.deepEqual(validateMarketSanity({ action, reason: '' }, FLAT), [`${action} requires an open position.`]);
+    }
+    assert.deepEqual(validateMarketSanity({ action: 'ADJUST_SL', price: 59500, reason: '' }, LONG), []);
+    assert.deepEqual(validateMarketSanity({ action: 'ADJUST_SL', price: 60500, reason: '' }, LONG), [
+        'Stop price 60500 must be below the current price 60000 to protect a long position.'
+    ]);
+    assert.deepEqual(validateMarketSanity({ action: 'REDUCE_POSITION', percent: 100, reason: '' }, LONG), [
+        'REDUCE_POSITION closes part of the position; use EXIT_POSITION to close all of it, got 100%.'
+    ]);
+});
+
+test('the targets of a reversal are judged for the new side', () => {
+    assert.deepEqual(validateMarketSanity({ action: 'REVERSE', takeProfit: 57000, reason: '' }, LONG), []);
+    assert.deepEqual(validateMarketSanity({ action: 'REVERSE', takeProfit: 63000, reason: '' }, LONG), [
+        'Take-profit 63000 must be below the entry price 60000 of a short.'
+    ]);
+    assert.deepEqual(validateMarketSanity({ action: 'REVERSE', reason: '' }, FLAT), ['REVERSE requires an open position.']);
+});
+
+test('validatePlan only checks the market once the schema passes', () => {
+    assert.deepEqual(validatePlan({ action: 'ADJUST_SL', reason: 'Tighten.' }, FLAT), { valid: false, errors: ['ADJUST_SL requires "price".'] });
+    assert.deepEqual(validatePlan({ action: 'ADJUST_SL', price: 59500, reason: 'Tighten.' }, FLAT), { valid: false, errors: ['ADJUST_SL requires an open position.'] });
+    assert.deepEqual(validatePlan({ action: 'HOLD', reason: 'Ranging.' }, FLAT), { valid: true, errors: [] });
+});
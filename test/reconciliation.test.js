@@ -0,0 +1,61 @@
+/**
+ * The reconciliation rules of reconciliation.js, on their own: every mismatch between
+ * the exchange and the notes, and the price of a stop that has to be recreated.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findMismatches, selectRecoveryStopPrice } = require('../reconciliation');
+
+const LONG = { symbol: 'pf_xbtusd', side: 'long', size: 0.0833, price: 60000 };
+const OPEN_TRADE = { lastTrade: { action: 'ENTER_LONG', result: 'Open' } };
+const stop = (id, stopPrice) => ({ order_id: id, orderType: 'stop', stopPrice, unfilledSize: 0.0833, reduceOnly: true });
+const takeProfit = { order_id: 'tp', orderType: 'take_profit', stopPrice: 63000, unfilledSize: 0.0833, reduceOnly: true };
+const mismatches = params => findMismatches({ position: null, stopOrders: [], takeProfitOrders: [], entryOrders: [], notes: {}, ...params });
+
+test('a protected position the notes know about needs no repair', () => {
+    assert.deepEqual(mismatches({ position: LONG, stopOrders: [stop('s1', 58800)], takeProfitOrders: [takeProfit], notes: OPEN_TRADE }), []);
+});
+
+test('without a position, its protective orders are orphans and the open trade is stale', () => {
+    assert.deepEqual(mismatches({ stopOrders: [stop('s1', 58800)], takeProfitOrders: [takeProfit], notes: OPEN_TRADE }), [
+        { type: 'orphanOrder', order: stop('s1', 58800) },
+        { type: 'orphanOrder', order: takeProfit },
+        { type: 'staleOpenTrade' }
+    ]);
+});
+
+test('a position without a stop, or one the notes do not track, is reported', () => {
+    assert.deepEqual(mismatches({ position: LONG, notes: OPEN_TRADE }), [{ type: 'missingStop' }]);
+    assert.deepEqual(mismatches({ position: LONG, notes: { lastTrade: { result: 'Closed' } } }), [{ type: 'missingStop' }, { type: 'untrackedPosition' }]);
+});
+
+test('of duplicate stops the tightest is kept', () => {
+    const [longDuplicates] = mismatches({ position: LONG, stopOrders: [stop('s1', 58000), stop('s2', 58800), stop('s3', 57000)], notes: OPEN_TRADE });
+    assert.equal(longDuplicates.type, 'duplicateStops');
+    assert.equal(longDuplicates.keep.order_id, 's2');
+    assert.deepEqual(longDuplicates.cancel.map(order => order.order_id), ['s1', 's3']);
+
+    const [shortDuplicates] = mismatches({ position: { ...LONG, side: 'short' }, stopOrders: [stop('s1', 61200), stop('s2', 62000)], notes: OPEN_TRADE });
+    assert.equal(shortDuplicates.keep.order_id, 's1');
+});
+
+test('only the entry order tracked as pending is not an orphan', () => {
+    const pending = { order_id: 'pending', orderType: 'lmt', limitPrice: 59700 };
+    const stray = { order_id: 'stray', orderType: 'lmt', limitPrice: 59000 };
+    assert.deepEqual(mismatches({ entryOrders: [pending, stray], notes: { pendingEntry: { orderId: 'pending' } } }), [{ type: 'orphanOrder', order: stray }]);
+});
+
+test('a recreated stop reuses the recorded one while it still protects the position', () => {
+    const long = { side: 'long', entryPrice: 60000, stopLossPercent: 2 };
+    assert.equal(selectRecoveryStopPrice({ ...long, currentPrice: 61000, recordedStop: 59500 }), 59500);
+    // The recorded stop is above the price, or missing: the default distance from the entry.
+    assert.equal(selectRecoveryStopPrice({ ...long, currentPrice: 59000, recordedStop: 59500 }), 58800);
+    assert.equal(selectRecoveryStopPrice({ ...long, currentPrice: 61000, recordedStop: null }), 58800);
+    // The price is already below that: the default distance from the price.
+    assert.equal(selectRecoveryStopPrice({ ...long, currentPrice: 58000, recordedStop: null }), 56840);
+
+    const short = { side: 'short', entryPrice: 60000, stopLossPercent: 2 };
+    assert.equal(selectRecoveryStopPrice({ ...short, currentPrice: 59000, recordedStop: 60500 }), 60500);
+    assert.equal(selectRecoveryStopPrice({ ...short, currentPrice: 62000, recordedStop: 60500 }), 63240);
+});
@@ -0,0 +1,45 @@
+/**
+ * A breached account limit with FLATTEN_ON_RISK_BREACH: the risk check closes the
+ * position, and the breach is journaled with the cycles it blocked, not kept in the notes.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+
+let harness;
+
+before(async () => {
+    harness = await startHarness({ env: { FLATTEN_ON_RISK_BREACH: 'true', MAX_TRADES_PER_DAY: '1' }, market: { price: 60000 } });
+    await harness.bot.setUpDecisionProvider();
+});
+
+after(() => harness.close());
+
+const lastCycle = async () => (await harness.readJournal()).at(-1);
+const BREACH = /^Reached the maximum of 1 trades for /;
+
+test('a risk check that flattens journals the breach with its own cycle only', async () => {
+    const { bot, kraken, deepseek } = harness;
+    const instrument = bot.INSTRUMENTS[0];
+    deepseek.reply({ action: 'ENTER_LONG', orderType: 'mkt', reason: 'Breakout above the range.' });
+    await bot.tradingLoop();
+    assert.equal((await kraken.exchange.getOpenPositions()).openPositions.length, 1);
+
+    await bot.runMaintenanceCycle(instrument, ['risk check'], { checkRisk: true });
+
+    assert.deepEqual((await kraken.exchange.getOpenPositions()).openPositions, []);
+    const flatten = await lastCycle();
+    assert.equal(flatten.type, 'maintenance');
+    assert.match(flatten.riskStatus, BREACH);
+    assert.equal(flatten.notes.lastTrade.result, 'Closed');
+    assert.equal(flatten.notes.riskStatus, undefined);
+
+    // The next cycle is still blocked, and says so itself.
+    deepseek.reply({ action: 'HOLD', reason: 'No clear setup.' });
+    await bot.tradingLoop();
+    const next = await lastCycle();
+    assert.match(next.riskStatus, BREACH);
+    assert.equal(next.notes.riskStatus, undefined);
+    assert.equal((await bot.readNotes()).riskStatus, undefined);
+});
@@ -0,0 +1,101 @@
+/**
+ * The position sizing and account limits of riskManager.js, on their own and in memory.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RiskManager, floorToPrecision } = require('../riskManager');
+
+const createManager = (options = {}) => new RiskManager({
+    statePath: null,
+    riskPerTradePercent: 1,
+    leverage: 10,
+    leverageSafetyFactor: 0.5,
+    minimumTradeUsd: 10,
+    maxDailyLossPercent: 3,
+    maxDrawdownPercent: 10,
+    maxTradesPerDay: 2,
+    ...options
+});
+const BTC = { contractSize: 1, sizePrecision: 4 };
+const day = (date, time = '10:00') => new Date(`${date}T${time}:00Z`);
+
+test('floorToPrecision rounds down without float artefacts', () => {
+    assert.equal(floorToPrecision(0.08333, 4), 0.0833);
+    assert.equal(floorToPrecision(0.29, 2), 0.29); // 0.29 * 100 is 28.999999999999996.
+    assert.equal(floorToPrecision(12.9, 0), 12);
+});
+
+test('a trade is sized to lose the risk per trade at its stop', () => {
+    const sizing = createManager().calculateTradeSize({ equity: 10000, availableMargin: 10000, entryPrice: 60000, stopPrice: 58800, ...BTC });
+    assert.equal(sizing.size, 0.0833);
+    assert.match(sizing.reason, /Risking 100\.00 USD over a 1200\.00 stop distance \(limited by risk per trade\)/);
+});
+
+test('the size is capped by the leverage and then by the exposure budget', () => {
+    const manager = createManager();
+    const leverage = manager.calculateTradeSize({ equity: 10000, availableMargin: 600, entryPrice: 60000, stopPrice: 59900, ...BTC });
+    // 600 USD of margin x 10 x 0.5 buys 3000 USD of notional.
+    assert.equal(leverage.size, 0.05);
+    assert.match(leverage.reason, /leverage cap/);
+
+    const exposure = manager.calculateTradeSize({ equity: 10000, availableMargin: 10000, maxNotionalUsd: 1200, entryPrice: 60000, stopPrice: 59900, ...BTC });
+    assert.equal(exposure.size, 0.02);
+    assert.match(exposure.reason, /exposure cap/);
+});
+
+test('the size is counted in the instrument\'s contracts', () => {
+    const sizing = createManager().calculateTradeSize({ equity: 10000, availableMargin: 10000, entryPrice: 60000, stopPrice: 58800, contractSize: 0.001, sizePrecision: 0 });
+    assert.equal(sizing.size, 83);
+});
+
+test('no trade is sized without a stop distance, below the minimum or without risk left', () => {
+    const manager = createManager();
+    assert.equal(manager.calculateTradeSize({ equity: 10000, availableMargin: 10000, entryPrice: 60000, stopPrice: 60000, ...BTC }).size, 0);
+    assert.equal(manager.calculateTradeSize({ equity: 0, availableMargin: 10000, entryPrice: 60000, stopPrice: 58800, ...BTC }).size, 0);
+
+    const belowMinimum = createManager({ minimumTradeUsd: 5000 }).calculateTradeSize({ equity: 10000, availableMargin: 10000, entryPrice: 60000, stopPrice: 58800, ...BTC });
+    assert.equal(belowMinimum.size, 0);
+    assert.match(belowMinimum.reason, /^Notional 4998\.00 USD is below the minimum trade of 5000 USD\./);
+
+    const noRiskLeft = manager.calculateTradeSize({ equity: 10000, availableMargin: 10000, entryPrice: 60000, stopPrice: 58800, openRiskUsd: 100, ...BTC });
+    assert.equal(noRiskLeft.size, 0);
+    assert.match(noRiskLeft.reason, /already risks 100\.00 USD/);
+
+    const partlyUsed = manager.calculateTradeSize({ equity: 10000, availableMargin: 10000, entryPrice: 60000, stopPrice: 58800, openRiskUsd: 40, ...BTC });
+    assert.equal(partlyUsed.size, 0.05);
+});
+
+test('the daily loss limit blocks entries until the next UTC day', async () => {
+    const manager = createManager();
+    assert.deepEqual(await manager.evaluate(10000, day('2026-01-05')), { allowed: true, reason: null });
+
+    const breached = await manager.evaluate(9650, day('2026-01-05', '18:00'));
+    assert.equal(breached.allowed, false);
+    assert.match(breached.reason, /^Daily loss of 3\.50% exceeded the 3% limit\./);
+
+    assert.equal((await manager.evaluate(9650, day('2026-01-06', '00:00'))).allowed, true);
+});
+
+test('the drawdown kill-switch stays engaged after the equity recovers', async () => {
+    const manager = createManager();
+    await manager.evaluate(10000, day('2026-01-05'));
+    // A new day, so only the drop from the peak counts.
+    const breached = await manager.evaluate(9000, day('2026-01-06'));
+    assert.equal(breached.allowed, false);
+    assert.match(breached.reason, /^Kill-switch engaged: Drawdown of 10\.00% from peak equity 10000\.00/);
+
+    assert.deepEqual(await manager.evaluate(10500, day('2026-01-07')), breached);
+});
+
+test('the trades of a day are limited, and counted afresh the next day', async () => {
+    const manager = createManager();
+    await manager.evaluate(10000, day('2026-01-05'));
+    await manager.recordTrade();
+    assert.equal((await manager.evaluate(10000, day('2026-01-05'))).allowed, true);
+    await manager.recordTrade();
+
+    const limited = await manager.evaluate(10000, day('2026-01-05'));
+    assert.deepEqual(limited, { allowed: false, reason: 'Reached the maximum of 2 trades for 2026-01-05.' });
+    assert.equal((await manager.evaluate(10000, day('2026-01-06'))).allowed, true);
+});
@@ -0,0 +1,33 @@
+/**
+ * The candle clock of scheduler.js, on its own: which candle close a time belongs to,
+ * and which of Kraken's OHLC rows have closed.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { latestCandleClose, dropFormingCandle } = require('../scheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const FOUR_HOURS_MS = 4 * HOUR_MS;
+const MIDNIGHT_MS = Date.UTC(2026, 0, 5);
+
+test('latestCandleClose is the last UTC boundary of the interval at or before the time', () => {
+    assert.equal(latestCandleClose(MIDNIGHT_MS + 5 * HOUR_MS, FOUR_HOURS_MS), MIDNIGHT_MS + FOUR_HOURS_MS);
+    // A close is its own latest close, and a millisecond earlier belongs to the one before.
+    assert.equal(latestCandleClose(MIDNIGHT_MS + FOUR_HOURS_MS, FOUR_HOURS_MS), MIDNIGHT_MS + FOUR_HOURS_MS);
+    assert.equal(latestCandleClose(MIDNIGHT_MS + FOUR_HOURS_MS - 1, FOUR_HOURS_MS), MIDNIGHT_MS);
+});
+
+test('dropFormingCandle keeps only candles whose close has passed', () => {
+    // Kraken's rows carry the open time in seconds; the last one is forming.
+    const row = openMs => [openMs / 1000, '60000.0', '60100.0', '59900.0', '60050.0', '60020.0', '10', 100];
+    const candles = [row(MIDNIGHT_MS), row(MIDNIGHT_MS + FOUR_HOURS_MS), row(MIDNIGHT_MS + 2 * FOUR_HOURS_MS)];
+
+    assert.deepEqual(dropFormingCandle(candles, 240, MIDNIGHT_MS + 2 * FOUR_HOURS_MS + HOUR_MS), candles.slice(0, 2));
+    // At the very close of the second candle it counts as closed.
+    assert.deepEqual(dropFormingCandle(candles, 240, MIDNIGHT_MS + 2 * FOUR_HOURS_MS), candles.slice(0, 2));
+    assert.deepEqual(dropFormingCandle(candles, 240, MIDNIGHT_MS + 2 * FOUR_HOURS_MS - 1), candles.slice(0, 1));
+    // Once the last row's close has passed too, nothing is dropped.
+    assert.deepEqual(dropFormingCandle(candles, 240, MIDNIGHT_MS + 3 * FOUR_HOURS_MS), candles);
+    assert.deepEqual(dropFormingCandle([], 240, MIDNIGHT_MS), []);
+});
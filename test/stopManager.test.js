@@ -0,0 +1,77 @@
+/**
+ * The stop-loss rules of stopManager.js, on their own: the initial, trailing and
+ * break-even stops, the moves they may make, and prices on the instrument's tick size.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    selectInitialStopDistance, calculateTrailingStop, calculateBreakEvenStop, validateStopMove, roundToTick, selectAutomaticStop
+} = require('../stopManager');
+
+const ATR_STOP = { entryPrice: 60000, mode: 'atr', percent: 2, atrMultiplier: 2, minPercent: 1, maxPercent: 5 };
+
+test('the initial ATR stop is kept within its bounds, and falls back to the fixed percent', () => {
+    assert.equal(selectInitialStopDistance({ ...ATR_STOP, atr: 900 }).percent, 3);
+    assert.equal(selectInitialStopDistance({ ...ATR_STOP, atr: 100 }).percent, 1);
+    assert.match(selectInitialStopDistance({ ...ATR_STOP, atr: 3000 }).reason, /limited to 5%/);
+    assert.deepEqual(selectInitialStopDistance({ ...ATR_STOP, atr: null }), { percent: 2, reason: 'no ATR available, fixed 2% stop' });
+    assert.deepEqual(selectInitialStopDistance({ ...ATR_STOP, mode: 'percent', atr: 900 }), { percent: 2, reason: 'fixed 2% stop' });
+});
+
+test('the trailing stop follows the price on the protective side, unless it is off', () => {
+    assert.equal(calculateTrailingStop({ side: 'long', currentPrice: 60000, mode: 'percent', percent: 2 }), 58800);
+    assert.equal(calculateTrailingStop({ side: 'short', currentPrice: 60000, mode: 'atr', atr: 500, atrMultiplier: 3 }), 61500);
+    assert.equal(calculateTrailingStop({ side: 'long', currentPrice: 60000, mode: 'atr', atr: 0, atrMultiplier: 3 }), null);
+    assert.equal(calculateTrailingStop({ side: 'long', currentPrice: 60000, mode: 'none' }), null);
+});
+
+test('the break-even stop waits for its trigger and covers the fees', () => {
+    const breakEven = { entryPrice: 60000, triggerPercent: 1, offsetPercent: 0.1 };
+    assert.equal(calculateBreakEvenStop({ ...breakEven, side: 'long', currentPrice: 60500 }), null);
+    assert.equal(calculateBreakEvenStop({ ...breakEven, side: 'long', currentPrice: 60600 }).toFixed(2), '60060.00');
+    assert.equal(calculateBreakEvenStop({ ...breakEven, side: 'short', currentPrice: 59400 }).toFixed(2), '59940.00');
+    assert.equal(calculateBreakEvenStop({ ...breakEven, triggerPercent: 0, side: 'long', currentPrice: 70000 }), null);
+});
+
+test('a stop move must tighten the stop and stay on the protective side of the price', () => {
+    assert.deepEqual(validateStopMove({ side: 'long', currentStop: 58800, newStop: 59500, currentPrice: 61000 }), { valid: true, reason: null });
+    assert.match(validateStopMove({ side: 'long', currentStop: 58800, newStop: 58000, currentPrice: 61000 }).reason, /would not tighten/);
+    assert.match(validateStopMove({ side: 'long', currentStop: 58800, newStop: 61000, currentPrice: 61000 }).reason, /is not below the current price/);
+    assert.match(validateStopMove({ side: 'short', currentStop: 61200, newStop: 59000, currentPrice: 59000 }).reason, /is not above the current price/);
+    assert.match(validateStopMove({ side: 'short', currentStop: 61200, newStop: 61300, currentPrice: 59000 }).reason, /would not tighten/);
+    assert.equal(validateStopMove({ side: 'short', currentStop: 61200, newStop: NaN, currentPrice: 59000 }).valid, false);
+});
+
+test('roundToTick rounds to the nearest tick without float noise', () => {
+    assert.equal(roundToTick(58823.4, 1), 58823);
+    assert.equal(roundToTick(58823.76, 0.5), 58824);
+    assert.equal(roundToTick(58823.74, 0.5), 58823.5);
+    assert.equal(roundToTick(0.30000000000000004, 0.1), 0.3);
+    assert.equal(roundToTick(1.23456, 0.0001), 1.2346);
+    assert.equal(roundToTick(null, 1), null);
+});
+
+test('selectAutomaticStop proposes the trailing stop on the tick size', () => {
+    const stop = selectAutomaticStop({
+        side: 'long', entryPrice: 60000, currentPrice: 62001, currentStop: 58800,
+        trailing: { mode: 'percent', percent: 2 },
+        breakEven: { triggerPercent: 0 },
+        tickSize: 0.5
+    });
+    // 62001 less 2% is 60760.98.
+    assert.deepEqual(stop, { rule: 'trailing (percent)', price: 60761 });
+});
+
+test('selectAutomaticStop picks the tightest rule, and nothing that would loosen the stop', () => {
+    const position = { side: 'short', entryPrice: 60000, currentStop: 61200, tickSize: 1 };
+    const breakEven = { triggerPercent: 1, offsetPercent: 0.1 };
+    const trailing = { mode: 'percent', percent: 2 };
+
+    // Break-even at 59940 is tighter than trailing at 59976 (58800 + 2%).
+    assert.deepEqual(selectAutomaticStop({ ...position, currentPrice: 58800, trailing, breakEven }), { rule: 'break-even', price: 59940 });
+    // Further down the trailing stop, at 58650, is the tighter one.
+    assert.deepEqual(selectAutomaticStop({ ...position, currentPrice: 57500, trailing, breakEven }), { rule: 'trailing (percent)', price: 58650 });
+    // Before the trigger, trailing at 61200 would not tighten the stop.
+    assert.equal(selectAutomaticStop({ ...position, currentPrice: 60000, trailing, breakEven }), null);
+});
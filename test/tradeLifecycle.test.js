@@ -0,0 +1,111 @@
+/**
+ * A long trade driven through `tradingLoop` by scripted Deepseek plans: the entry and
+ * its protective orders, a stop adjustment and the exit.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { startHarness } = require('./harness');
+
+const SENDORDER = '/derivatives/api/v3/sendorder';
+const CANCELORDER = '/derivatives/api/v3/cancelorder';
+
+let harness;
+
+before(async () => {
+    harness = await startHarness({ market: { price: 60000 } });
+    await harness.bot.setUpDecisionProvider();
+});
+
+after(() => harness.close());
+
+const lastCycle = async () => (await harness.readJournal()).at(-1);
+const openOrders = async () => (await harness.kraken.exchange.getOpenOrders()).openOrders;
+const openPositions = async () => (await harness.kraken.exchange.getOpenPositions()).openPositions;
+
+test('an ENTER_LONG plan opens a position at market and places its stop and take-profit', async () => {
+    const { bot, kraken, deepseek } = harness;
+    deepseek.reply({ action: 'ENTER_LONG', orderType: 'mkt', takeProfit: 63000, reason: 'Breakout above the range.' });
+
+    await bot.tradingLoop();
+
+    const [request] = deepseek.requests;
+    assert.equal(request.model, 'deepseek-chat');
+    assert.deepEqual(request.response_format, { type: 'json_object' });
+    assert.match(request.messages[0].content, /Current Spot Price \(last closed candle\): 60000\.00/);
+
+    const [position] = await openPositions();
+    assert.equal(position.side, 'long');
+    assert.equal(position.price, 60000);
+    // 1% of the 10000 USD equity at risk over the default 2% stop distance.
+    assert.equal(position.size, 0.0833);
+
+    const orders = await openOrders();
+    const stop = orders.find(order => order.orderType === 'stop');
+    const takeProfit = orders.find(order => order.orderType === 'take_profit');
+    assert.deepEqual([stop.side, stop.stopPrice, stop.unfilledSize, stop.reduceOnly], ['sell', 58800, 0.0833, true]);
+    assert.deepEqual([takeProfit.side, takeProfit.stopPrice, takeProfit.unfilledSize, takeProfit.reduceOnly], ['sell', 63000, 0.0833, true]);
+    assert.equal(orders.length, 2);
+
+    assert.deepEqual(kraken.requestsTo(SENDORDER).map(r => r.params.orderType), ['mkt', 'stp', 'take_profit']);
+    assert.ok(kraken.requests.filter(r => r.isPrivate).every(r => r.authenticated), 'every private request is signed');
+
+    const cycle = await lastCycle();
+    assert.equal(cycle.plan.action, 'ENTER_LONG');
+    assert.deepEqual(cycle.notes.lastTrade, {
+        action: 'ENTER_LONG', result: 'Open', reason: 'Breakout above the range.', entryPrice: 60000, size: 0.0833,
+        exitPrice: 0, stopLoss: 58800, takeProfits: [{ price: 63000, size: 0.0833 }]
+    });
+    assert.equal(cycle.exchangeCalls.length, 3);
+});
+
+test('an ADJUST_SL plan replaces the stop at the new price', async () => {
+    const { bot, kraken, deepseek } = harness;
+    const [oldStop] = (await openOrders()).filter(order => order.orderType === 'stop');
+    await kraken.setPrice(61000);
+    deepseek.reply({ action: 'ADJUST_SL', price: 59500, reason: 'Lock in part of the move.' });
+
+    await bot.tradingLoop();
+
+    // The notes of the entry cycle are the bot's memory in the next prompt.
+    assert.match(deepseek.requests[1].messages[0].content, /"stopLoss": 58800/);
+
+    assert.deepEqual(kraken.requestsTo(CANCELORDER).map(r => r.params.order_id), [oldStop.order_id]);
+    const stops = (await openOrders()).filter(order => order.orderType === 'stop');
+    assert.equal(stops.length, 1);
+    assert.deepEqual([stops[0].stopPrice, stops[0].unfilledSize, stops[0].reduceOnly], [59500, 0.0833, true]);
+    assert.equal((await openOrders()).filter(order => order.orderType === 'take_profit').length, 1);
+
+    const cycle = await lastCycle();
+    assert.equal(cycle.plan.action, 'ADJUST_SL');
+    assert.equal(cycle.notes.lastTrade.stopLoss, 59500);
+});
+
+test('an EXIT_POSITION plan cancels the stop and take-profit and closes at market', async () => {
+    const { bot, kraken, deepseek } = harness;
+    deepseek.reply({ action: 'EXIT_POSITION', reason: 'Momentum is fading.' });
+    // A pause set through the control API, as it is journaled, must outlast the exit.
+    const { symbol, notes } = await lastCycle();
+    const control = { paused: true, lastAction: { action: 'pause', time: new Date().toISOString(), via: 'control API' } };
+    await fs.appendFile(path.join(harness.dir, 'journal.jsonl'), JSON.stringify({ type: 'control', symbol, notes: { ...notes, control } }) + '\n');
+    // The exit slips below the 61000 quote, and is recorded at the price it filled at.
+    kraken.exchange.slippagePercent = 0.1;
+
+    await bot.tradingLoop();
+
+    assert.deepEqual(await openPositions(), []);
+    assert.deepEqual(await openOrders(), []);
+    const exitOrder = kraken.requestsTo(SENDORDER).at(-1).params;
+    assert.deepEqual([exitOrder.orderType, exitOrder.side, exitOrder.size, exitOrder.reduceOnly], ['mkt', 'sell', '0.0833', 'true']);
+
+    const { fills } = await kraken.exchange.getFills();
+    assert.equal(fills[0].price, 60939);
+
+    const cycle = await lastCycle();
+    assert.equal(cycle.plan.action, 'EXIT_POSITION');
+    assert.equal(cycle.notes.lastTrade.result, 'Closed');
+    assert.equal(cycle.notes.lastTrade.exitPrice.toFixed(2), '60939.00');
+    assert.deepEqual(cycle.notes.control, control);
+});
@@ -5,16 +5,59 @@
  *
  * Description:
  * This Node.js application is an automated trading bot that interacts with the
- * Kraken Futures API and the Deepseek AI API. It operates in a continuous loop,
- * performing the following actions at a set interval:
+ * Kraken Futures API and the Deepseek AI API. It runs a cycle shortly after every
+ * candle close (on the UTC boundaries of the candle interval), analyzing closed
+ * candles only, and performs the following actions:
  *
  * 1.  **FETCH**: Gathers market data (OHLC candles), account balance, and open positions.
- * 2.  **ANALYZE**: Calculates technical indicators (RSI, SMA) and sends the combined
- *      market and account context to the Deepseek AI for a trading recommendation.
+ *      When live trading is disabled, the account, positions and orders come from a
+ *      local paper exchange simulator that fills orders against the fetched candles.
+ * 2.  **ANALYZE**: Calculates technical indicators (RSI, SMA, and the configurable
+ *      feature set of indicators.js on several timeframes) and sends the combined
+ *      market and account context, with the perpetual's mark price, funding, open
+ *      interest and order book, to the configured decision provider (Deepseek by
+ *      default) for a trading recommendation.
  * 3.  **EXECUTE**: Based on the AI's signal ('buy', 'sell', or 'hold'), it can:
  *      - Place a market order to enter a new position.
- *      - Immediately place a corresponding stop-loss order to protect the new position.
- *      - Do nothing if a position is already open or if the signal is 'hold'.
+ *      - Protect the new position with a stop-loss (a fixed percent, or scaled with the
+ *        ATR) and take-profit orders once the entry has filled. Limit entries wait, and are repriced or cancelled if unfilled.
+ *      - Add to an open position within the risk per trade, close part of it, or reverse
+ *        it into the opposite side; the stop is resized to the position after each change.
+ *      - Do nothing if the signal is 'hold'.
+ *
+ * Several instruments (e.g. pf_xbtusd, pf_ethusd, pf_solusd) can be traded from the same
+ * account, each with its own candles, indicators, notes and decision. The entries of a
+ * cycle share the free margin and are capped in total and per correlation group
+ * (see portfolio.js).
+ *
+ * The same cycle can be replayed over historical candles with
+ * `node tradingBot.js backtest <ohlc.csv|ohlc.json> [recorded_plans.json]`, using a
+ * rule-based or recorded decision step instead of Deepseek.
+ *
+ * When trading live, a WebSocket feed reports fills and stop-outs as they happen, and
+ * the bot protects filled entries and updates its notes straight away instead of
+ * waiting for the next candle.
+ *
+ * Between candle closes, a risk check runs every few minutes: it reconciles the notes
+ * with the exchange and enforces the account limits without consulting the AI. Candle
+ * closes missed while the bot was stopped are logged, and the latest one is caught up.
+ *
+ * Every cycle is appended to a JSONL journal, and every closed trade to a ledger;
+ * `node tradingBot.js journal report` summarizes performance from the ledger.
+ *
+ * Entries, exits, stop-outs, errors and risk-limit breaches are sent as alerts to the
+ * ALERT_TARGETS webhooks (JSON, Slack or Telegram; see notifier.js), with a daily summary.
+ *
+ * With CONTROL_API_ENABLED, a token-protected HTTP API reports the bot's status,
+ * positions, orders and notes, and can pause or resume trading, flatten a position or
+ * run a cycle on demand (see controlServer.js).
+ *
+ * --- Commands ---
+ * `node tradingBot.js <command>`, where the command is one of: run (the default), once,
+ * status, orders, cancel <orderId>, cancel-all, flatten, backtest <file>, journal report,
+ * prompt --dry-run, config and help. `--paper` or `--live` overrides liveTradingEnabled
+ * for the command, and `--json` prints its result as JSON on stdout (the log goes to
+ * stderr). `node tradingBot.js help` describes each command.
  *
  * Author:
  * Built in collaboration with Manus.
@@ -27,179 +70,601 @@
  * - KRAKEN_API_SECRET: Your Kraken Futures API Secret.
  * - DEEPSEEK_API_KEY: Your Deepseek API Key.
  *
- * The trading parameters below can be adjusted to change the bot's behavior.
+ * The Kraken keys are only needed for live trading. Every other parameter can be set in
+ * a JSON or YAML file (`--config bot.yaml`), through a profile (`--profile paper`,
+ * `live-small` or `live`), an environment variable or `--set <setting>=<value>`; see
+ * config.js for the settings and their ranges, and `node tradingBot.js config` to print
+ * the effective configuration with the secrets redacted. Live trading also requires
+ * LIVE_TRADING_CONFIRMATION to be set to the phrase in config.js.
+ *
+ * --- Tests ---
+ * Required as a module, the bot exports its functions instead of starting; the
+ * configuration is then read from the environment and config file only. `npm test` runs
+ * the scenarios in test/ offline, against local mock Kraken and Deepseek servers, and
+ * the unit tests of the pure rule modules.
  *
  * =====================================================================================
  */
 
 // --- Core Dependencies ---
-const crypto = require('crypto');
 const axios = require('axios');
-const { RSI, SMA } = require('technicalindicators');
+const { RSI, SMA, ATR } = require('technicalindicators');
 const fs = require('fs').promises; // Use the promise-based version for async/await
-const path = require('path'); // Helper for creating a reliable file path
+const { PaperExchange } = require('./paperExchange');
+const { loadOhlcFile, runBacktest, buildTradeList } = require('./backtester');
+const {
+    createDeepseekProvider, createOpenAICompatibleProvider, createRuleBasedProvider, createReplayProvider, createFallbackProvider, PlanParseError
+} = require('./decisionProviders');
+const { loadPromptTemplate } = require('./promptTemplates');
+const { RiskManager, floorToPrecision } = require('./riskManager');
+const { selectInitialStopDistance, validateStopMove, roundToTick, selectAutomaticStop } = require('./stopManager');
+const { computeFeatures, formatTimeframe, resampleCandles } = require('./indicators');
+const { fetchMarketContext } = require('./marketContext');
+const { ControlServer, ControlApiError } = require('./controlServer');
+const { Notifier } = require('./notifier');
+const { resolveTakeProfitLevels, allocateTakeProfitSizes, planTakeProfitResize } = require('./bracketOrders');
+const { validatePlan } = require('./planValidator');
+const { Journal, summarizeLedger } = require('./journal');
+const { findMismatches, selectRecoveryStopPrice } = require('./reconciliation');
+const { KrakenFuturesClient, KrakenOrderRejectedError, isAccepted } = require('./krakenClient');
+const { KrakenFuturesFeed } = require('./krakenFeed');
+const { CandleScheduler, dropFormingCandle } = require('./scheduler');
+const { PortfolioAllocator, measureExposures } = require('./portfolio');
+const { loadConfig, parseCommandLine, redactConfig, ConfigError } = require('./config');
 
 // =====================================================================================
 // SECTION 1: CONFIGURATION & TRADING PARAMETERS
 // =====================================================================================
 
-// --- API Credentials (Loaded from Environment Variables) ---
-const KRAKEN_API_KEY = '2J/amVE61y0K0k34qVduE2fSiQTMpppw6Y+K+b+qt9zk7o+UvtBQTwBq';process.env.KRAKEN_API_KEY;
-const KRAKEN_API_SECRET = '6CEQlIa0+YrlxBXWAfdvkpcCpVK3UT5Yidpg/o/36f60WWETLU1bU1jJwHK14LqFJq1T3FRj1Pdj/kk8zuhRiUJi';//process.env.KRAKEN_API_SECRET;
-const DEEPSEEK_API_KEY = 'sk-ae85860567f8462b95e774393dfb5dc3';//process.env.DEEPSEEK_API_KEY;
+/**
+ * Loads and validates the configuration, or exits with the list of problems. Required as
+ * a module, the bot throws the ConfigError instead of ending the requiring process.
+ * @param {object} cli - The parsed command line.
+ * @returns {{ profile: string, configPath: string|null, settings: object }}
+ */
+function loadConfigOrExit(cli) {
+    try {
+        if (cli.errors.length > 0) throw new ConfigError(cli.errors);
+        return loadConfig({ configPath: cli.configPath, profile: cli.profile, overrides: cli.overrides });
+    } catch (error) {
+        if (!(error instanceof ConfigError) || require.main !== module) throw error;
+        console.error(`FATAL: ${error.message}`);
+        process.exit(1);
+    }
+}
 
-const KRAKEN_FUTURES_BASE_URL = 'https://futures.kraken.com';
-const KRAKEN_SPOT_BASE_URL = 'https://api.kraken.com';
-const DEEPSEEK_API_URL = 'https://api.deepseek.com/v1/chat/completions';
+// Every setting is declared, with its range and default, in config.js, and can be set in a
+// config file (--config), a profile (--profile), the environment or with --set.
+// The arguments of a process that merely requires the bot (e.g. a test runner) are not its own.
+const commandLine = parseCommandLine(require.main === module ? process.argv.slice(2) : []);
+const { profile: CONFIG_PROFILE, settings: config } = loadConfigOrExit(commandLine);
+
+// With --json, stdout only carries the command's result, and the log goes to stderr.
+const OUTPUT_JSON = commandLine.json;
+if (OUTPUT_JSON) console.log = console.error;
+
+// --- API Credentials ---
+const KRAKEN_API_KEY = config.krakenApiKey;
+const KRAKEN_API_SECRET = config.krakenApiSecret;
+const DEEPSEEK_API_KEY = config.deepseekApiKey;
+const DEEPSEEK_API_URL = config.deepseekApiUrl;
+
+const KRAKEN_FUTURES_BASE_URL = config.krakenFuturesBaseUrl;
+const KRAKEN_FUTURES_WS_URL = config.krakenFuturesWsUrl;
+const KRAKEN_SPOT_BASE_URL = config.krakenSpotBaseUrl;
+
+const IS_LIVE_TRADING_ENABLED = config.liveTradingEnabled;
+const FUTURES_SYMBOL = config.futuresSymbol;
+const SPOT_PAIR_SYMBOL = config.spotPairSymbol;
+const CANDLE_INTERVAL = config.candleInterval;
+const CANDLE_CLOSE_DELAY_SECONDS = config.candleCloseDelaySeconds;
+const RISK_CHECK_INTERVAL_MINUTES = config.riskCheckIntervalMinutes;
+
+// --- Indicator Features ---
+const INDICATOR_SPECS = config.indicators;
+const FEATURE_TIMEFRAMES = config.featureTimeframes.filter(minutes => minutes !== CANDLE_INTERVAL);
+const ORDER_BOOK_DEPTH_BAND_PERCENT = config.orderBookDepthBandPercent;
+
+// --- AI Decision Provider ---
+const DECISION_PROVIDER = config.decisionProvider;
+const DECISION_FALLBACK_PROVIDER = config.decisionFallbackProvider;
+const DECISION_TIMEOUT_MS = config.decisionTimeoutMs;
+const DECISION_TEMPERATURE = config.decisionTemperature;
+const PROMPT_TEMPLATE = config.promptTemplate;
+const DEEPSEEK_MODEL = config.deepseekModel;
+const OPENAI_COMPATIBLE_URL = config.openaiCompatibleUrl;
+const OPENAI_COMPATIBLE_API_KEY = config.openaiCompatibleApiKey;
+const OPENAI_COMPATIBLE_MODEL = config.openaiCompatibleModel;
+const OPENAI_COMPATIBLE_JSON_MODE = config.openaiCompatibleJsonMode;
+const REPLAY_PLANS_FILE_PATH = config.replayPlansFilePath;
+const MAX_LIMIT_PRICE_DEVIATION_PERCENT = config.maxLimitPriceDeviationPercent;
+const PLAN_REJECTIONS_FILE_PATH = config.planRejectionsFilePath;
+
+const LEVERAGE = config.leverage;
+const LEVERAGE_SAFETY_FACTOR = config.leverageSafetyFactor;
+const RISK_PER_TRADE_PERCENT = config.riskPerTradePercent;
+const STOP_LOSS_PERCENT = config.stopLossPercent;
+const STOP_LOSS_MODE = config.stopLossMode;
+const STOP_LOSS_ATR_MULTIPLIER = config.stopLossAtrMultiplier;
+const STOP_LOSS_MIN_PERCENT = config.stopLossMinPercent;
+const STOP_LOSS_MAX_PERCENT = config.stopLossMaxPercent;
+const MINIMUM_TRADE_USD = config.minimumTradeUsd;
+
+// --- Automatic Stop Management (applied every cycle while a position is open) ---
+const TRAILING_STOP_MODE = config.trailingStopMode;
+const TRAILING_STOP_PERCENT = config.trailingStopPercent;
+const TRAILING_STOP_ATR_MULTIPLIER = config.trailingStopAtrMultiplier;
+const BREAK_EVEN_TRIGGER_PERCENT = config.breakEvenTriggerPercent;
+const BREAK_EVEN_OFFSET_PERCENT = config.breakEvenOffsetPercent;
+
+// --- Limit Entry Lifecycle ---
+const LIMIT_ENTRY_TIMEOUT_CYCLES = config.limitEntryTimeoutCycles;
+const LIMIT_ENTRY_TIMEOUT_MINUTES = config.limitEntryTimeoutMinutes;
+const LIMIT_ENTRY_MAX_REPRICES = config.limitEntryMaxReprices;
+const LIMIT_ENTRY_REPRICE_OFFSET_PERCENT = config.limitEntryRepriceOffsetPercent;
+
+// --- Take-Profit Defaults (used when the AI plan gives no target) ---
+const TAKE_PROFIT_LEVELS = config.takeProfitLevels;
+
+// --- Instrument Specification (pf_xbtusd: 1 contract = 1 BTC, sizes in steps of 0.0001, prices in steps of 1 USD) ---
+const CONTRACT_SIZE = config.contractSize;
+const CONTRACT_SIZE_PRECISION = config.contractSizePrecision;
+const TICK_SIZE = config.tickSize;
+
+// --- Portfolio (the instruments traded from the one margin account) ---
+// Without a configured list, FUTURES_SYMBOL is traded alone. The contract specification
+// above is the default for instruments that do not give their own.
+const INSTRUMENTS = (config.instruments.length > 0 ? config.instruments : [{ futuresSymbol: FUTURES_SYMBOL, spotPairSymbol: SPOT_PAIR_SYMBOL }])
+    .map(instrument => ({
+        contractSize: CONTRACT_SIZE,
+        contractSizePrecision: CONTRACT_SIZE_PRECISION,
+        tickSize: TICK_SIZE,
+        ...instrument,
+        futuresSymbol: instrument.futuresSymbol.toLowerCase(),
+        correlationGroup: instrument.correlationGroup || instrument.futuresSymbol.toLowerCase()
+    }));
+const MAX_TOTAL_EXPOSURE_PERCENT = config.maxTotalExposurePercent;
+const MAX_CORRELATED_EXPOSURE_PERCENT = config.maxCorrelatedExposurePercent;
+
+// --- Account Risk Limits ---
+const MAX_DAILY_LOSS_PERCENT = config.maxDailyLossPercent;
+const MAX_DRAWDOWN_PERCENT = config.maxDrawdownPercent;
+const MAX_TRADES_PER_DAY = config.maxTradesPerDay;
+const FLATTEN_ON_RISK_BREACH = config.flattenOnRiskBreach;
+const RISK_STATE_FILE_PATH = config.riskStateFilePath;
+
+// --- Paper Trading Simulator (used when IS_LIVE_TRADING_ENABLED is false) ---
+const PAPER_STARTING_BALANCE_USD = config.paperStartingBalanceUsd;
+const PAPER_TAKER_FEE_PERCENT = config.paperTakerFeePercent;
+const PAPER_MAKER_FEE_PERCENT = config.paperMakerFeePercent;
+const PAPER_SLIPPAGE_PERCENT = config.paperSlippagePercent;
+const PAPER_MAX_FILLS = config.paperMaxFills;
+const PAPER_STATE_FILE_PATH = config.paperStateFilePath;
+
+// --- Backtesting (node tradingBot.js backtest <ohlc.csv|ohlc.json> [recorded_plans.json]) ---
+const BACKTEST_STARTING_BALANCE_USD = config.backtestStartingBalanceUsd;
+const BACKTEST_TAKER_FEE_PERCENT = config.backtestTakerFeePercent;
+const BACKTEST_MAKER_FEE_PERCENT = config.backtestMakerFeePercent;
+const BACKTEST_SLIPPAGE_PERCENT = config.backtestSlippagePercent;
+const BACKTEST_WARMUP_CANDLES = config.backtestWarmupCandles;
+const BACKTEST_HISTORY_LENGTH = config.backtestHistoryLength;
+const BACKTEST_REPORT_FILE_PATH = config.backtestReportFilePath;
+
+// --- Real-Time Feed (live trading only) ---
+const WEBSOCKET_ENABLED = config.websocketEnabled;
+const EVENT_REACTION_DELAY_MS = config.eventReactionDelayMs;
+
+// --- Control & Status API (see controlServer.js) ---
+const CONTROL_API_ENABLED = config.controlApiEnabled;
+const CONTROL_API_HOST = config.controlApiHost;
+const CONTROL_API_PORT = config.controlApiPort;
+const CONTROL_API_TOKEN = config.controlApiToken;
+
+// --- Alerts (see notifier.js) ---
+const ALERT_TARGETS = config.alertTargets;
+const ALERT_DEDUP_WINDOW_MINUTES = config.alertDedupWindowMinutes;
+const ALERT_RETRY_ATTEMPTS = config.alertRetryAttempts;
+const ALERT_RETRY_BASE_DELAY_SECONDS = config.alertRetryBaseDelaySeconds;
+const ALERT_DAILY_SUMMARY_HOUR_UTC = config.alertDailySummaryHourUtc;
+
+// --- Journal (append-only records of every cycle and closed trade) ---
+const JOURNAL_FILE_PATH = config.journalFilePath;
+const TRADE_LEDGER_FILE_PATH = config.tradeLedgerFilePath;
+const NOTES_HISTORY_CYCLES = config.notesHistoryCycles;
+
+// The simulator standing in for Kraken. It is null when trading live, and replaced by a
+// fresh in-memory instance for the duration of a backtest.
+let paperExchange = IS_LIVE_TRADING_ENABLED ? null : new PaperExchange({
+    statePath: PAPER_STATE_FILE_PATH,
+    startingBalance: PAPER_STARTING_BALANCE_USD,
+    leverage: LEVERAGE,
+    takerFeePercent: PAPER_TAKER_FEE_PERCENT,
+    makerFeePercent: PAPER_MAKER_FEE_PERCENT,
+    slippagePercent: PAPER_SLIPPAGE_PERCENT,
+    maxFills: PAPER_MAX_FILLS
+});
+
+function createRiskManager(statePath) {
+    return new RiskManager({
+        statePath,
+        riskPerTradePercent: RISK_PER_TRADE_PERCENT,
+        leverage: LEVERAGE,
+        leverageSafetyFactor: LEVERAGE_SAFETY_FACTOR,
+        minimumTradeUsd: MINIMUM_TRADE_USD,
+        maxDailyLossPercent: MAX_DAILY_LOSS_PERCENT,
+        maxDrawdownPercent: MAX_DRAWDOWN_PERCENT,
+        maxTradesPerDay: MAX_TRADES_PER_DAY
+    });
+}
+
+// Replaced by an in-memory instance for the duration of a backtest, like paperExchange.
+let riskManager = createRiskManager(RISK_STATE_FILE_PATH);
+
+// The AI (or stand-in) that produces each cycle's plan. Built from the configuration in main().
+let decisionProvider = null;
+
+// Where rejected plans are logged; null during a backtest.
+let planRejectionsPath = PLAN_REJECTIONS_FILE_PATH;
+
+// Kept in memory instead of on disk for the duration of a backtest.
+let journal = new Journal({ journalPath: JOURNAL_FILE_PATH, ledgerPath: TRADE_LEDGER_FILE_PATH });
+
+// Sends alerts to the ALERT_TARGETS webhooks. Replaced by one without targets for the duration of a backtest.
+let notifier = new Notifier({
+    targets: ALERT_TARGETS,
+    dedupWindowMs: ALERT_DEDUP_WINDOW_MINUTES * 60 * 1000,
+    maxAttempts: ALERT_RETRY_ATTEMPTS,
+    retryBaseDelayMs: ALERT_RETRY_BASE_DELAY_SECONDS * 1000,
+    source: { profile: CONFIG_PROFILE, liveTrading: IS_LIVE_TRADING_ENABLED }
+});
+
+// The instrument the running cycle trades. Cycles run one at a time (see runExclusive), and
+// a decision cycle goes through the instruments one after another, switching it for each.
+let activeInstrument = INSTRUMENTS[0];
+
+// Set through the control API. While paused, decision cycles are skipped; risk checks and
+// exchange events are still handled, so open positions stay protected.
+let tradingPaused = false;
 
-const IS_LIVE_TRADING_ENABLED = false;
-const FUTURES_SYMBOL = 'pf_xbtusd';
-const SPOT_PAIR_SYMBOL = 'BTC/USD';
-const CANDLE_INTERVAL = 240;
-const TRADE_INTERVAL_MS = CANDLE_INTERVAL * 60 * 1000;
+// The scheduler of the running bot, for the status endpoint. Set by runBot().
+let botScheduler = null;
 
-const LEVERAGE = 10;
-const LEVERAGE_SAFETY_FACTOR = 0.9;
-const RISK_PER_TRADE_PERCENT = 1.0;
-const STOP_LOSS_PERCENT = 2.0;
-const MINIMUM_TRADE_USD = 10;
+// The decision cycle requested through POST /cycle, while it is queued or running.
+let requestedCycle = null;
 
 // =====================================================================================
 // SECTION 2: KRAKEN API CLIENT FUNCTIONS
 // =====================================================================================
 
-let nonceCounter = 0;
-function createNonce() {
-    if (nonceCounter > 9999) nonceCounter = 0;
-    return Date.now() + ('0000' + nonceCounter++).slice(-5);
-}
-
-function signRequest(endpoint, nonce, postData = '') {
-    const path = endpoint.startsWith('/derivatives') ? endpoint.slice('/derivatives'.length) : endpoint;
-    const message = postData + nonce + path;
-    const hash = crypto.createHash('sha256').update(message).digest();
-    const secretDecoded = Buffer.from(KRAKEN_API_SECRET, 'base64');
-    const hmac = crypto.createHmac('sha512', secretDecoded);
-    return hmac.update(hash).digest('base64');
-}
+const krakenClient = new KrakenFuturesClient({ apiKey: KRAKEN_API_KEY, apiSecret: KRAKEN_API_SECRET, baseUrl: KRAKEN_FUTURES_BASE_URL });
 
-async function fetchMarketData() {
-    const url = `${KRAKEN_SPOT_BASE_URL}/0/public/OHLC?pair=${SPOT_PAIR_SYMBOL}&interval=${CANDLE_INTERVAL}`;
+/**
+ * Fetches OHLC candles of a spot pair from Kraken's public endpoint.
+ * @param {string} pair - The spot pair, e.g. 'BTC/USD'.
+ * @param {number} interval - Candle interval in minutes.
+ * @returns {Promise<Array<Array>>} All returned candles, oldest first, including the forming one.
+ */
+async function fetchCandles(pair, interval) {
+    const url = `${KRAKEN_SPOT_BASE_URL}/0/public/OHLC?pair=${pair}&interval=${interval}`;
     const response = await axios.get(url);
     if (response.data.error && response.data.error.length > 0) throw new Error(`Market data error: ${response.data.error.join(', ')}`);
     const resultKey = Object.keys(response.data.result)[0];
-    return { candles: response.data.result[resultKey] };
+    return response.data.result[resultKey];
+}
+
+/**
+ * Fetches the OHLC candles of the active instrument's spot pair and, for a decision cycle,
+ * the rest of the market data the decision is made on.
+ * @param {object} [options]
+ * @param {boolean} [options.forDecision=false] - Also fetch the FEATURE_TIMEFRAMES candles and the futures market context.
+ * @returns {Promise<{ candles: Array<Array>, allCandles: Array<Array>, timeframes: object, marketContext: object|null }>}
+ *   The closed candles for the strategy, all candles including the forming one for the paper exchange, the
+ *   closed candles of each feature timeframe keyed by its interval in minutes, and the perpetual's ticker
+ *   and order book (see marketContext.js).
+ */
+async function fetchMarketData({ forDecision = false } = {}) {
+    const pair = activeInstrument.spotPairSymbol;
+    const allCandles = await fetchCandles(pair, CANDLE_INTERVAL);
+    const timeframes = {};
+    let marketContext = null;
+    if (forDecision) {
+        // Neither the features of one timeframe nor the futures context are worth losing the cycle over.
+        for (const interval of FEATURE_TIMEFRAMES) {
+            try {
+                timeframes[interval] = dropFormingCandle(await fetchCandles(pair, interval), interval, Date.now());
+            } catch (error) {
+                console.error(`Could not fetch ${formatTimeframe(interval)} candles for ${pair}: ${error.message}`);
+            }
+        }
+        try {
+            marketContext = await fetchMarketContext(krakenClient, activeInstrument.futuresSymbol, { depthBandPercent: ORDER_BOOK_DEPTH_BAND_PERCENT });
+        } catch (error) {
+            console.error(`Could not fetch the futures market context for ${activeInstrument.futuresSymbol}: ${error.message}`);
+        }
+    }
+    return { candles: dropFormingCandle(allCandles, CANDLE_INTERVAL, Date.now()), allCandles, timeframes, marketContext };
 }
 
 async function getAccountData() {
-    const endpoint = '/derivatives/api/v3/accounts';
-    const nonce = createNonce();
-    const authent = signRequest(endpoint, nonce, '');
-    const headers = { 'APIKey': KRAKEN_API_KEY, 'Nonce': nonce, 'Authent': authent, 'Content-Type': 'application/json' };
-    const response = await axios.get(KRAKEN_FUTURES_BASE_URL + endpoint, { headers });
-    return response.data;
+    if (paperExchange) return paperExchange.getAccounts();
+    return krakenClient.getAccounts();
 }
 
 async function getOpenPositions() {
-    const endpoint = '/derivatives/api/v3/openpositions';
-    const nonce = createNonce();
-    const authent = signRequest(endpoint, nonce, '');
-    const headers = { 'APIKey': KRAKEN_API_KEY, 'Nonce': nonce, 'Authent': authent, 'Content-Type': 'application/json' };
-    const response = await axios.get(KRAKEN_FUTURES_BASE_URL + endpoint, { headers });
-    return response.data;
+    if (paperExchange) return paperExchange.getOpenPositions();
+    return krakenClient.getOpenPositions();
 }
 
 async function getOpenOrders() {
-    const endpoint = '/derivatives/api/v3/openorders';
-    const nonce = createNonce();
-    const authent = signRequest(endpoint, nonce, '');
-    const headers = { 'APIKey': KRAKEN_API_KEY, 'Nonce': nonce, 'Authent': authent, 'Content-Type': 'application/json' };
-    const response = await axios.get(KRAKEN_FUTURES_BASE_URL + endpoint, { headers });
-    return response.data;
+    if (paperExchange) return paperExchange.getOpenOrders();
+    return krakenClient.getOpenOrders();
+}
+
+async function getFills() {
+    if (paperExchange) return paperExchange.getFills();
+    return krakenClient.getFills();
+}
+
+/**
+ * Runs an order request and records it, with the exchange's response or error, in the journal.
+ */
+async function withJournal(type, request, call) {
+    try {
+        const response = await call();
+        journal.recordExchangeCall(type, request, response);
+        return response;
+    } catch (error) {
+        journal.recordExchangeCall(type, request, { error: error.message });
+        sendAlert('apiError', `Exchange call failed: ${type}`, error.message, { data: { request } });
+        throw error;
+    }
 }
 
 async function executeOrder(orderDetails) {
-    if (!IS_LIVE_TRADING_ENABLED) {
-        console.log(`LIVE TRADING DISABLED. Order prepared: ${JSON.stringify(orderDetails)}`);
-        return { sendStatus: { status: 'placed', order_id: 'simulated-order-id' } };
+    const response = await withJournal('sendorder', orderDetails, () => sendOrder(orderDetails));
+    const status = response?.sendStatus?.status;
+    if (!isAccepted(response?.sendStatus)) {
+        sendAlert('orderRejected', 'Order rejected', `The exchange did not accept a ${orderDetails.side} ${orderDetails.orderType} order of ${orderDetails.size}: ${status}.`, { data: { order: orderDetails, status } });
+    }
+    return response;
+}
+
+async function sendOrder(orderDetails) {
+    if (paperExchange) {
+        console.log(`LIVE TRADING DISABLED. Sending order to paper exchange: ${JSON.stringify(orderDetails)}`);
+        return paperExchange.placeOrder(orderDetails);
+    }
+    try {
+        return await krakenClient.sendOrder(orderDetails);
+    } catch (error) {
+        // A rejected order still has a response body; the handlers inspect its status like the paper exchange's.
+        if (error instanceof KrakenOrderRejectedError) {
+            console.error(error.message);
+            return error.body;
+        }
+        throw error;
     }
-    const endpoint = '/derivatives/api/v3/sendorder';
-    const nonce = createNonce();
-    let data = `orderType=${orderDetails.orderType}&symbol=${orderDetails.symbol}&side=${orderDetails.side}&size=${orderDetails.size}`;
-    if (orderDetails.limitPrice) data += `&limitPrice=${orderDetails.limitPrice}`;
-    if (orderDetails.stopPrice) data += `&stopPrice=${orderDetails.stopPrice}`;
-    const authent = signRequest(endpoint, nonce, data);
-    const headers = { 'Accept': 'application/json', 'APIKey': KRAKEN_API_KEY, 'Nonce': nonce, 'Authent': authent, 'Content-Type': 'application/x-www-form-urlencoded', 'Content-Length': data.length.toString() };
-    const response = await axios.post(KRAKEN_FUTURES_BASE_URL + endpoint, data, { headers });
-    return response.data;
 }
 
 // =====================================================================================
 // SECTION 3: HELPER FUNCTIONS
 // =====================================================================================
 
-const NOTES_FILE_PATH = path.join(__dirname, 'bot_notes.json');
+/**
+ * Rebuilds an instrument's memory from the journal: the notes of its latest completed
+ * cycle, plus a short history of its last NOTES_HISTORY_CYCLES cycles. A failed cycle
+ * adds its error to the history but leaves the notes of the last good cycle in place,
+ * however many failed or other instruments' cycles were written since.
+ * @param {object} [instrument=activeInstrument] - The instrument whose notes are read.
+ * @returns {Promise<object>} The notes for the next cycle.
+ */
+async function readNotes(instrument = activeInstrument) {
+    // Entries written before the portfolio mode have no symbol; they belong to the first instrument.
+    const isOwnEntry = entry => (entry.symbol || INSTRUMENTS[0].futuresSymbol) === instrument.futuresSymbol;
+    const recent = await journal.readRecentCycles(NOTES_HISTORY_CYCLES * INSTRUMENTS.length);
+    const entries = recent.filter(isOwnEntry).slice(-NOTES_HISTORY_CYCLES);
+    const latest = [...entries].reverse().find(entry => entry.notes)
+        || await journal.findLatestCycle(entry => isOwnEntry(entry) && entry.notes);
+    const notes = latest ? latest.notes : { lastTrade: { action: "none", result: "N/A" }, generalObservations: "Bot initialized." };
+    const recentCycles = entries.map(entry => ({
+        time: entry.time,
+        trigger: entry.trigger,
+        price: entry.indicators?.lastPrice,
+        action: entry.plan?.action,
+        reason: entry.error ? `Cycle failed: ${entry.error}` : entry.plan?.reason,
+        ordersSent: entry.exchangeCalls?.length || 0
+    }));
+    return { ...notes, recentCycles };
+}
 
-async function readNotes() {
-    try {
-        await fs.access(NOTES_FILE_PATH);
-        const data = await fs.readFile(NOTES_FILE_PATH, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return { lastTrade: { action: "none", result: "N/A" }, generalObservations: "Bot initialized." };
+/**
+ * Sends an alert about the active instrument through the notifier. Never throws.
+ * @param {string} type - One of the notifier's ALERT_EVENTS, e.g. 'entry'.
+ * @param {string} title - A short heading.
+ * @param {string} message - What happened.
+ * @param {object} [options] - `{ symbol, severity, data, dedupKey }`; the symbol defaults to the active instrument's.
+ */
+function sendAlert(type, title, message, { symbol = activeInstrument.futuresSymbol, ...options } = {}) {
+    notifier.notify({ type, title, message, symbol, ...options });
+}
+
+/**
+ * Adds newly closed trades, rebuilt from the exchange's fills, to the ledger.
+ */
+async function updateTradeLedger() {
+    const response = await getFills();
+    // Both Kraken and the paper exchange list fills newest first.
+    const symbols = INSTRUMENTS.map(instrument => instrument.futuresSymbol);
+    const fills = (response?.fills || []).filter(f => symbols.includes(f.symbol)).reverse();
+    await journal.recordClosedTrades(buildTradeList(fills));
+}
+
+/**
+ * Totals a list of executions into a filled size and volume-weighted average price.
+ * @param {Array<{ size: number|string, price: number|string }>} executions
+ * @returns {{ filledSize: number, averagePrice: number|null }}
+ */
+function summarizeExecutions(executions) {
+    const filledSize = executions.reduce((sum, e) => sum + parseFloat(e.size), 0);
+    const notional = executions.reduce((sum, e) => sum + parseFloat(e.size) * parseFloat(e.price), 0);
+    return { filledSize, averagePrice: filledSize > 0 ? notional / filledSize : null };
+}
+
+/**
+ * Looks up how much of an order has filled, and at what average price, from the fills history.
+ * @param {string} orderId - The order to look up.
+ * @returns {Promise<{ filledSize: number, averagePrice: number|null }>}
+ */
+async function getOrderFillSummary(orderId) {
+    const response = await getFills();
+    return summarizeExecutions((response?.fills || []).filter(f => f.order_id === orderId));
+}
+
+/**
+ * Totals the executions a `sendorder` response reports inline, e.g. of a limit order that was
+ * marketable. A resting order reports none.
+ * @param {object} response - The `sendorder` response of a placed order.
+ * @returns {{ filledSize: number, averagePrice: number|null }}
+ */
+function getReportedFill(response) {
+    return summarizeExecutions((response.sendStatus.orderEvents || [])
+        .filter(e => e.type === 'EXECUTION')
+        .map(e => ({ size: e.amount, price: e.price })));
+}
+
+/**
+ * Reads what a market order filled: from the executions in its response or, as these are
+ * not always reported inline, from the fills history.
+ * @param {object} response - The `sendorder` response of a placed order.
+ * @returns {Promise<{ filledSize: number, averagePrice: number|null }>}
+ */
+async function getMarketOrderFill(response) {
+    const execution = getReportedFill(response);
+    return execution.filledSize > 0 ? execution : getOrderFillSummary(response.sendStatus.order_id);
+}
+
+/**
+ * Computes the indicators of a cycle: the fixed ones the rules and stops rely on, and the
+ * configured INDICATOR_SPECS features on the candle interval and each feature timeframe.
+ * @param {Array<Array>} candles - Closed candles of the candle interval, oldest first.
+ * @param {object} [timeframes={}] - Closed candles of other intervals, keyed by minutes.
+ * @returns {object} `{ lastRSI, lastSMA50, lastATR, lastPrice, features: { [timeframe]: { ... } } }`.
+ */
+function calculateIndicators(candles, timeframes = {}) {
+    const closePrices = candles.map(c => parseFloat(c[4]));
+    const rsi = RSI.calculate({ values: closePrices, period: 14 });
+    const sma50 = SMA.calculate({ values: closePrices, period: 50 });
+    const atr = ATR.calculate({ high: candles.map(c => parseFloat(c[2])), low: candles.map(c => parseFloat(c[3])), close: closePrices, period: 14 });
+
+    const features = { [formatTimeframe(CANDLE_INTERVAL)]: computeFeatures(candles, INDICATOR_SPECS) };
+    for (const [interval, timeframeCandles] of Object.entries(timeframes)) {
+        if (timeframeCandles.length > 0) features[formatTimeframe(Number(interval))] = computeFeatures(timeframeCandles, INDICATOR_SPECS);
+    }
+    return { lastRSI: rsi[rsi.length - 1], lastSMA50: sma50[sma50.length - 1], lastATR: atr[atr.length - 1], lastPrice: closePrices[closePrices.length - 1], features };
+}
+
+/**
+ * Builds a single decision provider by name from the configuration above.
+ * @param {string} name - 'deepseek', 'openai-compatible', 'rule-based' or 'replay'.
+ * @returns {Promise<object>} The provider.
+ */
+async function createDecisionProvider(name) {
+    const market = { pair: SPOT_PAIR_SYMBOL, candleInterval: CANDLE_INTERVAL };
+    switch (name) {
+        case 'deepseek':
+            return createDeepseekProvider({
+                url: DEEPSEEK_API_URL, apiKey: DEEPSEEK_API_KEY, model: DEEPSEEK_MODEL, temperature: DECISION_TEMPERATURE,
+                timeoutMs: DECISION_TIMEOUT_MS, promptTemplate: await loadPromptTemplate(PROMPT_TEMPLATE), market
+            });
+        case 'openai-compatible':
+            return createOpenAICompatibleProvider({
+                url: OPENAI_COMPATIBLE_URL, apiKey: OPENAI_COMPATIBLE_API_KEY, model: OPENAI_COMPATIBLE_MODEL,
+                temperature: DECISION_TEMPERATURE, timeoutMs: DECISION_TIMEOUT_MS, jsonMode: OPENAI_COMPATIBLE_JSON_MODE,
+                promptTemplate: await loadPromptTemplate(PROMPT_TEMPLATE), market
+            });
+        case 'rule-based':
+            return createRuleBasedProvider();
+        case 'replay':
+            return createReplayProvider(REPLAY_PLANS_FILE_PATH);
+        default:
+            throw new Error(`Unknown decision provider "${name}".`);
     }
 }
 
-async function writeNotes(notes) {
+/**
+ * Builds the configured primary provider, chained with the fallback provider (if any)
+ * and a final HOLD, each attempt limited to DECISION_TIMEOUT_MS.
+ * @returns {Promise<object>} The provider used by the trading loop.
+ */
+async function createConfiguredDecisionProvider() {
+    const names = [DECISION_PROVIDER, DECISION_FALLBACK_PROVIDER].filter(Boolean);
+    const providers = [];
+    for (const name of names) providers.push(await createDecisionProvider(name));
+    return createFallbackProvider(providers, { timeoutMs: DECISION_TIMEOUT_MS });
+}
+
+/**
+ * Appends a rejected plan, with the raw model output, to the rejections log.
+ * @param {object} rejection - `{ time, provider, attempt, rawResponse, errors }`.
+ */
+async function recordPlanRejection(rejection) {
+    if (!planRejectionsPath) return;
     try {
-        await fs.writeFile(NOTES_FILE_PATH, JSON.stringify(notes, null, 2), 'utf8');
+        await fs.appendFile(planRejectionsPath, JSON.stringify(rejection) + '\n', 'utf8');
     } catch (error) {
-        console.error("Could not write to notes file.", error);
+        console.error("Could not write to the plan rejections file.", error);
     }
 }
 
-function calculateIndicators(candles) {
-    const closePrices = candles.map(c => parseFloat(c[4]));
-    const rsi = RSI.calculate({ values: closePrices, period: 14 });
-    const sma50 = SMA.calculate({ values: closePrices, period: 50 });
-    return { lastRSI: rsi[rsi.length - 1], lastSMA50: sma50[sma50.length - 1], lastPrice: closePrices[closePrices.length - 1] };
-}
-
-async function analyzeWithDeepseek(candles, indicators, accountContext) {
-    const prompt = `
-        You are a sophisticated trading strategy AI for BTC/USD. Your task is to return a precise action plan as a JSON object.
-        --- Possible Actions & Required Parameters ---
-        1.  { "action": "HOLD", "reason": "..." }
-        2.  { "action": "ENTER_LONG", "orderType": "mkt" | "lmt", "price": <price_for_lmt_order>, "reason": "..." }
-        3.  { "action": "ENTER_SHORT", "orderType": "mkt" | "lmt", "price": <price_for_lmt_order>, "reason": "..." }
-        4.  { "action": "EXIT_POSITION", "reason": "..." }
-        5.  { "action": "ADJUST_SL", "price": <new_stop_loss_price>, "reason": "..." }
-        --- Rules ---
-        - Your entire response MUST be a single, valid JSON object.
-        - If entering with a limit order ("lmt"), you MUST provide a "price". For market orders ("mkt"), "price" is not needed.
-        - Only recommend "ADJUST_SL" or "EXIT_POSITION" if a position is already open.
-        - Default to { "action": "HOLD" } if no clear action is warranted.
-        --- Bot's Memory (Notes from last cycle) ---
-        ${JSON.stringify(accountContext.previousNotes, null, 2)}
-        --- Current Account & Position Context ---
-        - Has Open Position: ${accountContext.hasOpenPosition}
-        - Position Details: ${JSON.stringify(accountContext.position, null, 2)}
-        - Open Orders (e.g., current stop-loss): ${JSON.stringify(accountContext.openOrders, null, 2)}
-        - Available Margin (USD): ${accountContext.availableMargin?.toFixed(2)}
-        --- Current Market Data ---
-        - Current Price: ${indicators.lastPrice?.toFixed(2)}
-        - 14-period RSI: ${indicators.lastRSI?.toFixed(2)}
-        - 50-period SMA: ${indicators.lastSMA50?.toFixed(2)}
-        - Recent 4-hour OHLC data: ${JSON.stringify(candles.slice(-10), null, 2)}
-    `;
-    const response = await axios.post(DEEPSEEK_API_URL, {
-        model: 'deepseek-chat',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.5,
-        response_format: { type: "json_object" }
-    }, { headers: { 'Authorization': `Bearer ${DEEPSEEK_API_KEY}` } });
-    return JSON.parse(response.data.choices[0].message.content);
+/**
+ * Asks the provider for a plan and validates it. A rejected plan from an LLM, including a
+ * reply that is not a JSON plan at all, is sent back once with the validation errors; if
+ * the answer is still invalid, the plan is HOLD.
+ * @param {object} provider - The decision provider.
+ * @param {Array<Array>} candles - Kraken OHLC rows, oldest first.
+ * @param {object} accountContext - The account and market context of the cycle.
+ * @returns {Promise<{ plan: object, rejections: Array<string>, attempts: Array<object> }>} The plan to act on, the errors
+ *   of any rejected attempts, and each attempt's prompt, raw response and errors for the journal.
+ */
+async function obtainValidatedPlan(provider, candles, accountContext) {
+    const { indicators, hasOpenPosition, position, cycleTime } = accountContext;
+    const market = {
+        lastPrice: indicators.lastPrice,
+        hasOpenPosition,
+        positionSide: position?.side || null,
+        maxLimitDeviationPercent: MAX_LIMIT_PRICE_DEVIATION_PERCENT
+    };
+
+    const rejections = [];
+    const attempts = [];
+    let feedback;
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        let plan = null;
+        let errors;
+        try {
+            plan = await provider.decide(candles, indicators, accountContext, { feedback });
+            errors = validatePlan(plan, market).errors;
+        } catch (error) {
+            if (!(error instanceof PlanParseError)) throw error;
+            errors = [error.message];
+        }
+        const valid = errors.length === 0;
+        // The reply as the model sent it; null when no model answered, e.g. every provider failed.
+        const rawResponse = provider.lastCall ? provider.lastCall.rawResponse : JSON.stringify(plan);
+        attempts.push({ provider: provider.lastCall?.provider || provider.name, prompt: provider.lastCall?.prompt || null, rawResponse, errors });
+        if (valid) return { plan, rejections, attempts };
+
+        console.log(`Plan rejected (attempt ${attempt}): ${errors.join(' ')}`);
+        await recordPlanRejection({ time: cycleTime.toISOString(), provider: provider.name, attempt, rawResponse, errors });
+        rejections.push(...errors);
+
+        // Only a model that was prompted can be asked to correct itself.
+        if (!provider.lastCall?.prompt) break;
+        feedback = { previousResponse: rawResponse, errors };
+    }
+    return { plan: { action: 'HOLD', reason: `Plan rejected by validation: ${rejections.join(' ')}` }, rejections, attempts };
 }
+
 // =====================================================================================
 // SECTION 4: ACTION HANDLERS
 // =====================================================================================
@@ -218,94 +683,502 @@ async function handleNewPosition(plan, context) {
         console.log("Aborting entry: A position already exists.");
         return context.previousNotes; // Return original notes, no changes.
     }
+    if (context.previousNotes.pendingEntry) {
+        console.log("Aborting entry: A limit entry is still pending.");
+        return context.previousNotes;
+    }
 
-    const currentPrice = context.indicators.lastPrice;
-
-    // Calculate the trade size. This uses the helper function we already have.
-    const tradeSizeBTC = calculateTradeSize(context.availableMargin, currentPrice);
+    // The perpetual's mark price, which its margin and stops are measured against, when it could be read;
+    // otherwise the spot close.
+    const currentPrice = context.marketContext?.markPrice || context.indicators.lastPrice;
+    // Limit entries are sized and protected from their limit price, market entries from the current price.
+    const limitPrice = plan.orderType === 'lmt' ? roundToTick(plan.price, activeInstrument.tickSize) : null;
+    const entryPrice = plan.orderType === 'lmt' ? limitPrice : currentPrice;
+    const stopDistance = selectInitialStopDistance({
+        entryPrice,
+        mode: STOP_LOSS_MODE,
+        percent: STOP_LOSS_PERCENT,
+        atr: context.indicators.lastATR,
+        atrMultiplier: STOP_LOSS_ATR_MULTIPLIER,
+        minPercent: STOP_LOSS_MIN_PERCENT,
+        maxPercent: STOP_LOSS_MAX_PERCENT
+    });
+    const stopLossPrice = (plan.action === 'ENTER_LONG')
+        ? entryPrice * (1 - stopDistance.percent / 100)
+        : entryPrice * (1 + stopDistance.percent / 100);
+    console.log(`Stop-loss distance: ${stopDistance.percent.toFixed(2)}% (${stopDistance.reason}).`);
+
+    // Size the position so that hitting the stop loses RISK_PER_TRADE_PERCENT of equity, within
+    // the instrument's share of the margin and the portfolio's exposure caps.
+    const { futuresSymbol, correlationGroup, contractSize, contractSizePrecision } = activeInstrument;
+    const budget = context.allocator.budgetFor(futuresSymbol, correlationGroup);
+    const sizing = riskManager.calculateTradeSize({
+        equity: context.equity,
+        availableMargin: budget.availableMargin,
+        maxNotionalUsd: budget.maxNotionalUsd,
+        contractSize,
+        sizePrecision: contractSizePrecision,
+        entryPrice,
+        stopPrice: stopLossPrice
+    });
+    const tradeSizeBTC = sizing.size;
+    console.log(`Portfolio: ${budget.reason}`);
     if (tradeSizeBTC <= 0) {
-        console.log(`Action: Holding. Trade size calculation resulted in zero or less.`);
-        return { ...context.previousNotes, generalObservations: "Trade size was zero, aborted entry." };
+        console.log(`Action: Holding. Trade size calculation resulted in zero. ${sizing.reason}`);
+        return { ...context.previousNotes, generalObservations: `Trade size was zero, aborted entry. ${sizing.reason}` };
     }
+    console.log(`Position size: ${tradeSizeBTC} contracts. ${sizing.reason}`);
 
-    // --- Execute Two-Step Trade ---
+    // --- Execute the Entry ---
     // 1. Place the ENTRY order.
+    const positionSide = plan.action === 'ENTER_LONG' ? 'long' : 'short';
     const entryOrder = {
         orderType: plan.orderType, // Use the order type from the AI plan ('mkt' or 'lmt')
-        symbol: FUTURES_SYMBOL,
+        symbol: activeInstrument.futuresSymbol,
         side: plan.action === 'ENTER_LONG' ? 'buy' : 'sell',
         size: tradeSizeBTC,
-        limitPrice: plan.orderType === 'lmt' ? plan.price : null // Add limit price if it's a limit order
+        limitPrice // Only set for a limit order
     };
     const entryResponse = await executeOrder(entryOrder);
 
-    // 2. If entry is successful, place the PROTECTIVE stop-loss.
-    if (entryResponse && entryResponse.sendStatus.status === 'placed') {
-        console.log("Entry order placed. Now placing protective stop-loss order.");
-        const stopLossPrice = (plan.action === 'ENTER_LONG')
-            ? currentPrice * (1 - STOP_LOSS_PERCENT / 100)
-            : currentPrice * (1 + STOP_LOSS_PERCENT / 100);
-
-        const roundedStopPrice = Math.round(stopLossPrice);
-        const roundedLimitPrice = (plan.action === 'ENTER_LONG') ? roundedStopPrice - 1 : roundedStopPrice + 1;
-
-        const stopLossOrder = {
-            orderType: 'stp',
-            symbol: FUTURES_SYMBOL,
-            side: (plan.action === 'ENTER_LONG') ? 'sell' : 'buy',
-            size: tradeSizeBTC,
-            limitPrice: roundedLimitPrice,
-            stopPrice: roundedStopPrice,
+    if (!isAccepted(entryResponse?.sendStatus)) {
+        // If the entry order failed, record it in the notes.
+        console.log(`Entry order failed to place: ${entryResponse?.sendStatus?.status}`);
+        return {
+            ...context.previousNotes,
+            generalObservations: `Attempted to ${plan.action} but the order failed (${entryResponse?.sendStatus?.status}).`
         };
-        await executeOrder(stopLossOrder);
+    }
+    await riskManager.recordTrade();
+    context.allocator.commit(futuresSymbol, correlationGroup, tradeSizeBTC * contractSize * entryPrice);
 
-        // --- Create New Notes for a Successful Entry ---
-        const newNotes = {
-            lastTrade: {
-                action: plan.action,
-                result: "Open",
-                reason: plan.reason,
-                entryPrice: currentPrice,
-                exitPrice: 0
-            },
-            generalObservations: `Successfully entered a ${plan.action} position.`
-        };
-        return newNotes;
-    } else {
-        // If the entry order failed, record it in the notes.
-        console.log("Entry order failed to place.");
+    // 2. Only protect what has actually been filled. A resting limit order becomes a pending entry.
+    if (plan.orderType === 'lmt' && getReportedFill(entryResponse).filledSize === 0) {
+        console.log(`Limit entry resting at ${limitPrice}. Waiting for a fill before placing the stop-loss.`);
         return {
             ...context.previousNotes,
-            generalObservations: `Attempted to ${plan.action} but the order failed.`
+            lastTrade: { action: plan.action, result: "Pending", reason: plan.reason, entryPrice: 0, exitPrice: 0 },
+            pendingEntry: {
+                orderId: entryResponse.sendStatus.order_id,
+                plan,
+                side: positionSide,
+                size: tradeSizeBTC,
+                limitPrice,
+                stopDistancePercent: stopDistance.percent,
+                placedAt: context.cycleTime.toISOString(),
+                cyclesWaited: 0,
+                repriceCount: 0
+            },
+            generalObservations: `Placed a ${plan.action} limit order at ${limitPrice}; waiting for it to fill.`
         };
     }
+
+    const filled = await getMarketOrderFill(entryResponse);
+    const filledSize = filled.filledSize > 0 ? filled.filledSize : tradeSizeBTC;
+    const averageFillPrice = filled.filledSize > 0 ? filled.averagePrice : currentPrice;
+    return protectFilledEntry(plan, positionSide, filledSize, averageFillPrice, context.previousNotes, stopDistance.percent);
 }
+
 /**
- * Handles the logic for exiting the current open position.
- * @param {object} plan - The strategic plan object from the AI.
+ * Places the protective stop and take-profit orders for a confirmed fill and records the trade.
+ * @param {object} plan - The plan that opened the position.
+ * @param {string} positionSide - 'long' or 'short'.
+ * @param {number} filledSize - Size actually filled.
+ * @param {number} averageFillPrice - Average price of the fills.
+ * @param {object} previousNotes - Notes to build on.
+ * @param {number} [stopDistancePercent=STOP_LOSS_PERCENT] - Stop distance chosen when the entry was sized.
+ * @returns {Promise<object>} The new notes object for this cycle.
+ */
+async function protectFilledEntry(plan, positionSide, filledSize, averageFillPrice, previousNotes, stopDistancePercent = STOP_LOSS_PERCENT) {
+    console.log(`Entry filled: ${filledSize} @ ${averageFillPrice.toFixed(2)}. Now placing protective stop-loss order.`);
+    const { pendingEntry, ...notes } = previousNotes;
+    const stopLossPrice = positionSide === 'long'
+        ? averageFillPrice * (1 - stopDistancePercent / 100)
+        : averageFillPrice * (1 + stopDistancePercent / 100);
+    const stopLossOrder = buildStopLossOrder(positionSide, filledSize, stopLossPrice);
+    const stopResponse = await executeOrder(stopLossOrder);
+    if (!isAccepted(stopResponse?.sendStatus)) {
+        console.error(`!!! CRITICAL: The stop-loss failed to place (${stopResponse?.sendStatus?.status}). The position is UNPROTECTED. !!!`);
+        sendAlert('unprotectedPosition', 'Position without a stop-loss', `The stop-loss for the new ${positionSide} position of ${filledSize} failed to place (${stopResponse?.sendStatus?.status}).`);
+    }
+
+    // Complete the bracket with the reduce-only take-profit orders.
+    const { levels, rejected } = resolveTakeProfitLevels(plan, { side: positionSide, entryPrice: averageFillPrice, stopPrice: stopLossPrice, defaultLevels: TAKE_PROFIT_LEVELS });
+    rejected.forEach(reason => console.log(`Skipping take-profit: ${reason}`));
+    const takeProfits = [];
+    for (const level of allocateTakeProfitSizes(filledSize, levels, activeInstrument.contractSizePrecision)) {
+        const takeProfitOrder = buildTakeProfitOrder(positionSide, level.size, level.price);
+        const takeProfitResponse = await executeOrder(takeProfitOrder);
+        if (isAccepted(takeProfitResponse?.sendStatus)) {
+            takeProfits.push({ price: takeProfitOrder.stopPrice, size: level.size });
+        } else {
+            console.log(`Take-profit at ${takeProfitOrder.stopPrice} failed to place: ${takeProfitResponse?.sendStatus?.status}`);
+        }
+    }
+
+    sendAlert('entry', `Entered ${positionSide}`, `${positionSide} ${filledSize} @ ${averageFillPrice.toFixed(2)}, stop-loss ${stopLossOrder.stopPrice}, ${takeProfits.length} take-profit(s). Reason: ${plan.reason}`, {
+        data: { side: positionSide, size: filledSize, entryPrice: averageFillPrice, stopLoss: stopLossOrder.stopPrice, takeProfits }
+    });
+
+    // --- Create New Notes for a Successful Entry ---
+    return {
+        ...notes,
+        lastTrade: {
+            action: plan.action,
+            result: "Open",
+            reason: plan.reason,
+            entryPrice: averageFillPrice,
+            size: filledSize,
+            exitPrice: 0,
+            stopLoss: stopLossOrder.stopPrice,
+            takeProfits
+        },
+        generalObservations: `Successfully entered a ${plan.action} position of ${filledSize} at an average price of ${averageFillPrice.toFixed(2)}.`
+    };
+}
+
+/**
+ * Follows a resting limit entry from a previous cycle. Once it has filled (fully or
+ * partially) the filled quantity is protected; if it is still unfilled after
+ * LIMIT_ENTRY_TIMEOUT_CYCLES cycles or LIMIT_ENTRY_TIMEOUT_MINUTES minutes, it is
+ * repriced towards the market up to LIMIT_ENTRY_MAX_REPRICES times and then cancelled.
  * @param {object} context - The full account and market context.
- * @returns {Promise<object>} A promise that resolves to the new notes object for this cycle.
+ * @returns {Promise<object>} The notes for this cycle.
  */
-async function handlePositionExit(plan, context) {
-    console.log(`--- Handling Position Exit ---`);
+async function handlePendingEntry(context) {
+    const notes = context.previousNotes;
+    const pending = notes.pendingEntry;
+    if (!pending) return notes;
+
+    const { pendingEntry, ...notesWithoutPending } = notes;
+    const stillOpen = context.entryOrders.some(o => o.order_id === pending.orderId);
+    const filled = await getOrderFillSummary(pending.orderId);
+
+    if (filled.filledSize > 0) {
+        if (stillOpen) {
+            console.log(`Limit entry ${pending.orderId} partially filled (${filled.filledSize} of ${pending.size}). Cancelling the remainder.`);
+            await cancelOrder(pending.orderId);
+        }
+        return protectFilledEntry(pending.plan, pending.side, filled.filledSize, filled.averagePrice, notes, pending.stopDistancePercent);
+    }
 
-    if (!context.hasOpenPosition) {
-        console.log("Aborting exit: No position is currently open.");
-        return context.previousNotes;
+    if (!stillOpen) {
+        console.log(`Limit entry ${pending.orderId} is no longer open and never filled.`);
+        return { ...notesWithoutPending, lastTrade: { ...notes.lastTrade, result: "Cancelled" }, generalObservations: "The pending limit entry disappeared from the book without filling." };
+    }
+
+    const cyclesWaited = pending.cyclesWaited + 1;
+    const minutesWaited = (context.cycleTime.getTime() - new Date(pending.placedAt).getTime()) / 60000;
+    if (cyclesWaited < LIMIT_ENTRY_TIMEOUT_CYCLES && minutesWaited < LIMIT_ENTRY_TIMEOUT_MINUTES) {
+        console.log(`Limit entry ${pending.orderId} still unfilled after ${cyclesWaited} cycle(s). Waiting.`);
+        return { ...notes, pendingEntry: { ...pending, cyclesWaited } };
+    }
+
+    const cancelResponse = await cancelOrder(pending.orderId);
+    if (cancelResponse?.cancelStatus?.status !== 'cancelled') {
+        // It may have filled in the meantime; the next cycle will pick that up from the fills.
+        return { ...notes, pendingEntry: { ...pending, cyclesWaited }, generalObservations: `Could not cancel the stale limit entry ${pending.orderId}.` };
+    }
+
+    if (pending.repriceCount >= LIMIT_ENTRY_MAX_REPRICES) {
+        console.log(`Limit entry ${pending.orderId} timed out and was cancelled.`);
+        return { ...notesWithoutPending, lastTrade: { ...notes.lastTrade, result: "Cancelled" }, generalObservations: `The ${pending.plan.action} limit entry at ${pending.limitPrice} timed out unfilled and was cancelled.` };
     }
 
-    console.log("!!! EXIT LOGIC NOT YET IMPLEMENTED !!!");
-    // TODO:
-    // 1. Get the open stop-loss order ID from context.openOrders[0].order_id.
-    // 2. Call a new `cancelOrder(orderId)` function.
-    // 3. Place a market order opposite to the current position's side (context.position.side).
-    // 4. Update notes with the result ("Closed") and exit price.
+    // Reprice just inside the current market so the order stays passive but close to a fill.
+    const currentPrice = context.indicators.lastPrice;
+    const newLimitPrice = roundToTick(pending.side === 'long'
+        ? currentPrice * (1 - LIMIT_ENTRY_REPRICE_OFFSET_PERCENT / 100)
+        : currentPrice * (1 + LIMIT_ENTRY_REPRICE_OFFSET_PERCENT / 100), activeInstrument.tickSize);
+    const repriceResponse = await executeOrder({
+        orderType: 'lmt',
+        symbol: activeInstrument.futuresSymbol,
+        side: pending.side === 'long' ? 'buy' : 'sell',
+        size: pending.size,
+        limitPrice: newLimitPrice
+    });
+    if (!isAccepted(repriceResponse?.sendStatus)) {
+        return { ...notesWithoutPending, lastTrade: { ...notes.lastTrade, result: "Cancelled" }, generalObservations: `The limit entry timed out and repricing it to ${newLimitPrice} failed (${repriceResponse?.sendStatus?.status}).` };
+    }
+
+    console.log(`Limit entry repriced from ${pending.limitPrice} to ${newLimitPrice}.`);
+    const repriced = {
+        ...pending,
+        orderId: repriceResponse.sendStatus.order_id,
+        limitPrice: newLimitPrice,
+        placedAt: context.cycleTime.toISOString(),
+        cyclesWaited: 0,
+        repriceCount: pending.repriceCount + 1
+    };
+    // A marketable reprice can fill straight away.
+    const execution = getReportedFill(repriceResponse);
+    if (execution.filledSize > 0) {
+        return protectFilledEntry(pending.plan, pending.side, execution.filledSize, execution.averagePrice, { ...notes, pendingEntry: repriced }, pending.stopDistancePercent);
+    }
+    return { ...notes, pendingEntry: repriced, generalObservations: `Repriced the pending limit entry to ${newLimitPrice}.` };
+}
 
+/**
+ * Builds the reduce-only protective 'stp' order for a position. The stop is rounded to the instrument's
+ * tick size, with its limit price one tick beyond it so the order still fills on a fast move.
+ * @param {string} positionSide - 'long' or 'short'.
+ * @param {number} size - Position size to protect.
+ * @param {number} stopPrice - Trigger price.
+ * @returns {object} Order details for `executeOrder`.
+ */
+function buildStopLossOrder(positionSide, size, stopPrice) {
+    const { futuresSymbol, tickSize } = activeInstrument;
+    const roundedStopPrice = roundToTick(stopPrice, tickSize);
     return {
-        ...context.previousNotes,
-        generalObservations: "AI recommended an exit, but the logic is not yet implemented."
+        orderType: 'stp',
+        symbol: futuresSymbol,
+        side: positionSide === 'long' ? 'sell' : 'buy',
+        size,
+        limitPrice: roundToTick(positionSide === 'long' ? roundedStopPrice - tickSize : roundedStopPrice + tickSize, tickSize),
+        stopPrice: roundedStopPrice,
+        reduceOnly: true // Can only close the position, never open a new one.
+    };
+}
+
+/**
+ * Builds a reduce-only 'take_profit' order that closes part of a position at a target price.
+ * Like the stop, it is rounded to the tick size with a one-tick limit buffer.
+ * @param {string} positionSide - 'long' or 'short'.
+ * @param {number} size - Size to close at this target.
+ * @param {number} targetPrice - Trigger price.
+ * @returns {object} Order details for `executeOrder`.
+ */
+function buildTakeProfitOrder(positionSide, size, targetPrice) {
+    const { futuresSymbol, tickSize } = activeInstrument;
+    const roundedTargetPrice = roundToTick(targetPrice, tickSize);
+    return {
+        orderType: 'take_profit',
+        symbol: futuresSymbol,
+        side: positionSide === 'long' ? 'sell' : 'buy',
+        size,
+        limitPrice: roundToTick(positionSide === 'long' ? roundedTargetPrice - tickSize : roundedTargetPrice + tickSize, tickSize),
+        stopPrice: roundedTargetPrice,
+        reduceOnly: true
+    };
+}
+
+/**
+ * Swaps the position's resting stop for a new stop order: cancel first, then place.
+ * If the new stop cannot be placed, the original one is restored so the position is
+ * never left unprotected.
+ * @param {object} context - The full account and market context. Its `openOrders` are updated in place.
+ * @param {object} newStopOrder - Output of `buildStopLossOrder`.
+ * @returns {Promise<object>} `{ success, stopPrice, reason }`, where `stopPrice` is the stop now in force.
+ */
+async function swapStopOrder(context, newStopOrder) {
+    const existingStop = context.openOrders[0];
+    const currentStopPrice = parseFloat(existingStop.stopPrice);
+    const currentStopSize = parseFloat(existingStop.unfilledSize ?? context.position.size);
+    const toOpenOrder = (order, response) => ({ order_id: response.sendStatus.order_id, symbol: activeInstrument.futuresSymbol, side: order.side, orderType: 'stop', stopPrice: order.stopPrice, unfilledSize: order.size, reduceOnly: true });
+
+    // 1. Cancel the existing stop. If this fails, the old stop is still in force.
+    const cancelResponse = await cancelOrder(existingStop.order_id);
+    if (!cancelResponse || cancelResponse.cancelStatus?.status !== 'cancelled') {
+        const reason = `Could not cancel the existing stop ${existingStop.order_id}.`;
+        console.log(reason);
+        return { success: false, stopPrice: currentStopPrice, reason };
+    }
+
+    // 2. Place the replacement stop.
+    const placeResponse = await executeOrder(newStopOrder).catch(error => ({ error }));
+    if (isAccepted(placeResponse?.sendStatus)) {
+        context.openOrders = [toOpenOrder(newStopOrder, placeResponse)];
+        return { success: true, stopPrice: newStopOrder.stopPrice, reason: null };
+    }
+
+    // 3. Roll back to the original stop.
+    console.error('Replacement stop failed to place. Restoring the original stop.', placeResponse?.error?.message || placeResponse?.sendStatus?.status);
+    const rollbackOrder = buildStopLossOrder(context.position.side, currentStopSize, currentStopPrice);
+    const rollbackResponse = await executeOrder(rollbackOrder).catch(error => ({ error }));
+    if (isAccepted(rollbackResponse?.sendStatus)) {
+        context.openOrders = [toOpenOrder(rollbackOrder, rollbackResponse)];
+        return { success: false, stopPrice: currentStopPrice, reason: 'Replacement stop failed; the original stop was restored.' };
+    }
+
+    context.openOrders = [];
+    console.error('!!! CRITICAL: The position is UNPROTECTED. Neither the new nor the original stop could be placed. !!!');
+    sendAlert('unprotectedPosition', 'Position without a stop-loss', 'Neither the replacement nor the original stop-loss could be placed.');
+    return { success: false, stopPrice: null, reason: 'Replacement and rollback both failed. The position has no stop-loss.' };
+}
+
+/**
+ * Moves the position's stop to a new price, refusing moves that would loosen risk or
+ * put the stop on the wrong side of the market.
+ * @param {object} context - The full account and market context.
+ * @param {number} newStopPrice - The requested stop price.
+ * @returns {Promise<object>} `{ success, stopPrice, reason }`, where `stopPrice` is the stop now in force.
+ */
+async function replaceStopLoss(context, newStopPrice) {
+    const currentStopPrice = parseFloat(context.openOrders[0].stopPrice);
+    const newStopOrder = buildStopLossOrder(context.position.side, context.position.size, newStopPrice);
+
+    const check = validateStopMove({
+        side: context.position.side,
+        currentStop: currentStopPrice,
+        newStop: newStopOrder.stopPrice,
+        currentPrice: context.indicators.lastPrice
+    });
+    if (!check.valid) {
+        console.log(`Refusing stop-loss move: ${check.reason}`);
+        return { success: false, stopPrice: currentStopPrice, reason: check.reason };
+    }
+
+    const result = await swapStopOrder(context, newStopOrder);
+    if (result.success) {
+        console.log(`Stop-loss moved from ${currentStopPrice} to ${newStopOrder.stopPrice}.`);
+        sendAlert('stopAdjusted', 'Stop-loss moved', `The ${context.position.side} position's stop-loss moved from ${currentStopPrice} to ${newStopOrder.stopPrice}.`);
+    }
+    return result;
+}
+
+/**
+ * Keeps the bracket consistent with the position after part of it has been closed:
+ * the stop is resized to the remaining position and take-profits are trimmed so their
+ * total never exceeds it. Leftover orders without a position are cancelled earlier, by
+ * `reconcileWithExchange`.
+ * @param {object} context - The full account and market context. Its order lists are updated in place.
+ * @returns {Promise<object>} The notes for this cycle, with any changes recorded under `bracketManagement`.
+ */
+async function reconcileBracketOrders(context) {
+    const { bracketManagement, ...notes } = context.previousNotes;
+    const actions = [];
+
+    if (context.hasOpenPosition) {
+        const positionSize = parseFloat(context.position.size);
+        const stopOrder = context.openOrders[0];
+        if (stopOrder && Math.abs(parseFloat(stopOrder.unfilledSize) - positionSize) > 1e-9) {
+            const result = await swapStopOrder(context, buildStopLossOrder(context.position.side, positionSize, parseFloat(stopOrder.stopPrice)));
+            actions.push(result.success ? `resized the stop to ${positionSize}` : `could not resize the stop: ${result.reason}`);
+        }
+
+        const resizes = planTakeProfitResize(positionSize, context.takeProfitOrders, parseFloat(context.position.price));
+        for (const { order, newSize } of resizes) {
+            await cancelOrder(order.order_id);
+            context.takeProfitOrders = context.takeProfitOrders.filter(o => o.order_id !== order.order_id);
+            if (newSize > 0) {
+                const replacement = buildTakeProfitOrder(context.position.side, newSize, parseFloat(order.stopPrice));
+                const response = await executeOrder(replacement);
+                if (isAccepted(response?.sendStatus)) {
+                    context.takeProfitOrders.push({ order_id: response.sendStatus.order_id, symbol: activeInstrument.futuresSymbol, side: replacement.side, orderType: 'take_profit', stopPrice: replacement.stopPrice, unfilledSize: newSize, reduceOnly: true });
+                }
+            }
+            actions.push(newSize > 0 ? `resized take-profit at ${order.stopPrice} to ${newSize}` : `cancelled take-profit at ${order.stopPrice}`);
+        }
+    }
+
+    if (actions.length === 0) return notes;
+    console.log(`Bracket reconciliation: ${actions.join('; ')}.`);
+    return { ...notes, bracketManagement: `Bracket orders updated: ${actions.join('; ')}.` };
+}
+
+/**
+ * Checks the exchange's position and orders against the notes and repairs every mismatch
+ * (see reconciliation.js): places a missing stop, cancels duplicate stops and orphan
+ * orders, and brings `lastTrade` in line with the exchange, using the fills history for
+ * trades that closed since the last cycle. Runs every cycle, starting with the first one
+ * after a restart, before the AI is consulted.
+ * @param {object} context - The full account and market context. Its order lists are updated in place.
+ * @returns {Promise<object>} The notes for this cycle, with any repairs recorded under `reconciliation`.
+ */
+async function reconcileWithExchange(context) {
+    const { reconciliation, ...notes } = context.previousNotes;
+    const { position } = context;
+    const repairs = [];
+    const dropOrder = order => {
+        context.stopOrders = context.stopOrders.filter(o => o.order_id !== order.order_id);
+        context.takeProfitOrders = context.takeProfitOrders.filter(o => o.order_id !== order.order_id);
+        context.entryOrders = context.entryOrders.filter(o => o.order_id !== order.order_id);
     };
+
+    const mismatches = findMismatches({ position, stopOrders: context.stopOrders, takeProfitOrders: context.takeProfitOrders, entryOrders: context.entryOrders, notes });
+    for (const mismatch of mismatches) {
+        switch (mismatch.type) {
+            case 'orphanOrder': {
+                const { order } = mismatch;
+                const response = await cancelOrder(order.order_id);
+                if (response?.cancelStatus?.status === 'cancelled') dropOrder(order);
+                repairs.push(`cancelled orphan ${order.orderType} order ${order.order_id} (${response?.cancelStatus?.status})`);
+                break;
+            }
+            case 'duplicateStops':
+                for (const order of mismatch.cancel) {
+                    const response = await cancelOrder(order.order_id);
+                    if (response?.cancelStatus?.status === 'cancelled') dropOrder(order);
+                    repairs.push(`cancelled duplicate stop at ${order.stopPrice} (${response?.cancelStatus?.status}), keeping the one at ${mismatch.keep.stopPrice}`);
+                }
+                break;
+            case 'missingStop': {
+                const stopPrice = selectRecoveryStopPrice({
+                    side: position.side,
+                    entryPrice: parseFloat(position.price),
+                    currentPrice: context.indicators.lastPrice,
+                    // The recorded stop belongs to this position only if the notes are tracking it.
+                    recordedStop: notes.lastTrade?.result === 'Open' ? notes.lastTrade.stopLoss : null,
+                    stopLossPercent: STOP_LOSS_PERCENT
+                });
+                const stopOrder = buildStopLossOrder(position.side, parseFloat(position.size), stopPrice);
+                const response = await executeOrder(stopOrder);
+                if (isAccepted(response?.sendStatus)) {
+                    context.stopOrders.push({ order_id: response.sendStatus.order_id, symbol: activeInstrument.futuresSymbol, side: stopOrder.side, orderType: 'stop', stopPrice: stopOrder.stopPrice, unfilledSize: stopOrder.size, reduceOnly: true });
+                    notes.lastTrade = { ...notes.lastTrade, stopLoss: stopOrder.stopPrice };
+                    repairs.push(`placed a missing stop-loss at ${stopOrder.stopPrice}`);
+                } else {
+                    console.error(`!!! CRITICAL: The position has no stop-loss and placing one failed (${response?.sendStatus?.status}). !!!`);
+                    sendAlert('unprotectedPosition', 'Position without a stop-loss', `The ${position.side} position of ${position.size} has no stop-loss and placing one failed (${response?.sendStatus?.status}).`);
+                    repairs.push(`the position has no stop-loss and placing one failed (${response?.sendStatus?.status})`);
+                }
+                break;
+            }
+            case 'staleOpenTrade': {
+                const response = await getFills();
+                // Both Kraken and the paper exchange list fills newest first.
+                const fills = (response?.fills || []).filter(f => f.symbol === activeInstrument.futuresSymbol).reverse();
+                const closedTrade = buildTradeList(fills).filter(t => t.status === 'Closed').pop();
+                notes.lastTrade = {
+                    ...notes.lastTrade,
+                    result: "Closed",
+                    exitPrice: closedTrade ? closedTrade.exitPrice : null,
+                    exitTime: closedTrade ? closedTrade.exitTime : null,
+                    exitType: closedTrade ? closedTrade.exitType : 'unknown',
+                    netPnl: closedTrade ? closedTrade.netPnl : null
+                };
+                if (closedTrade) {
+                    const stoppedOut = closedTrade.exitType === 'stop';
+                    sendAlert(stoppedOut ? 'stopOut' : 'exit', stoppedOut ? 'Stopped out' : 'Position closed',
+                        `The ${closedTrade.side} position closed at ${closedTrade.exitPrice.toFixed(2)} by ${closedTrade.exitType}, net PnL ${closedTrade.netPnl.toFixed(2)} USD.`,
+                        { data: closedTrade });
+                }
+                repairs.push(closedTrade
+                    ? `marked the trade closed: exited at ${closedTrade.exitPrice.toFixed(2)} by ${closedTrade.exitType} with net PnL ${closedTrade.netPnl.toFixed(2)}`
+                    : 'marked the trade closed; no closing fill was found in the fills history');
+                break;
+            }
+            case 'untrackedPosition':
+                notes.lastTrade = {
+                    action: position.side === 'long' ? 'ENTER_LONG' : 'ENTER_SHORT',
+                    result: "Open",
+                    reason: "Position found on the exchange without a record in the notes.",
+                    entryPrice: parseFloat(position.price),
+                    size: parseFloat(position.size),
+                    exitPrice: 0,
+                    stopLoss: context.stopOrders[0] ? parseFloat(context.stopOrders[0].stopPrice) : null
+                };
+                repairs.push(`adopted an untracked ${position.side} position of ${position.size} at ${position.price}`);
+                break;
+        }
+    }
+
+    context.openOrders = context.stopOrders.slice(0, 1);
+    if (repairs.length === 0) return notes;
+    console.log(`Exchange reconciliation: ${repairs.join('; ')}.`);
+    return { ...notes, reconciliation: `Repaired mismatches with the exchange: ${repairs.join('; ')}.` };
 }
+
 /**
  * Handles the logic for adjusting the stop-loss of an existing position.
  * @param {object} plan - The strategic plan object from the AI.
@@ -313,23 +1186,58 @@ async function handlePositionExit(plan, context) {
  * @returns {Promise<object>} A promise that resolves to the new notes object for this cycle.
  */
 async function handleStopLossAdjustment(plan, context) {
-    console.log(`--- Handling Stop-Loss Adjustment ---`);
+    console.log(`--- Handling Stop-Loss Adjustment to ${plan.price}. Reason: ${plan.reason} ---`);
 
     if (!context.hasOpenPosition || !context.openOrders || context.openOrders.length === 0) {
         console.log("Aborting SL adjustment: No position or open stop-loss order found.");
         return context.previousNotes;
     }
 
-    console.log("!!! SL ADJUSTMENT LOGIC NOT YET IMPLEMENTED !!!");
-    // TODO:
-    // 1. Get the open stop-loss order ID from context.openOrders[0].order_id.
-    // 2. Call a new `cancelOrder(orderId)` function.
-    // 3. Place a NEW 'stp' order using the price from plan.price.
-    // 4. Update notes to reflect the new stop-loss level.
-
+    const result = await replaceStopLoss(context, parseFloat(plan.price));
+    if (result.success) {
+        return {
+            ...context.previousNotes,
+            lastTrade: { ...context.previousNotes.lastTrade, stopLoss: result.stopPrice },
+            generalObservations: `Moved the stop-loss to ${result.stopPrice} based on AI reason: ${plan.reason}`
+        };
+    }
     return {
         ...context.previousNotes,
-        generalObservations: "AI recommended a SL adjustment, but the logic is not yet implemented."
+        generalObservations: `AI requested a stop-loss move to ${plan.price}, but it was not applied. ${result.reason}`
+    };
+}
+
+/**
+ * Applies the configured trailing and break-even rules to the open position's stop.
+ * Runs every cycle before the AI is consulted, so the AI sees the stop that is in force.
+ * @param {object} context - The full account and market context. Its `openOrders` are updated in place.
+ * @returns {Promise<object>} The notes for this cycle, with any adjustment recorded under `stopManagement`.
+ */
+async function applyAutomaticStopManagement(context) {
+    // Drop last cycle's adjustment note; it is only relevant for the cycle that made it.
+    const { stopManagement, ...notes } = context.previousNotes;
+    if (!context.hasOpenPosition || context.openOrders.length === 0) return notes;
+
+    const automaticStop = selectAutomaticStop({
+        side: context.position.side,
+        entryPrice: parseFloat(context.position.price),
+        currentPrice: context.indicators.lastPrice,
+        currentStop: parseFloat(context.openOrders[0].stopPrice),
+        trailing: { mode: TRAILING_STOP_MODE, percent: TRAILING_STOP_PERCENT, atr: context.indicators.lastATR, atrMultiplier: TRAILING_STOP_ATR_MULTIPLIER },
+        breakEven: { triggerPercent: BREAK_EVEN_TRIGGER_PERCENT, offsetPercent: BREAK_EVEN_OFFSET_PERCENT },
+        tickSize: activeInstrument.tickSize
+    });
+    if (!automaticStop) return notes;
+
+    console.log(`--- Automatic Stop Management: ${automaticStop.rule} rule proposes ${automaticStop.price.toFixed(2)} ---`);
+    const result = await replaceStopLoss(context, automaticStop.price);
+    if (!result.success) {
+        return { ...notes, stopManagement: `Automatic ${automaticStop.rule} stop move was not applied. ${result.reason}` };
+    }
+    return {
+        ...notes,
+        lastTrade: { ...notes.lastTrade, stopLoss: result.stopPrice },
+        stopManagement: `Stop-loss automatically moved to ${result.stopPrice} by the ${automaticStop.rule} rule.`
     };
 }
 /**
@@ -338,37 +1246,25 @@ async function handleStopLossAdjustment(plan, context) {
  * @returns {Promise<object>} A promise that resolves to the API response.
  */
 async function cancelOrder(orderId) {
+    return withJournal('cancelorder', { order_id: orderId }, () => sendCancelOrder(orderId));
+}
+
+async function sendCancelOrder(orderId) {
     console.log(`Attempting to cancel order with ID: ${orderId}`);
-    if (!IS_LIVE_TRADING_ENABLED) {
-        console.log(`LIVE TRADING DISABLED. Cancel order for ${orderId} not sent.`);
-        // Return a simulated success response for testing logic flow.
-        return { cancelStatus: { status: 'cancelled' } };
+    if (paperExchange) {
+        console.log(`LIVE TRADING DISABLED. Cancelling ${orderId} on the paper exchange.`);
+        return paperExchange.cancelOrder(orderId);
     }
 
-    const endpoint = '/derivatives/api/v3/cancelorder';
-    const nonce = createNonce();
-    
-    // The data must be a form-urlencoded string.
-    const data = `order_id=${orderId}`;
-    
-    const authent = signRequest(endpoint, nonce, data);
-    const headers = {
-        'Accept': 'application/json',
-        'APIKey': KRAKEN_API_KEY,
-        'Nonce': nonce,
-        'Authent': authent,
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Content-Length': data.length.toString()
-    };
-
     try {
-        const response = await axios.post(KRAKEN_FUTURES_BASE_URL + endpoint, data, { headers });
-        console.log('Cancel order response:', response.data);
-        return response.data;
+        const response = await krakenClient.cancelOrder(orderId);
+        console.log('Cancel order response:', response);
+        return response;
     } catch (error) {
-        console.error(`Failed to cancel order ${orderId}:`, error.response?.data || error.message);
+        console.error(`Failed to cancel order ${orderId}:`, error.message);
+        if (error instanceof KrakenOrderRejectedError) return error.body;
         // Return a failure structure so the calling function knows it didn't work.
-        return { cancelStatus: { status: 'failed', reason: error.response?.data || error.message } };
+        return { cancelStatus: { status: 'failed', reason: error.message } };
     }
 }
 /**
@@ -386,32 +1282,42 @@ async function handlePositionExit(plan, context) {
     }
 
     // --- Two-Step Exit Process ---
-    // 1. First, cancel the associated stop-loss order, if it exists.
+    // 1. First, cancel the associated stop-loss and take-profit orders, if they exist.
     if (context.openOrders && context.openOrders.length > 0) {
-        const stopLossId = context.openOrders[0].orderId;
+        const stopLossId = context.openOrders[0].order_id;
         console.log(`Found associated stop-loss order ${stopLossId} to cancel before exiting.`);
         await cancelOrder(stopLossId);
         // We proceed even if cancellation fails, as closing the position is the priority.
     }
+    for (const takeProfitOrder of context.takeProfitOrders || []) {
+        await cancelOrder(takeProfitOrder.order_id);
+    }
 
     // 2. Place a market order opposite to the current position to close it.
     const exitOrder = {
         orderType: 'mkt',
-        symbol: FUTURES_SYMBOL,
-        side: context.position.side === 'buy' ? 'sell' : 'buy', // Opposite side to close
+        symbol: activeInstrument.futuresSymbol,
+        side: context.position.side === 'long' ? 'sell' : 'buy', // Opposite side to close
         size: context.position.size, // Close the full size of the position
+        reduceOnly: true // Never opens the opposite position if the size is out of date.
     };
     
     const exitResponse = await executeOrder(exitOrder);
 
     // 3. Update notes based on the outcome.
-    if (exitResponse && exitResponse.sendStatus.status === 'placed') {
+    if (isAccepted(exitResponse?.sendStatus)) {
         console.log("Position exit order placed successfully.");
+        const fill = await getMarketOrderFill(exitResponse);
+        const exitPrice = fill.filledSize > 0 ? fill.averagePrice : context.indicators.lastPrice;
+        sendAlert('exit', 'Position closed', `Closed the ${context.position.side} position of ${context.position.size} at ${Number(exitPrice).toFixed(2)}. Reason: ${plan.reason}`);
+        // Everything else, such as a pause set through the control API, carries over.
+        const { pendingEntry, recentCycles, ...notes } = context.previousNotes;
         return {
+            ...notes,
             lastTrade: {
-                ...context.previousNotes.lastTrade,
+                ...notes.lastTrade,
                 result: "Closed", // Mark the trade as closed
-                exitPrice: context.indicators.lastPrice // Record the approximate exit price
+                exitPrice
             },
             generalObservations: `Successfully exited position based on AI reason: ${plan.reason}`
         };
@@ -423,130 +1329,1264 @@ async function handlePositionExit(plan, context) {
         };
     }
 }
+
+/**
+ * Re-reads the active instrument's position into the context after an order changed it.
+ * @param {object} context - The full account and market context. Its `position` and `hasOpenPosition` are updated in place.
+ */
+async function refreshPosition(context) {
+    const openPositions = await getOpenPositions();
+    context.position = openPositions?.openPositions?.find(p => p.symbol === activeInstrument.futuresSymbol);
+    context.hasOpenPosition = !!context.position;
+}
+
+/**
+ * Brings the stop, and the take-profits, in line with the position after an order changed
+ * its size (see `reconcileBracketOrders`).
+ * @param {object} context - The full account and market context. Its position and order lists are updated in place.
+ * @param {object} notes - The notes so far.
+ * @returns {Promise<object>} The notes, with any change to the orders recorded under `bracketManagement`.
+ */
+async function resizeBracketToPosition(context, notes) {
+    await refreshPosition(context);
+    if (!context.hasOpenPosition) return notes;
+    context.previousNotes = notes;
+    return reconcileBracketOrders(context);
+}
+
+/**
+ * Adds to the open position at market. The stop keeps its price and is resized to the new
+ * size, so the addition is sized for the whole position to lose no more than
+ * RISK_PER_TRADE_PERCENT at it, within the instrument's share of the margin and exposure.
+ * @param {object} plan - The strategic plan object from the AI; an optional `percent` of the position caps the addition.
+ * @param {object} context - The full account and market context.
+ * @returns {Promise<object>} A promise that resolves to the new notes object for this cycle.
+ */
+async function handleAddToPosition(plan, context) {
+    console.log(`--- Handling Addition to the Position. Reason: ${plan.reason} ---`);
+    if (!context.hasOpenPosition || context.openOrders.length === 0) {
+        console.log("Aborting addition: No position with a stop-loss is open.");
+        return { ...context.previousNotes, generalObservations: 'AI requested an addition, but there is no position with a stop-loss to add to.' };
+    }
+
+    const { position } = context;
+    const positionSize = parseFloat(position.size);
+    const isLong = position.side === 'long';
+    const currentPrice = context.marketContext?.markPrice || context.indicators.lastPrice;
+    const stopPrice = parseFloat(context.openOrders[0].stopPrice);
+    if (isLong ? stopPrice >= currentPrice : stopPrice <= currentPrice) {
+        console.log(`Aborting addition: the price ${currentPrice} has reached the stop at ${stopPrice}.`);
+        return { ...context.previousNotes, generalObservations: `Addition refused: the price ${currentPrice} has reached the stop at ${stopPrice}.` };
+    }
+
+    const { futuresSymbol, correlationGroup, contractSize, contractSizePrecision } = activeInstrument;
+    // A stop beyond the entry price locks in a profit: the position then risks nothing.
+    const entryPrice = parseFloat(position.price);
+    const openRiskUsd = Math.max(0, (isLong ? entryPrice - stopPrice : stopPrice - entryPrice) * positionSize * contractSize);
+    const budget = context.allocator.budgetFor(futuresSymbol, correlationGroup);
+    const sizing = riskManager.calculateTradeSize({
+        equity: context.equity,
+        availableMargin: budget.availableMargin,
+        maxNotionalUsd: budget.maxNotionalUsd,
+        contractSize,
+        sizePrecision: contractSizePrecision,
+        entryPrice: currentPrice,
+        stopPrice,
+        openRiskUsd
+    });
+    const size = plan.percent ? Math.min(sizing.size, floorToPrecision(positionSize * (plan.percent / 100), contractSizePrecision)) : sizing.size;
+    console.log(`Portfolio: ${budget.reason}`);
+    if (size <= 0) {
+        console.log(`Action: Holding. The addition was sized to zero. ${sizing.reason}`);
+        return { ...context.previousNotes, generalObservations: `The addition was sized to zero and not placed. ${sizing.reason}` };
+    }
+    console.log(`Adding ${size} contracts. ${sizing.reason}`);
+
+    const addResponse = await executeOrder({ orderType: 'mkt', symbol: futuresSymbol, side: isLong ? 'buy' : 'sell', size });
+    if (!isAccepted(addResponse?.sendStatus)) {
+        console.log(`Addition failed to place: ${addResponse?.sendStatus?.status}`);
+        return { ...context.previousNotes, generalObservations: `Attempted to add ${size} to the ${position.side} position, but the order failed (${addResponse?.sendStatus?.status}).` };
+    }
+    await riskManager.recordTrade();
+    context.allocator.commit(futuresSymbol, correlationGroup, size * contractSize * currentPrice);
+
+    const fill = await getMarketOrderFill(addResponse);
+    const addedSize = fill.filledSize > 0 ? fill.filledSize : size;
+    const addPrice = fill.filledSize > 0 ? fill.averagePrice : currentPrice;
+    const notes = await resizeBracketToPosition(context, context.previousNotes);
+    const newSize = context.position ? parseFloat(context.position.size) : positionSize + addedSize;
+    // The exchange reports the average entry price of the whole position.
+    const averageEntryPrice = context.position ? parseFloat(context.position.price) : (entryPrice * positionSize + addPrice * addedSize) / newSize;
+    const addition = { time: context.cycleTime.toISOString(), size: addedSize, price: addPrice };
+
+    sendAlert('entry', `Added to ${position.side}`, `Added ${addedSize} @ ${addPrice.toFixed(2)} to the ${position.side} position, now ${newSize} @ ${averageEntryPrice.toFixed(2)}. Reason: ${plan.reason}`, {
+        data: { side: position.side, ...addition, positionSize: newSize, averageEntryPrice }
+    });
+    return {
+        ...notes,
+        lastTrade: {
+            ...notes.lastTrade,
+            entryPrice: averageEntryPrice,
+            size: newSize,
+            additions: [...(notes.lastTrade?.additions || []), addition]
+        },
+        generalObservations: `Added ${addedSize} at ${addPrice.toFixed(2)} to the ${position.side} position, now ${newSize} at an average entry price of ${averageEntryPrice.toFixed(2)}. Reason: ${plan.reason}`
+    };
+}
+
+/**
+ * Closes part of the open position at market and resizes the stop and take-profits to what
+ * is left. Each partial close is recorded in the notes with its realized PnL (before fees).
+ * @param {object} plan - The strategic plan object from the AI; `percent` of the position is closed.
+ * @param {object} context - The full account and market context.
+ * @returns {Promise<object>} A promise that resolves to the new notes object for this cycle.
+ */
+async function handleReducePosition(plan, context) {
+    console.log(`--- Handling Position Reduction by ${plan.percent}%. Reason: ${plan.reason} ---`);
+    if (!context.hasOpenPosition) {
+        console.log("Aborting reduction: No position is currently open.");
+        return context.previousNotes;
+    }
+
+    const { position } = context;
+    const positionSize = parseFloat(position.size);
+    const { futuresSymbol, contractSize, contractSizePrecision } = activeInstrument;
+    const size = floorToPrecision(positionSize * (plan.percent / 100), contractSizePrecision);
+    if (size <= 0) {
+        return { ...context.previousNotes, generalObservations: `A ${plan.percent}% reduction of ${positionSize} rounds to zero; nothing was closed.` };
+    }
+    if (size >= positionSize) return handlePositionExit(plan, context);
+
+    const reduceResponse = await executeOrder({ orderType: 'mkt', symbol: futuresSymbol, side: position.side === 'long' ? 'sell' : 'buy', size, reduceOnly: true });
+    if (!isAccepted(reduceResponse?.sendStatus)) {
+        console.log(`Reduction failed to place: ${reduceResponse?.sendStatus?.status}`);
+        return { ...context.previousNotes, generalObservations: `Attempted to close ${size} of the ${position.side} position, but the order failed (${reduceResponse?.sendStatus?.status}).` };
+    }
+
+    const fill = await getMarketOrderFill(reduceResponse);
+    const closedSize = fill.filledSize > 0 ? fill.filledSize : size;
+    const exitPrice = fill.filledSize > 0 ? fill.averagePrice : context.indicators.lastPrice;
+    const realizedPnl = (exitPrice - parseFloat(position.price)) * closedSize * contractSize * (position.side === 'long' ? 1 : -1);
+    const notes = await resizeBracketToPosition(context, context.previousNotes);
+    const remainingSize = context.position ? parseFloat(context.position.size) : 0;
+    const partialClose = { time: context.cycleTime.toISOString(), size: closedSize, price: exitPrice, realizedPnl: Number(realizedPnl.toFixed(2)) };
+
+    sendAlert('exit', `Reduced ${position.side}`, `Closed ${closedSize} of the ${position.side} position at ${exitPrice.toFixed(2)} (PnL ${realizedPnl.toFixed(2)} USD before fees); ${remainingSize} remains. Reason: ${plan.reason}`, {
+        data: { side: position.side, ...partialClose, remainingSize }
+    });
+    return {
+        ...notes,
+        lastTrade: {
+            ...notes.lastTrade,
+            size: remainingSize,
+            realizedPnl: Number(((notes.lastTrade?.realizedPnl || 0) + realizedPnl).toFixed(2)),
+            partialCloses: [...(notes.lastTrade?.partialCloses || []), partialClose]
+        },
+        generalObservations: `Closed ${closedSize} of the ${position.side} position at ${exitPrice.toFixed(2)} (PnL ${realizedPnl.toFixed(2)} USD before fees); ${remainingSize} remains. Reason: ${plan.reason}`
+    };
+}
+
+/**
+ * Closes the open position at market, then enters the opposite side at market, sized and
+ * protected like any new entry.
+ * @param {object} plan - The strategic plan object from the AI; its targets apply to the new position.
+ * @param {object} context - The full account and market context.
+ * @param {object} riskStatus - This cycle's check of the account limits; when it blocks entries, the position is only closed.
+ * @returns {Promise<object>} A promise that resolves to the new notes object for this cycle.
+ */
+async function handlePositionReversal(plan, context, riskStatus) {
+    console.log(`--- Handling Position Reversal. Reason: ${plan.reason} ---`);
+    if (!context.hasOpenPosition) {
+        console.log("Aborting reversal: No position is currently open.");
+        return context.previousNotes;
+    }
+
+    const closedSide = context.position.side;
+    const exitNotes = await handlePositionExit({ action: 'EXIT_POSITION', reason: `Reversing the position. ${plan.reason}` }, context);
+    await refreshPosition(context);
+    if (context.hasOpenPosition) {
+        return { ...exitNotes, generalObservations: `Tried to reverse the ${closedSide} position, but it is still open, so no opposite entry was placed. ${exitNotes.generalObservations}` };
+    }
+    if (!riskStatus.allowed) {
+        console.log(`Aborting the opposite entry: ${riskStatus.reason}`);
+        return { ...exitNotes, generalObservations: `Closed the ${closedSide} position to reverse it, but the new entry was refused by the risk manager. ${riskStatus.reason}` };
+    }
+
+    // The bracket went with the closed position, and its exposure no longer counts against the budget.
+    context.openOrders = [];
+    context.stopOrders = [];
+    context.takeProfitOrders = [];
+    context.previousNotes = exitNotes;
+    context.allocator.release(activeInstrument.futuresSymbol);
+    const { action, ...entryFields } = plan;
+    const entryNotes = await handleNewPosition({ ...entryFields, action: closedSide === 'long' ? 'ENTER_SHORT' : 'ENTER_LONG', orderType: 'mkt' }, context);
+    return { ...entryNotes, generalObservations: `Reversed the ${closedSide} position. ${entryNotes.generalObservations}` };
+}
 // =====================================================================================
 // SECTION 4: MAIN TRADING LOGIC
 // =====================================================================================
+
+// Trading cycles and event reactions both send orders, so they run one at a time.
+let exclusiveQueue = Promise.resolve();
+function runExclusive(task) {
+    const run = exclusiveQueue.then(task, task);
+    exclusiveQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Takes a snapshot of the account to size the entries of one decision cycle across the
+ * instruments: the free margin, and the exposure of every position and resting entry.
+ * @param {Array<object>} instruments - The instruments the cycle decides on.
+ * @returns {Promise<PortfolioAllocator>}
+ */
+async function createPortfolioAllocator(instruments) {
+    const [accountData, openPositions, openOrders] = await Promise.all([
+        getAccountData(), getOpenPositions(), getOpenOrders()
+    ]);
+    const positions = openPositions?.openPositions || [];
+    const entryOrders = (openOrders?.openOrders || []).filter(o => o.orderType === 'lmt' && !o.reduceOnly);
+    const describe = symbol => {
+        const instrument = INSTRUMENTS.find(i => i.futuresSymbol === symbol);
+        return instrument ? { group: instrument.correlationGroup, contractSize: instrument.contractSize } : { group: symbol, contractSize: CONTRACT_SIZE };
+    };
+    // Only flat instruments without a resting entry can open a position in this cycle.
+    const occupied = new Set([...positions, ...entryOrders].map(item => item.symbol));
+    return new PortfolioAllocator({
+        equity: parseFloat(accountData.accounts.flex?.portfolioValue || 0),
+        availableMargin: parseFloat(accountData.accounts.flex?.availableMargin || 0),
+        leverage: LEVERAGE,
+        exposures: measureExposures({ positions, entryOrders, describe }),
+        candidates: instruments.map(i => i.futuresSymbol).filter(symbol => !occupied.has(symbol)),
+        maxTotalExposurePercent: MAX_TOTAL_EXPOSURE_PERCENT,
+        maxCorrelatedExposurePercent: MAX_CORRELATED_EXPOSURE_PERCENT
+    });
+}
+
 async function tradingLoop() {
     console.log(`\n--- Starting New Strategic Trading Cycle | ${new Date().toISOString()} ---`);
+    // Every instrument's candles are fetched (and, in paper mode, replayed against the resting
+    // orders) before the portfolio snapshot, so the margin it splits is up to date.
+    const marketData = new Map();
+    for (const instrument of INSTRUMENTS) {
+        activeInstrument = instrument;
+        try {
+            const data = await fetchMarketData({ forDecision: true });
+            if (paperExchange) await paperExchange.processCandles(data.allCandles, { symbol: instrument.futuresSymbol });
+            marketData.set(instrument.futuresSymbol, data);
+        } catch (error) {
+            console.error(`FATAL ERROR fetching market data for ${instrument.futuresSymbol}:`, error.message);
+            sendAlert('cycleError', 'Market data unavailable', `The decision cycle could not fetch market data: ${error.message}`);
+            // Journal the failure without notes, so the next cycle still builds on the last good ones.
+            await journal.appendCycle({ symbol: instrument.futuresSymbol, error: error.message });
+        }
+    }
+
+    let allocator;
+    try {
+        allocator = await createPortfolioAllocator(INSTRUMENTS.filter(i => marketData.has(i.futuresSymbol)));
+    } catch (error) {
+        console.error('FATAL ERROR reading the portfolio:', error.message);
+        sendAlert('cycleError', 'Decision cycle failed', `Could not read the account for the decision cycle: ${error.message}`, { symbol: null });
+        for (const symbol of marketData.keys()) await journal.appendCycle({ symbol, error: error.message });
+        return;
+    }
+
+    for (const instrument of INSTRUMENTS.filter(i => marketData.has(i.futuresSymbol))) {
+        activeInstrument = instrument;
+        if (INSTRUMENTS.length > 1) console.log(`\n=== ${instrument.futuresSymbol} ===`);
+        try {
+            const previousNotes = await readNotes();
+            // The cycle journals its own outcome, which the next cycle's notes are built from.
+            const { candles, timeframes, marketContext } = marketData.get(instrument.futuresSymbol);
+            await runStrategyCycle(candles, previousNotes, decisionProvider, { allocator, timeframes, marketContext });
+        } catch (error) {
+            console.error(`FATAL ERROR in trading loop for ${instrument.futuresSymbol}:`, error.message);
+            sendAlert('cycleError', 'Decision cycle failed', error.message);
+            await journal.appendCycle({ symbol: instrument.futuresSymbol, error: error.message });
+        }
+        allocator.markDecided(instrument.futuresSymbol);
+    }
+}
+
+/**
+ * Maintains an instrument between decision cycles without consulting the AI: protects a
+ * pending entry that has filled, then reconciles the notes and bracket orders with the
+ * exchange (e.g. marks a stopped-out trade closed and cancels its take-profits). Used
+ * for exchange events and for the periodic risk check.
+ * @param {object} instrument - The instrument to maintain; it becomes the active one.
+ * @param {Array<string>} triggers - What prompted the cycle, for the log and journal.
+ * @param {object} [options]
+ * @param {Set<string>} [options.orderIds] - Orders the triggering events were about.
+ * @param {boolean} [options.checkRisk=false] - Also evaluate the account limits, and flatten on a breach if configured.
+ */
+async function runMaintenanceCycle(instrument, triggers, { orderIds = new Set(), checkRisk = false } = {}) {
+    activeInstrument = instrument;
+    const symbol = instrument.futuresSymbol;
+    console.log(`\n--- Maintenance cycle for ${symbol} (${triggers.join('; ')}) | ${new Date().toISOString()} ---`);
     try {
         const previousNotes = await readNotes();
-        const [marketData, accountData, openPositions, openOrders] = await Promise.all([
-            fetchMarketData(), getAccountData(), getOpenPositions(), getOpenOrders()
-        ]);
-
-        const position = openPositions?.openPositions?.find(p => p.symbol === FUTURES_SYMBOL);
-        const hasOpenPosition = !!position;
-        const stopLossForPosition = openOrders?.openOrders?.find(o => o.symbol === FUTURES_SYMBOL && o.orderType === 'stp');
-        const availableMargin = parseFloat(accountData.accounts.flex?.availableMargin || 0);
-        const indicators = calculateIndicators(marketData.candles);
-        
-        const accountContext = { hasOpenPosition, position, openOrders: stopLossForPosition ? [stopLossForPosition] : [], availableMargin, previousNotes };
-
-        const strategyPlan = await analyzeWithDeepseek(marketData.candles, indicators, accountContext);
-        
-        if (!strategyPlan || !strategyPlan.action) {
-            console.log("Could not get a valid strategic plan from the AI. Holding.");
-            const notes = { ...previousNotes, generalObservations: "AI failed to return a valid plan." };
-            await writeNotes(notes);
-            return;
+        const { candles, allCandles } = await fetchMarketData();
+        if (paperExchange) await paperExchange.processCandles(allCandles, { symbol });
+        let context = await loadAccountContext(candles, previousNotes);
+        // Only news of the pending entry moves it on; other events must not count as a waiting cycle. A fill
+        // is also looked up in the fills history: the paper exchange, or a live account without the feed,
+        // fills it without an event, and it must be protected before the position is reconciled.
+        const pending = previousNotes.pendingEntry;
+        if (pending && (orderIds.has(pending.orderId) || (await getOrderFillSummary(pending.orderId)).filledSize > 0)) {
+            context = await loadAccountContext(candles, await handlePendingEntry(context));
+        }
+        context.previousNotes = await reconcileWithExchange(context);
+        let { recentCycles, ...notes } = await reconcileBracketOrders(context);
+
+        let riskStatus;
+        if (checkRisk) {
+            const status = await riskManager.evaluate(context.equity, context.cycleTime);
+            if (!status.allowed) sendAlert('riskLimit', 'Risk limit breached', `${status.reason} New entries are blocked.`, { symbol: null });
+            if (!status.allowed && FLATTEN_ON_RISK_BREACH && context.hasOpenPosition) {
+                console.log(`RISK LIMIT BREACHED: ${status.reason} Flattening the position.`);
+                context.previousNotes = notes;
+                notes = await handlePositionExit({ action: 'EXIT_POSITION', reason: `Risk limit breached. ${status.reason}` }, context);
+                // Journaled with this cycle only, as in a decision cycle.
+                riskStatus = status.reason;
+            }
+            // A routine risk check that changed nothing is not worth a journal entry.
+            const { recentCycles: ignored, ...baseline } = previousNotes;
+            if (!journal.hasPendingExchangeCalls() && JSON.stringify(notes) === JSON.stringify(baseline)) return;
         }
+        await journal.appendCycle({ type: 'maintenance', symbol, trigger: triggers, account: { position: context.position || null }, riskStatus, notes });
+        await updateTradeLedger();
+    } catch (error) {
+        console.error('Error in the maintenance cycle:', error.message);
+        sendAlert('cycleError', 'Maintenance cycle failed', `${triggers.join('; ')}: ${error.message}`);
+        await journal.appendCycle({ type: 'maintenance', symbol, trigger: triggers, error: error.message });
+    }
+}
 
-        console.log(`AI Action Plan: ${strategyPlan.action}. Reason: ${strategyPlan.reason}`);
+/**
+ * Connects the WebSocket feed and batches its events, per instrument, into `runMaintenanceCycle`.
+ * @returns {KrakenFuturesFeed} The running feed.
+ */
+function startExchangeFeed() {
+    const feed = new KrakenFuturesFeed({
+        apiKey: KRAKEN_API_KEY, apiSecret: KRAKEN_API_SECRET, url: KRAKEN_FUTURES_WS_URL,
+        productIds: INSTRUMENTS.map(i => i.futuresSymbol.toUpperCase())
+    });
+    const batches = new Map();
+    const schedule = (symbol, trigger, orderId) => {
+        const instrument = INSTRUMENTS.find(i => i.futuresSymbol === symbol);
+        if (!instrument) return;
+        let batch = batches.get(symbol);
+        if (!batch) {
+            batch = { triggers: [], orderIds: new Set() };
+            batches.set(symbol, batch);
+            setTimeout(() => {
+                batches.delete(symbol);
+                runExclusive(() => runMaintenanceCycle(instrument, batch.triggers, { orderIds: batch.orderIds }));
+            }, EVENT_REACTION_DELAY_MS);
+        }
+        batch.triggers.push(trigger);
+        if (orderId) batch.orderIds.add(orderId);
+    };
 
-        let newNotes = previousNotes; // Default to old notes
-        switch (strategyPlan.action) {
-            case "ENTER_LONG":
-            case "ENTER_SHORT":
-                newNotes = await handleNewPosition(strategyPlan, accountContext);
-                break;
+    feed.on('fill', fill => schedule(fill.symbol, `fill ${fill.side} ${fill.size} @ ${fill.price} (${fill.fillType})`, fill.order_id));
+    feed.on('stopTriggered', order => schedule(order.symbol, `${order.orderType} order ${order.order_id} triggered`, order.order_id));
+    feed.on('positionClosed', position => schedule(position.symbol, `${position.side} position closed`));
+    feed.on('connected', () => console.log('Kraken feed connected.'));
+    feed.on('error', error => console.error('Kraken feed error:', error.message));
+    feed.start();
+    return feed;
+}
 
-            case "ADJUST_SL":
-                newNotes = await handleStopLossAdjustment(strategyPlan, accountContext);
-                break;
+/**
+ * Reads the account, positions and orders, and computes the indicators for a cycle of the active instrument.
+ * @param {Array<Array>} candles - Kraken OHLC rows, oldest first.
+ * @param {object} previousNotes - The notes the cycle builds on.
+ * @param {object} [market]
+ * @param {object} [market.timeframes={}] - Candles of the feature timeframes, keyed by minutes.
+ * @param {object|null} [market.marketContext=null] - The perpetual's ticker and order book, if fetched.
+ * @returns {Promise<object>} The account and market context passed to the handlers.
+ */
+async function loadAccountContext(candles, previousNotes, { timeframes = {}, marketContext = null } = {}) {
+    const [accountData, openPositions, openOrders] = await Promise.all([
+        getAccountData(), getOpenPositions(), getOpenOrders()
+    ]);
+
+    const symbol = activeInstrument.futuresSymbol;
+    const position = openPositions?.openPositions?.find(p => p.symbol === symbol);
+    const hasOpenPosition = !!position;
+    const symbolOrders = (openOrders?.openOrders || []).filter(o => o.symbol === symbol);
+    // Kraken reports resting stop orders with orderType 'stop', even though they are sent as 'stp'.
+    const stopOrders = symbolOrders.filter(o => o.orderType === 'stp' || o.orderType === 'stop');
+    const stopLossForPosition = stopOrders[0];
+    const takeProfitOrders = symbolOrders.filter(o => o.orderType === 'take_profit');
+    const entryOrders = symbolOrders.filter(o => o.orderType === 'lmt' && !o.reduceOnly);
+    const availableMargin = parseFloat(accountData.accounts.flex?.availableMargin || 0);
+    const equity = parseFloat(accountData.accounts.flex?.portfolioValue || 0);
+    const indicators = calculateIndicators(candles, timeframes);
+    // The candle time keeps backtests on their own calendar for risk limits and order timeouts.
+    const cycleTime = new Date(Number(candles[candles.length - 1][0]) * 1000);
+
+    const market = { pair: activeInstrument.spotPairSymbol, symbol };
+
+    return { market, marketContext, hasOpenPosition, position, openOrders: stopLossForPosition ? [stopLossForPosition] : [], stopOrders, takeProfitOrders, entryOrders, availableMargin, equity, previousNotes, indicators, cycleTime };
+}
 
-            case "EXIT_POSITION":
-                newNotes = await handlePositionExit(strategyPlan, accountContext);
-                break;
+/**
+ * Runs one decision cycle of the active instrument on a given set of candles, then appends
+ * it to the journal and any trade it closed to the ledger. Shared by the live loop and the backtester.
+ * @param {Array<Array>} candles - Kraken OHLC rows, oldest first.
+ * @param {object} previousNotes - The notes produced by the previous cycle.
+ * @param {object} provider - The decision provider asked for the plan.
+ * @param {object} [options]
+ * @param {PortfolioAllocator} [options.allocator] - Shares the margin with the other instruments of the cycle;
+ *   without one, the instrument is sized against the whole account.
+ * @param {object} [options.timeframes={}] - Candles of the feature timeframes, keyed by minutes.
+ * @param {object|null} [options.marketContext=null] - The perpetual's ticker and order book; without it,
+ *   entries are priced from the spot close.
+ * @returns {Promise<object>} The notes for the next cycle.
+ */
+async function runStrategyCycle(candles, previousNotes, provider, { allocator = null, timeframes = {}, marketContext = null } = {}) {
+    const record = {};
+    const { recentCycles, ...notes } = await decideAndExecute(candles, previousNotes, provider, record, { allocator, timeframes, marketContext });
+
+    const lastCandle = candles[candles.length - 1];
+    await journal.appendCycle({
+        type: 'decision',
+        symbol: activeInstrument.futuresSymbol,
+        cycleTime: new Date(Number(lastCandle[0]) * 1000).toISOString(),
+        market: { lastCandle },
+        ...record,
+        notes
+    });
+    await updateTradeLedger();
+    return notes;
+}
 
-            case "HOLD":
-            default:
-                console.log("Action: Holding as per AI recommendation.");
-                newNotes = { ...previousNotes, generalObservations: `AI recommended HOLD.` };
-                break;
+/**
+ * Reads the account, computes the indicators, asks the decision step for a plan and
+ * dispatches it to the action handlers.
+ * @param {Array<Array>} candles - Kraken OHLC rows, oldest first.
+ * @param {object} previousNotes - The notes produced by the previous cycle.
+ * @param {object} provider - The decision provider asked for the plan.
+ * @param {object} record - Filled with the account, indicators and decision for the journal.
+ * @param {object} options - `{ allocator, timeframes, marketContext }`, see `runStrategyCycle`.
+ * @returns {Promise<object>} The notes for the next cycle.
+ */
+async function decideAndExecute(candles, previousNotes, provider, record, { allocator, ...market }) {
+    let accountContext = await loadAccountContext(candles, previousNotes, market);
+
+    // A pending limit entry may have filled since the last cycle. Protecting it changes the
+    // position and orders, so the account is read again afterwards.
+    if (previousNotes.pendingEntry) {
+        previousNotes = await handlePendingEntry(accountContext);
+        accountContext = await loadAccountContext(candles, previousNotes, market);
+    }
+    accountContext.allocator = allocator || await createPortfolioAllocator([activeInstrument]);
+    const { hasOpenPosition, equity, indicators, cycleTime } = accountContext;
+    record.indicators = indicators;
+    record.marketContext = accountContext.marketContext;
+    record.account = { equity, availableMargin: accountContext.availableMargin, position: accountContext.position || null };
+
+    // Check the account limits before consulting the AI.
+    const riskStatus = await riskManager.evaluate(equity, cycleTime);
+    if (!riskStatus.allowed) {
+        console.log(`RISK LIMIT BREACHED: ${riskStatus.reason} New entries are blocked.`);
+        sendAlert('riskLimit', 'Risk limit breached', `${riskStatus.reason} New entries are blocked.`, { symbol: null });
+        // Journaled with this cycle only; the notes would carry it into cycles after the breach.
+        record.riskStatus = riskStatus.reason;
+        if (FLATTEN_ON_RISK_BREACH && hasOpenPosition) {
+            record.plan = { action: 'EXIT_POSITION', reason: `Risk limit breached. ${riskStatus.reason}` };
+            return handlePositionExit(record.plan, accountContext);
         }
+    }
+
+    // Reconciliation, bracket clean-up, then trailing and break-even rules, run before the AI, which builds on the updated notes.
+    accountContext.previousNotes = await reconcileWithExchange(accountContext);
+    accountContext.previousNotes = await reconcileBracketOrders(accountContext);
+    previousNotes = await applyAutomaticStopManagement(accountContext);
+    accountContext.previousNotes = previousNotes;
+
+    const { plan: strategyPlan, rejections, attempts } = await obtainValidatedPlan(provider, candles, accountContext);
+    record.decisionAttempts = attempts;
+    record.plan = strategyPlan;
+    // Rejections are only reported for the cycle they happened in.
+    previousNotes = { ...previousNotes, planRejections: rejections.length > 0 ? rejections : undefined };
+
+    console.log(`AI Action Plan: ${strategyPlan.action}. Reason: ${strategyPlan.reason}`);
+
+    let newNotes = previousNotes; // Default to old notes
+    switch (strategyPlan.action) {
+        case "ENTER_LONG":
+        case "ENTER_SHORT":
+            if (!riskStatus.allowed) {
+                console.log(`Aborting entry: ${riskStatus.reason}`);
+                newNotes = { ...previousNotes, generalObservations: `Entry refused by the risk manager. ${riskStatus.reason}` };
+                break;
+            }
+            newNotes = await handleNewPosition(strategyPlan, accountContext);
+            break;
+
+        case "ADJUST_SL":
+            newNotes = await handleStopLossAdjustment(strategyPlan, accountContext);
+            break;
+
+        case "EXIT_POSITION":
+            newNotes = await handlePositionExit(strategyPlan, accountContext);
+            break;
+
+        case "ADD_TO_POSITION":
+            if (!riskStatus.allowed) {
+                console.log(`Aborting addition: ${riskStatus.reason}`);
+                newNotes = { ...previousNotes, generalObservations: `Addition refused by the risk manager. ${riskStatus.reason}` };
+                break;
+            }
+            newNotes = await handleAddToPosition(strategyPlan, accountContext);
+            break;
+
+        case "REDUCE_POSITION":
+            newNotes = await handleReducePosition(strategyPlan, accountContext);
+            break;
+
+        case "REVERSE":
+            newNotes = await handlePositionReversal(strategyPlan, accountContext, riskStatus);
+            break;
+
+        case "HOLD":
+        default:
+            console.log("Action: Holding as per AI recommendation.");
+            newNotes = { ...previousNotes, generalObservations: `AI recommended HOLD. ${strategyPlan.reason || ''}`.trim() };
+            break;
+    }
+    return newNotes;
+}
 
-        // 6. Write the updated notes file for the next cycle.
-        await writeNotes(newNotes);
+/**
+ * Replays a historical OHLC file through `runStrategyCycle` against an in-memory paper
+ * exchange, and writes the full report to BACKTEST_REPORT_FILE_PATH.
+ * @param {string} ohlcFilePath - CSV or JSON candles.
+ * @param {string} [recordedPlansPath] - Optional recorded plans to replay; the rule-based strategy is used otherwise.
+ * @returns {Promise<object>} The report: statistics, equity curve and trade list.
+ */
+async function runBacktestFromFile(ohlcFilePath, recordedPlansPath) {
+    console.log(`--- Starting Backtest on ${ohlcFilePath} ---`);
+    const candles = await loadOhlcFile(ohlcFilePath);
+    // Backtests never call Deepseek: the decision step is either replayed or rule-based.
+    const provider = recordedPlansPath ? await createReplayProvider(recordedPlansPath) : createRuleBasedProvider();
+    console.log(`Loaded ${candles.length} candles. Decision provider: ${provider.name}.`);
+
+    paperExchange = new PaperExchange({
+        statePath: null,
+        startingBalance: BACKTEST_STARTING_BALANCE_USD,
+        leverage: LEVERAGE,
+        takerFeePercent: BACKTEST_TAKER_FEE_PERCENT,
+        makerFeePercent: BACKTEST_MAKER_FEE_PERCENT,
+        slippagePercent: BACKTEST_SLIPPAGE_PERCENT
+    });
+    riskManager = createRiskManager(null);
+    planRejectionsPath = null;
+    journal = new Journal({});
+    notifier = new Notifier({});
+    // The historical candles are those of a single market: the first instrument's.
+    activeInstrument = INSTRUMENTS[0];
+    // Higher feature timeframes are built from the file's candles; lower ones are not available.
+    const resampledTimeframes = FEATURE_TIMEFRAMES.filter(minutes => minutes > CANDLE_INTERVAL && minutes % CANDLE_INTERVAL === 0);
+
+    const report = await runBacktest(candles, {
+        exchange: paperExchange,
+        symbol: activeInstrument.futuresSymbol,
+        runCycle: (window, notes) => runStrategyCycle(window, notes, provider, {
+            timeframes: Object.fromEntries(resampledTimeframes.map(minutes => [minutes, resampleCandles(window, CANDLE_INTERVAL, minutes)]))
+        }),
+        initialNotes: { lastTrade: { action: "none", result: "N/A" }, generalObservations: "Backtest started." },
+        warmupCandles: BACKTEST_WARMUP_CANDLES,
+        historyLength: BACKTEST_HISTORY_LENGTH,
+        periodsPerYear: (365 * 24 * 60) / CANDLE_INTERVAL
+    });
+
+    await fs.writeFile(BACKTEST_REPORT_FILE_PATH, JSON.stringify(report, null, 2), 'utf8');
+    return report;
+}
 
-    } catch (error) {
-        console.error('FATAL ERROR in trading loop:', error.message);
-        const errorNotes = { generalObservations: `The bot crashed with error: ${error.message}` };
-        await writeNotes(errorNotes);
+/**
+ * @param {object} report - Returned by `runBacktestFromFile`.
+ */
+function printBacktestReport(report) {
+    const stats = report.statistics;
+    console.log("=====================================================");
+    console.log(" Backtest Results");
+    console.log(` Equity: ${stats.startEquity.toFixed(2)} -> ${stats.endEquity.toFixed(2)} USD (${stats.totalReturnPercent.toFixed(2)}%)`);
+    console.log(` Max Drawdown: ${stats.maxDrawdownPercent.toFixed(2)}%`);
+    console.log(` Sharpe Ratio: ${stats.sharpeRatio.toFixed(2)}`);
+    console.log(` Trades: ${stats.totalTrades} | Win Rate: ${stats.winRatePercent.toFixed(2)}% | Fees: ${stats.totalFees.toFixed(2)} USD`);
+    console.log("=====================================================");
+    console.log(`Full report (equity curve and trade list) written to ${BACKTEST_REPORT_FILE_PATH}`);
+}
+
+/**
+ * Prints the performance summary of the closed trades in the ledger.
+ * @param {object} summary - `summarizeLedger` of the ledger's trades.
+ */
+function printLedgerReport(summary) {
+    if (summary.totalTrades === 0) {
+        console.log(`No closed trades in ${TRADE_LEDGER_FILE_PATH} yet.`);
+        return;
     }
+    console.log("=====================================================");
+    console.log(" Trade Ledger Report");
+    console.log(` Period: ${summary.firstTrade} -> ${summary.lastTrade}`);
+    console.log(` Trades: ${summary.totalTrades} (${summary.wins} won, ${summary.losses} lost) | Win Rate: ${summary.winRatePercent.toFixed(2)}%`);
+    console.log(` Net PnL: ${summary.netPnl.toFixed(2)} USD | Fees: ${summary.feesPaid.toFixed(2)} USD`);
+    console.log(` Average Win: ${summary.averageWin.toFixed(2)} USD | Average Loss: ${summary.averageLoss.toFixed(2)} USD`);
+    console.log(` Profit Factor: ${summary.profitFactor === null ? 'n/a' : summary.profitFactor.toFixed(2)}`);
+    console.log("=====================================================");
 }
 
 // =====================================================================================
 // SECTION 5: BOT INITIALIZATION
 // =====================================================================================
+
 /**
- * A temporary function to test the cancelOrder functionality with a specific ID.
+ * Finds the candle the last successful decision cycle analyzed, so a restart neither
+ * repeats it nor silently skips a newer one.
+ * @returns {Promise<number|null>} Its close time in milliseconds, or null if there is none in the recent journal.
  */
-async function runCancelTest() {
-    console.log("--- INITIATING CANCEL ORDER TEST ---");
-    
-    // The specific order ID you want to cancel.
-    const orderIdToCancel = '9f947155-48dc-4ad0-9636-8fa234785a44';
-    
-    // IMPORTANT: Make sure live trading is enabled for this test.
-    if (!IS_LIVE_TRADING_ENABLED) {
-        console.error("TEST ABORTED: IS_LIVE_TRADING_ENABLED must be set to 'true' to run this test.");
+async function findLastDecisionCandleClose() {
+    const entries = await journal.readRecentCycles(50);
+    const last = entries.reverse().find(entry => entry.type === 'decision' && entry.cycleTime);
+    return last ? Date.parse(last.cycleTime) + CANDLE_INTERVAL * 60 * 1000 : null;
+}
+
+/**
+ * Restores a pause set through the control API, which outlasts a restart.
+ */
+async function restorePausedState() {
+    const savedNotes = await Promise.all(INSTRUMENTS.map(instrument => readNotes(instrument)));
+    if (savedNotes.some(notes => notes.control?.paused)) {
+        tradingPaused = true;
+        console.log('Trading is PAUSED (set through the control API). Decision cycles are skipped until POST /resume.');
+    }
+}
+
+/**
+ * Checks each instrument's contract size, size precision and tick size against Kraken's
+ * own specification, since orders sized or priced on a wrong one are mis-sized or rejected.
+ * An unreachable endpoint is only logged, so that an outage does not block a restart.
+ * @throws {ConfigError} Listing every instrument that Kraken does not list or specifies differently.
+ */
+async function verifyInstrumentSpecs() {
+    let specs;
+    try {
+        specs = (await krakenClient.getInstruments()).instruments || [];
+    } catch (error) {
+        console.warn(`Could not check the contract specifications against Kraken: ${error.message}`);
         return;
     }
+    const errors = [];
+    for (const instrument of INSTRUMENTS) {
+        const spec = specs.find(s => s.symbol.toLowerCase() === instrument.futuresSymbol);
+        if (!spec) {
+            errors.push(`${instrument.futuresSymbol}: Kraken does not list this instrument`);
+            continue;
+        }
+        const expected = [
+            ['contractSize', instrument.contractSize, spec.contractSize],
+            ['contractSizePrecision', instrument.contractSizePrecision, spec.contractValueTradePrecision],
+            ['tickSize', instrument.tickSize, spec.tickSize]
+        ];
+        for (const [setting, configured, actual] of expected) {
+            if (Number(configured) !== Number(actual)) errors.push(`${instrument.futuresSymbol}: ${setting} is ${configured}, but Kraken specifies ${actual}`);
+        }
+    }
+    if (errors.length > 0) throw new ConfigError(errors);
+}
 
-    const result = await cancelOrder(orderIdToCancel);
+/**
+ * Runs the decision cycle after every candle close and the risk check in between.
+ */
+async function runBot() {
+    await restorePausedState();
+
+    const scheduler = new CandleScheduler({
+        intervalMinutes: CANDLE_INTERVAL,
+        closeDelayMs: CANDLE_CLOSE_DELAY_SECONDS * 1000,
+        onDecisionCycle: () => {
+            if (tradingPaused) {
+                console.log(`--- Trading is paused; skipping the decision cycle | ${new Date().toISOString()} ---`);
+                return null;
+            }
+            return runExclusive(async () => {
+                await tradingLoop();
+                // With --json, each decision cycle's outcome is written to stdout as one JSON line.
+                if (OUTPUT_JSON) process.stdout.write(`${JSON.stringify(await getBotStatus())}\n`);
+            });
+        },
+        riskCheckIntervalMs: RISK_CHECK_INTERVAL_MINUTES * 60 * 1000,
+        onRiskCheck: () => runExclusive(async () => {
+            for (const instrument of INSTRUMENTS) await runMaintenanceCycle(instrument, ['risk check'], { checkRisk: true });
+        })
+    });
+    botScheduler = scheduler;
+    scheduler.start(await findLastDecisionCandleClose());
+    if (notifier.enabled && ALERT_DAILY_SUMMARY_HOUR_UTC !== null) scheduleDailySummary();
+    return scheduler;
+}
 
-    if (result && result.cancelStatus.status === 'cancelled') {
-        console.log("--- TEST SUCCESSFUL: Order was cancelled successfully. ---");
-    } else {
-        console.log("--- TEST FAILED: Could not cancel the order. Check logs for details. ---");
+/**
+ * Sends the daily summary alert: the trades closed in the last 24 hours, the equity and
+ * the open positions.
+ */
+async function sendDailySummary() {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    await updateTradeLedger();
+    const trades = (await journal.readTrades()).filter(trade => trade.exitTime >= since);
+    const summary = summarizeLedger(trades);
+    const [accountData, openPositions] = await Promise.all([getAccountData(), getOpenPositions()]);
+    const equity = parseFloat(accountData.accounts.flex?.portfolioValue || 0);
+    const positions = (openPositions?.openPositions || []).filter(p => INSTRUMENTS.some(i => i.futuresSymbol === p.symbol));
+    const lines = [
+        `Equity: ${equity.toFixed(2)} USD${tradingPaused ? ' (trading is paused)' : ''}.`,
+        `Closed trades: ${summary.totalTrades} (${summary.wins} won, ${summary.losses} lost), net PnL ${summary.netPnl.toFixed(2)} USD, fees ${summary.feesPaid.toFixed(2)} USD.`,
+        positions.length > 0 ? `Open positions: ${positions.map(p => `${p.symbol} ${p.side} ${p.size} @ ${p.price}`).join(', ')}.` : 'No open positions.'
+    ];
+    sendAlert('dailySummary', 'Daily summary', lines.join('\n'), { symbol: null, data: { equity, summary, positions } });
+}
+
+/**
+ * Sends the daily summary at ALERT_DAILY_SUMMARY_HOUR_UTC every day.
+ */
+function scheduleDailySummary() {
+    const now = new Date();
+    const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), ALERT_DAILY_SUMMARY_HOUR_UTC));
+    if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+    setTimeout(() => {
+        runExclusive(sendDailySummary)
+            .catch(error => console.error('Could not send the daily summary:', error.message))
+            .finally(scheduleDailySummary);
+    }, next.getTime() - now.getTime());
+}
+
+// --- Control API ---
+
+/**
+ * @param {string|null} symbol - A futures symbol, or null for every instrument.
+ * @returns {Array<object>} The matching instruments.
+ * @throws {ControlApiError} 404 if the symbol is not traded.
+ */
+function selectInstruments(symbol) {
+    if (!symbol) return INSTRUMENTS;
+    const instrument = INSTRUMENTS.find(i => i.futuresSymbol === symbol.toLowerCase());
+    if (!instrument) throw new ControlApiError(404, `${symbol} is not traded; the instruments are ${INSTRUMENTS.map(i => i.futuresSymbol).join(', ')}.`);
+    return [instrument];
+}
+
+/**
+ * Records a control action in an instrument's notes, with a journal entry of its own that
+ * also carries any orders the action sent. Must run inside `runExclusive`.
+ * @param {object} instrument - The instrument the action applied to.
+ * @param {string} action - 'pause', 'resume', 'flatten' or 'cycle'.
+ * @param {object} request - `{ body, remoteAddress }` of the API request; `body.reason` is kept. `via`
+ *   names where the action came from, 'control API' unless given.
+ * @param {object} [result] - `{ notes, error }` of the action, if it changed the notes or failed.
+ */
+async function recordControlAction(instrument, action, { body, remoteAddress, via = 'control API' }, { notes = null, error = null } = {}) {
+    const { recentCycles, ...baseNotes } = notes || await readNotes(instrument);
+    const lastAction = { action, via, time: new Date().toISOString(), reason: body.reason || null, from: remoteAddress || null, error: error || undefined };
+    await journal.appendCycle({
+        type: 'control',
+        symbol: instrument.futuresSymbol,
+        trigger: [`${via}: ${action}`],
+        error: error || undefined,
+        notes: { ...baseNotes, control: { paused: tradingPaused, lastAction } }
+    });
+}
+
+/**
+ * Cancels every open order of an instrument (entries, stops and take-profits) and closes
+ * its position at market. Must run inside `runExclusive`.
+ * @param {object} instrument - The instrument to flatten; it becomes the active one.
+ * @param {string} reason - Recorded in the notes.
+ * @returns {Promise<object>} The notes after the flatten.
+ */
+async function flattenInstrument(instrument, reason) {
+    activeInstrument = instrument;
+    const previousNotes = await readNotes();
+    const { candles, allCandles } = await fetchMarketData();
+    if (paperExchange) await paperExchange.processCandles(allCandles, { symbol: instrument.futuresSymbol });
+    const context = await loadAccountContext(candles, previousNotes);
+
+    const orders = [...context.entryOrders, ...context.stopOrders, ...context.takeProfitOrders];
+    console.log(`--- Flattening ${instrument.futuresSymbol}: cancelling ${orders.length} order(s)${context.hasOpenPosition ? ' and closing the position' : ''}. ---`);
+    for (const order of orders) await cancelOrder(order.order_id);
+    const { pendingEntry, recentCycles, ...notes } = previousNotes;
+    if (!context.hasOpenPosition) {
+        return { ...notes, generalObservations: `Flattened through the control API: cancelled ${orders.length} order(s); there was no position.` };
     }
+    // The bracket orders are already cancelled, so the exit only has to close the position.
+    return handlePositionExit({ action: 'EXIT_POSITION', reason }, { ...context, openOrders: [], takeProfitOrders: [], previousNotes: notes });
 }
-async function runBot() {
-    try {
-        await tradingLoop();
-    } catch (error) {
-        console.error('A critical, unhandled error occurred in the main runBot function:', error.message);
-    } finally {
-        console.log(`--- Cycle complete. Next run scheduled in ${CANDLE_INTERVAL} minutes. ---`);
-        setTimeout(runBot, TRADE_INTERVAL_MS);
+
+/**
+ * Flattens instruments one after the other and records each outcome as a control action.
+ * Must run inside `runExclusive`.
+ * @param {Array<object>} instruments - The instruments to flatten.
+ * @param {string} reason - Recorded in the notes.
+ * @param {object} request - See `recordControlAction`.
+ * @returns {Promise<Array<object>>} `{ symbol, result }` or `{ symbol, error }` per instrument.
+ */
+async function flattenInstruments(instruments, reason, request) {
+    const outcomes = [];
+    for (const instrument of instruments) {
+        try {
+            const notes = await flattenInstrument(instrument, reason);
+            await recordControlAction(instrument, 'flatten', request, { notes });
+            outcomes.push({ symbol: instrument.futuresSymbol, result: notes.generalObservations });
+        } catch (error) {
+            console.error(`Flattening ${instrument.futuresSymbol} failed:`, error.message);
+            await recordControlAction(instrument, 'flatten', request, { error: error.message });
+            outcomes.push({ symbol: instrument.futuresSymbol, error: error.message });
+        }
+    }
+    await updateTradeLedger();
+    return outcomes;
+}
+
+/**
+ * @returns {Promise<object>} What the bot is doing: pause state, schedule, and each
+ *   instrument's last cycle, plan and error from the journal.
+ */
+async function getBotStatus() {
+    const entries = await journal.readRecentCycles(NOTES_HISTORY_CYCLES * INSTRUMENTS.length);
+    const instruments = {};
+    for (const instrument of INSTRUMENTS) {
+        const own = entries.filter(entry => (entry.symbol || INSTRUMENTS[0].futuresSymbol) === instrument.futuresSymbol).reverse();
+        const lastCycle = own[0];
+        const lastPlan = own.find(entry => entry.plan);
+        const lastError = own.find(entry => entry.error);
+        instruments[instrument.futuresSymbol] = {
+            lastCycle: lastCycle ? { time: lastCycle.time, type: lastCycle.type || 'decision', trigger: lastCycle.trigger, action: lastCycle.plan?.action, error: lastCycle.error } : null,
+            lastPlan: lastPlan ? { time: lastPlan.time, ...lastPlan.plan } : null,
+            lastError: lastError ? { time: lastError.time, error: lastError.error } : null,
+            observations: own.find(entry => entry.notes)?.notes.generalObservations || null
+        };
+    }
+    return {
+        profile: CONFIG_PROFILE,
+        liveTrading: IS_LIVE_TRADING_ENABLED,
+        decisionProvider: decisionProvider?.name || null,
+        paused: tradingPaused,
+        nextDecisionCycleAt: botScheduler?.nextDecisionAt ? new Date(botScheduler.nextDecisionAt).toISOString() : null,
+        requestedCycleRunning: requestedCycle !== null,
+        instruments
+    };
+}
+
+/**
+ * Starts the control and status API with handlers bound to the running bot.
+ * @returns {Promise<ControlServer>} The listening server.
+ */
+async function startControlServer() {
+    const alertAction = (action, { body, remoteAddress, symbol }) => sendAlert('controlAction', `Control API: ${action}`,
+        `${action} requested from ${remoteAddress || 'an unknown address'}${body.reason ? ` (${body.reason})` : ''}.`, { symbol: symbol || null });
+    const inInstruments = (instruments, items) => items.filter(item => instruments.some(i => i.futuresSymbol === item.symbol));
+    const setPaused = async (paused, request) => {
+        const changed = tradingPaused !== paused;
+        tradingPaused = paused;
+        console.log(`--- Control API: trading ${paused ? 'PAUSED' : 'RESUMED'}${request.body.reason ? ` (${request.body.reason})` : ''}. ---`);
+        alertAction(paused ? 'pause' : 'resume', request);
+        await runExclusive(async () => {
+            for (const instrument of INSTRUMENTS) await recordControlAction(instrument, paused ? 'pause' : 'resume', request);
+        });
+        return { paused, changed };
+    };
+
+    const server = new ControlServer({
+        host: CONTROL_API_HOST,
+        port: CONTROL_API_PORT,
+        token: CONTROL_API_TOKEN,
+        handlers: {
+            status: () => getBotStatus(),
+            position: async ({ symbol }) => ({ positions: inInstruments(selectInstruments(symbol), (await getOpenPositions())?.openPositions || []) }),
+            orders: async ({ symbol }) => ({ orders: inInstruments(selectInstruments(symbol), (await getOpenOrders())?.openOrders || []) }),
+            notes: async ({ symbol }) => {
+                const notes = {};
+                for (const instrument of selectInstruments(symbol)) notes[instrument.futuresSymbol] = await readNotes(instrument);
+                return { notes };
+            },
+            pause: request => setPaused(true, request),
+            resume: request => setPaused(false, request),
+            flatten: async request => {
+                const instruments = selectInstruments(request.symbol);
+                const reason = `Flatten requested through the control API${request.body.reason ? `: ${request.body.reason}` : '.'}`;
+                alertAction('flatten', request);
+                const results = await runExclusive(() => flattenInstruments(instruments, reason, request));
+                return results.some(r => r.error) ? { statusCode: 500, body: { results } } : { results };
+            },
+            cycle: async request => {
+                if (tradingPaused) throw new ControlApiError(409, 'Trading is paused; POST /resume first.');
+                if (requestedCycle) throw new ControlApiError(409, 'A requested decision cycle is already queued or running.');
+                alertAction('cycle', request);
+                requestedCycle = runExclusive(async () => {
+                    for (const instrument of INSTRUMENTS) await recordControlAction(instrument, 'cycle', request);
+                    await tradingLoop();
+                }).catch(error => console.error('The requested decision cycle failed:', error.message))
+                    .finally(() => { requestedCycle = null; });
+                return { statusCode: 202, body: { queued: true, message: 'The decision cycle is queued; GET /status shows its outcome.' } };
+            }
+        }
+    });
+    const port = await server.start();
+    console.log(`Control API listening on http://${CONTROL_API_HOST}:${port}`);
+    return server;
+}
+
+// --- Command Line ---
+
+/**
+ * Sets up the configured decision provider for the commands that trade.
+ * @throws {Error} If a provider cannot be created, e.g. Deepseek without an API key.
+ */
+async function setUpDecisionProvider() {
+    // The Kraken keys are checked with the configuration, as only live trading needs them.
+    // The Deepseek key is only needed when Deepseek is one of the configured decision providers.
+    const usesDeepseek = [DECISION_PROVIDER, DECISION_FALLBACK_PROVIDER].includes('deepseek');
+    if (usesDeepseek && !DEEPSEEK_API_KEY) {
+        throw new Error('The Deepseek API key is missing. Set DEEPSEEK_API_KEY or deepseekApiKey in the config file.');
     }
+    decisionProvider = await createConfiguredDecisionProvider();
+    console.log(`Decision provider: ${decisionProvider.name}`);
 }
 
-function main() {
+/**
+ * @param {string} mode - What the bot is starting for, e.g. 'the trading loop'.
+ */
+function logStartup(mode) {
     console.log("=====================================================");
-    console.log(" Manus AI Trading Bot Initializing for a CANCEL TEST...");
-    console.log(` Live Trading Enabled: ${IS_LIVE_TRADING_ENABLED}`);
+    console.log(` Manus AI Trading Bot Initializing for ${mode}...`);
+    console.log(` Profile: ${CONFIG_PROFILE} | Live Trading Enabled: ${IS_LIVE_TRADING_ENABLED}`);
     console.log("=====================================================");
+}
 
-    if (!KRAKEN_API_KEY || !KRAKEN_API_SECRET || !DEEPSEEK_API_KEY) {
-        console.error('FATAL: API key(s) are missing. Please check your environment variables.');
-        process.exit(1);
+/**
+ * Starts the trading loop, with the exchange feed and the control API if configured.
+ * @returns {Promise<CandleScheduler>} The running scheduler.
+ * @throws {ConfigError} If live trading would use a contract specification Kraken does not agree with.
+ */
+async function startTrading() {
+    logStartup('the trading loop');
+    if (IS_LIVE_TRADING_ENABLED) await verifyInstrumentSpecs();
+    await setUpDecisionProvider();
+    // The paper exchange only moves on candles, so the feed is for live trading.
+    if (IS_LIVE_TRADING_ENABLED && WEBSOCKET_ENABLED) startExchangeFeed();
+    if (CONTROL_API_ENABLED) await startControlServer();
+    return runBot();
+}
+
+/**
+ * Runs a single decision cycle for every instrument, as the loop does on a candle close.
+ * @returns {Promise<object>} The bot status after the cycle; see `getBotStatus`.
+ * @throws {Error} If trading is paused through the control API, or the contract specification is wrong (see `verifyInstrumentSpecs`).
+ */
+async function runSingleCycle() {
+    logStartup('a single cycle');
+    await restorePausedState();
+    if (tradingPaused) throw new Error('Trading is paused; resume it through the control API first.');
+    if (IS_LIVE_TRADING_ENABLED) await verifyInstrumentSpecs();
+    await setUpDecisionProvider();
+    await runExclusive(tradingLoop);
+    const status = await getBotStatus();
+    if (Object.values(status.instruments).some(instrument => instrument.lastCycle?.error)) process.exitCode = 1;
+    return status;
+}
+
+/**
+ * @param {Array<object>|undefined} items - Positions or orders from the exchange.
+ * @param {Array<object>} [instruments=INSTRUMENTS] - The instruments to keep.
+ * @returns {Array<object>} The items of those instruments.
+ */
+function itemsOfInstruments(items, instruments = INSTRUMENTS) {
+    return (items || []).filter(item => instruments.some(i => i.futuresSymbol === item.symbol));
+}
+
+/**
+ * @returns {Promise<object>} The bot status (see `getBotStatus`), with the account and the positions.
+ */
+async function getAccountStatus() {
+    await restorePausedState();
+    const [status, accountData, openPositions] = await Promise.all([getBotStatus(), getAccountData(), getOpenPositions()]);
+    const flex = accountData.accounts.flex || {};
+    return {
+        ...status,
+        account: { equity: parseFloat(flex.portfolioValue || 0), availableMargin: parseFloat(flex.availableMargin || 0) },
+        positions: itemsOfInstruments(openPositions?.openPositions)
+    };
+}
+
+/**
+ * Cancels open orders of the traded instruments, and records a control action for each
+ * instrument it touched.
+ * @param {string} action - 'cancel' or 'cancel-all', for the journal and the alert.
+ * @param {Array<object>} orders - Open orders, as listed by the exchange.
+ * @returns {Promise<object>} `{ cancelled: [{ symbol, orderId, orderType, status }], unprotected: [symbol] }`;
+ *   `unprotected` lists the instruments left with a position but no stop-loss.
+ */
+async function cancelOrdersFromCommandLine(action, orders) {
+    const cancelled = [];
+    for (const order of orders) {
+        const response = await cancelOrder(order.order_id);
+        cancelled.push({ symbol: order.symbol, orderId: order.order_id, orderType: order.orderType, status: response?.cancelStatus?.status || 'failed' });
+    }
+    const instruments = INSTRUMENTS.filter(i => orders.some(order => order.symbol === i.futuresSymbol));
+    for (const instrument of instruments) await recordControlAction(instrument, action, { body: {}, via: 'command line' });
+    if (cancelled.length > 0) {
+        sendAlert('controlAction', `Command line: ${action}`, `${action} run from the command line: ${cancelled.length} order(s) cancelled.`, { symbol: null });
     }
 
-    // --- TEMPORARILY CHANGE THIS LINE ---
-    // Instead of starting the main loop, we run our specific test.
-    //runCancelTest(); 
-    runBot(); // <-- Comment out the main loop for now.
+    const [openPositions, openOrders] = await Promise.all([getOpenPositions(), getOpenOrders()]);
+    const stops = (openOrders?.openOrders || []).filter(o => o.orderType === 'stp' || o.orderType === 'stop');
+    const unprotected = itemsOfInstruments(openPositions?.openPositions, instruments)
+        .filter(position => !stops.some(stop => stop.symbol === position.symbol))
+        .map(position => position.symbol);
+    return { cancelled, unprotected };
 }
 
-// --- Start the Bot ---
-main();
+function printStatus(status) {
+    console.log(`Profile: ${status.profile} | Live trading: ${status.liveTrading ? 'yes' : 'no'} | Trading: ${status.paused ? 'PAUSED' : 'active'}`);
+    if (status.account) console.log(`Equity: ${status.account.equity.toFixed(2)} USD | Available margin: ${status.account.availableMargin.toFixed(2)} USD`);
+    if (status.positions) {
+        console.log(status.positions.length === 0 ? 'Positions: none' : 'Positions:');
+        for (const p of status.positions) console.log(`  ${p.symbol} ${p.side} ${p.size} @ ${p.price}`);
+    }
+    for (const [symbol, instrument] of Object.entries(status.instruments)) {
+        const cycle = instrument.lastCycle;
+        console.log(`${symbol}: ${cycle ? `last cycle ${cycle.time} (${cycle.type}${cycle.action ? `, ${cycle.action}` : ''})` : 'no cycle yet'}`);
+        if (instrument.lastPlan) console.log(`  Last plan: ${instrument.lastPlan.action}. ${instrument.lastPlan.reason || ''}`.trimEnd());
+        if (instrument.lastError) console.log(`  Last error (${instrument.lastError.time}): ${instrument.lastError.error}`);
+    }
+}
+
+function printOrders({ orders }) {
+    if (orders.length === 0) {
+        console.log('No open orders.');
+        return;
+    }
+    for (const o of orders) {
+        const prices = [o.limitPrice !== undefined && `limit ${o.limitPrice}`, o.stopPrice !== undefined && `stop ${o.stopPrice}`].filter(Boolean).join(', ');
+        console.log(`${o.order_id}  ${o.symbol}  ${o.orderType} ${o.side} ${o.unfilledSize ?? o.size}${prices ? ` (${prices})` : ''}${o.reduceOnly ? ' reduce-only' : ''}`);
+    }
+}
 
+function printCancellations({ cancelled, unprotected }) {
+    if (cancelled.length === 0) console.log('No open orders to cancel.');
+    for (const c of cancelled) console.log(`${c.orderId}  ${c.symbol}  ${c.orderType}: ${c.status}`);
+    for (const symbol of unprotected) {
+        console.log(`WARNING: the ${symbol} position has no stop-loss now. The next risk check places a recovery stop.`);
+    }
+}
 
+function printFlattenResults({ results }) {
+    for (const r of results) console.log(`${r.symbol}: ${r.error ? `FAILED: ${r.error}` : r.result}`);
+}
 
+/**
+ * The commands of `node tradingBot.js <command>`. Each declares its usage, a check of its
+ * arguments, what it runs, and how its result is printed without --json.
+ */
+const COMMANDS = {
+    run: {
+        usage: 'run',
+        description: 'Trade after every candle close until stopped (the default command).',
+        run: () => startTrading()
+    },
+    once: {
+        usage: 'once',
+        description: 'Run one decision cycle now, then exit.',
+        run: () => runSingleCycle(),
+        print: printStatus
+    },
+    status: {
+        usage: 'status',
+        description: 'Show the account, the positions and each instrument\'s last cycle.',
+        run: () => getAccountStatus(),
+        print: printStatus
+    },
+    orders: {
+        usage: 'orders [symbol]',
+        description: 'List the open orders of the traded instruments.',
+        run: async ([symbol]) => ({ orders: itemsOfInstruments((await getOpenOrders())?.openOrders, selectInstruments(symbol)) }),
+        print: printOrders
+    },
+    cancel: {
+        usage: 'cancel <orderId>',
+        description: 'Cancel one open order.',
+        check: ([orderId]) => (orderId ? null : 'The order ID is missing.'),
+        run: async ([orderId]) => {
+            const order = itemsOfInstruments((await getOpenOrders())?.openOrders).find(o => o.order_id === orderId);
+            if (!order) throw new Error(`${orderId} is not an open order of ${INSTRUMENTS.map(i => i.futuresSymbol).join(', ')}.`);
+            return cancelOrdersFromCommandLine('cancel', [order]);
+        },
+        print: printCancellations
+    },
+    'cancel-all': {
+        usage: 'cancel-all [symbol]',
+        description: 'Cancel every open order (entries, stops and take-profits) of the traded instruments.',
+        run: async ([symbol]) => cancelOrdersFromCommandLine('cancel-all', itemsOfInstruments((await getOpenOrders())?.openOrders, selectInstruments(symbol))),
+        print: printCancellations
+    },
+    flatten: {
+        usage: 'flatten [symbol]',
+        description: 'Cancel the orders and close the positions at market.',
+        run: async ([symbol]) => {
+            const instruments = selectInstruments(symbol);
+            sendAlert('controlAction', 'Command line: flatten', 'flatten run from the command line.', { symbol: symbol || null });
+            const results = await runExclusive(() => flattenInstruments(instruments, 'Flatten run from the command line.', { body: {}, via: 'command line' }));
+            if (results.some(r => r.error)) process.exitCode = 1;
+            return { results };
+        },
+        print: printFlattenResults
+    },
+    // Backtests run offline against historical data and need no API keys.
+    backtest: {
+        usage: 'backtest <ohlc.csv|ohlc.json> [recorded_plans.json]',
+        description: 'Replay historical candles against a simulated exchange.',
+        check: ([file]) => (file ? null : 'The OHLC file is missing.'),
+        run: ([file, plans]) => runBacktestFromFile(file, plans),
+        print: printBacktestReport
+    },
+    journal: {
+        usage: 'journal report',
+        description: 'Summarize the closed trades in the ledger.',
+        check: ([subcommand]) => (subcommand === 'report' ? null : 'The only journal subcommand is "report".'),
+        run: async () => ({ ledgerPath: TRADE_LEDGER_FILE_PATH, ...summarizeLedger(await journal.readTrades()) }),
+        print: printLedgerReport
+    },
+    prompt: {
+        usage: 'prompt --dry-run [symbol]',
+        description: 'Print the prompt the next decision cycle would send, without calling the model.',
+        options: ['--dry-run'],
+        check: args => (args.includes('--dry-run') ? null : 'Only --dry-run is supported: the prompt is printed, never sent.'),
+        run: args => buildDryRunPrompts(selectInstruments(args.find(arg => arg !== '--dry-run'))),
+        print: ({ prompts }) => {
+            for (const [symbol, prompt] of Object.entries(prompts)) console.log(`===== Prompt for ${symbol} =====\n${prompt}\n`);
+        }
+    },
+    config: {
+        usage: 'config',
+        description: 'Print the effective configuration, with the secrets redacted.',
+        run: async () => ({ profile: CONFIG_PROFILE, settings: redactConfig(config) }),
+        print: ({ profile, settings }) => {
+            console.log(`Profile: ${profile}`);
+            console.log(JSON.stringify(settings, null, 2));
+        }
+    },
+    help: {
+        usage: 'help',
+        description: 'List the commands.',
+        run: async () => ({ commands: Object.values(COMMANDS).map(({ usage, description }) => ({ usage, description })) }),
+        print: ({ commands }) => {
+            console.log('Usage: node tradingBot.js <command> [--paper|--live] [--json] [--config <file>] [--profile <name>] [--set <setting>=<value>]\n');
+            for (const { usage, description } of commands) console.log(`  ${usage.padEnd(55)}${description}`);
+        }
+    }
+};
 
+/**
+ * Renders the prompt each instrument's next decision cycle would send, from the current
+ * market data, account and notes. Nothing is sent, ordered or recorded: the paper
+ * exchange is not moved on to the new candles, and the notes are those before the
+ * cycle's reconciliation with the exchange.
+ * @param {Array<object>} instruments - The instruments to build prompts for.
+ * @returns {Promise<object>} `{ prompts: { [symbol]: prompt } }`.
+ */
+async function buildDryRunPrompts(instruments) {
+    // Every prompted provider renders the same template, so the Deepseek one stands in for all.
+    const { buildPrompt } = await createDecisionProvider('deepseek');
+    const prompts = {};
+    for (const instrument of instruments) {
+        activeInstrument = instrument;
+        const { candles, timeframes, marketContext } = await fetchMarketData({ forDecision: true });
+        const context = await loadAccountContext(candles, await readNotes(), { timeframes, marketContext });
+        prompts[instrument.futuresSymbol] = buildPrompt(candles, context.indicators, context);
+    }
+    return { prompts };
+}
 
+/**
+ * Writes a command's result: as JSON on stdout with --json, otherwise through `print`.
+ * @param {object} result - What the command returned.
+ * @param {Function} print - `result => void`, the human-readable form.
+ */
+function printResult(result, print) {
+    if (OUTPUT_JSON) process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    else print(result);
+}
 
+async function main() {
+    const [name = 'run', ...args] = commandLine.args;
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(`Unknown command "${name}". Run "node tradingBot.js help" for the list.`);
+        process.exit(1);
+    }
+    const unknownOption = args.find(arg => arg.startsWith('--') && !(command.options || []).includes(arg));
+    const problem = unknownOption ? `Unknown option ${unknownOption}.` : command.check?.(args);
+    if (problem) {
+        console.error(`${problem}\nUsage: node tradingBot.js ${command.usage}`);
+        process.exit(1);
+    }
 
+    try {
+        const result = await command.run(args);
+        if (command.print) printResult(result, command.print);
+    } catch (error) {
+        console.error(`FATAL: ${name} failed: ${error.message}`);
+        process.exit(1);
+    }
+}
 
-    
+// --- Start the Bot ---
+// Only when run directly: required as a module (e.g. by the tests), the bot just exports its functions.
+if (require.main === module) main();
+
+module.exports = {
+    // Cycles
+    tradingLoop,
+    runSingleCycle,
+    runMaintenanceCycle,
+    runStrategyCycle,
+    decideAndExecute,
+    runExclusive,
+    setUpDecisionProvider,
+    createDecisionProvider,
+    obtainValidatedPlan,
+    // Order handling
+    handleNewPosition,
+    handlePendingEntry,
+    handleStopLossAdjustment,
+    handlePositionExit,
+    handleAddToPosition,
+    handleReducePosition,
+    handlePositionReversal,
+    reconcileWithExchange,
+    reconcileBracketOrders,
+    executeOrder,
+    cancelOrder,
+    // Market data, account and notes
+    fetchCandles,
+    fetchMarketData,
+    calculateIndicators,
+    loadAccountContext,
+    readNotes,
+    updateTradeLedger,
+    verifyInstrumentSpecs,
+    // Control and commands
+    getBotStatus,
+    getAccountStatus,
+    flattenInstruments,
+    runBacktestFromFile,
+    sendDailySummary,
+    COMMANDS,
+    main,
+    config,
+    INSTRUMENTS
+};